@@ -0,0 +1,120 @@
+/* eslint-disable no-restricted-globals */
+// Service worker for offline use: caches the app shell with its script and style bundles, the
+// bundled station snapshot and every map tile that has been viewed, so the app keeps working
+// underground. Paths are resolved against the worker's scope, which is the app's PUBLIC_URL.
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `subwayfinder-shell-${CACHE_VERSION}`;
+const TILE_CACHE = `subwayfinder-tiles-${CACHE_VERSION}`;
+const MAX_TILES = 2000;
+
+const SHELL_PATHS = ['', 'index.html', 'manifest.json', 'favicon.ico', 'data/subway-snapshot.json'];
+
+const resolveUrl = (path) => new URL(path, self.registration.scope).href;
+
+// The build's hashed script and style bundles, listed in the asset manifest CRA writes. They are
+// cached on install, so the app starts offline even if the page that registered the worker had
+// loaded them before it was installed.
+const getBundleUrls = async () => {
+  const response = await fetch(resolveUrl('asset-manifest.json'), { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`Asset manifest unavailable (status ${response.status})`);
+  }
+  const manifest = await response.json();
+  return Array.from(new Set(
+    Object.values(manifest.files || {})
+      .filter(path => /\.(js|css)$/.test(path))
+      .map(path => new URL(path, self.location.origin).href)
+  ));
+};
+
+// Cache the shell and this build's bundles, and drop bundles of earlier builds
+const precache = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  const bundleUrls = await getBundleUrls();
+  await cache.addAll([...SHELL_PATHS.map(resolveUrl), ...bundleUrls]);
+
+  const staticPrefix = resolveUrl('static/');
+  const cachedRequests = await cache.keys();
+  await Promise.all(cachedRequests
+    .filter(request => request.url.startsWith(staticPrefix) && !bundleUrls.includes(request.url))
+    .map(request => cache.delete(request)));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('subwayfinder-') && key !== SHELL_CACHE && key !== TILE_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Drop the oldest tiles once the tile cache grows past MAX_TILES
+const trimTileCache = async () => {
+  const cache = await caches.open(TILE_CACHE);
+  const keys = await cache.keys();
+  const excess = keys.length - MAX_TILES;
+  for (let i = 0; i < excess; i++) {
+    await cache.delete(keys[i]);
+  }
+};
+
+// Tiles: cache-first, since a tile that was viewed once is good enough offline
+const handleTileRequest = async (request) => {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+    trimTileCache();
+  }
+  return response;
+};
+
+// App shell and snapshot: network-first so deploys and snapshot updates show up, cache when offline
+const handleShellRequest = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    // Single-page app: any navigation can be served by the cached index.html
+    if (request.mode === 'navigate') {
+      const shell = await cache.match(resolveUrl('index.html'));
+      if (shell) return shell;
+    }
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.hostname.endsWith('tile.openstreetmap.org')) {
+    event.respondWith(handleTileRequest(request));
+    return;
+  }
+
+  // MBTA API responses are cached by the app itself (IndexedDB), not here
+  if (url.origin !== self.location.origin) return;
+
+  event.respondWith(handleShellRequest(request));
+});
@@ -0,0 +1,88 @@
+// Regenerates public/data/subway-snapshot.json, the bundled station data used when the
+// MBTA API is unreachable. Run with `npm run update-snapshot` (requires Node 18+ for fetch).
+// Set MBTA_API_KEY to use an API key. This is an explicit step, not part of the build: it needs
+// network access and rewrites a tracked file, so run it and commit the result before a release.
+const fs = require('fs');
+const path = require('path');
+
+// The API address and subway lines come from the MBTA provider definition the app uses
+const MBTA = require('../src/services/mbtaProvider.json');
+
+const MBTA_BASE_URL = MBTA.baseUrl;
+const SUBWAY_ROUTE_IDS = Object.keys(MBTA.lines);
+const SNAPSHOT_VERSION = 1;
+const OUTPUT_PATH = path.join(__dirname, '..', 'public', 'data', 'subway-snapshot.json');
+
+const apiGet = async (pathAndQuery) => {
+  const separator = pathAndQuery.includes('?') ? '&' : '?';
+  const apiKey = process.env.MBTA_API_KEY ? `${separator}api_key=${process.env.MBTA_API_KEY}` : '';
+  const response = await fetch(`${MBTA_BASE_URL}${pathAndQuery}${apiKey}`);
+  if (!response.ok) {
+    throw new Error(`GET ${pathAndQuery} failed with status ${response.status}`);
+  }
+  return response.json();
+};
+
+const main = async () => {
+  const routesData = await apiGet(`/routes?filter[id]=${SUBWAY_ROUTE_IDS.join(',')}`);
+  const routeNames = {};
+  routesData.data.forEach(route => {
+    routeNames[route.id] = route.attributes.long_name || route.attributes.short_name;
+  });
+
+  const stations = new Map();
+
+  // One request per line keeps route membership exact without per-stop lookups
+  for (const routeId of SUBWAY_ROUTE_IDS) {
+    const stopsData = await apiGet(`/stops?filter[route]=${routeId}&include=parent_station`);
+    const parents = {};
+    (stopsData.included || []).forEach(parent => {
+      parents[parent.id] = parent;
+    });
+
+    stopsData.data.forEach(stop => {
+      const parentId = stop.relationships?.parent_station?.data?.id;
+      const parent = parents[parentId];
+      const stationId = parentId || stop.id;
+      const source = parent || stop;
+
+      if (!stations.has(stationId)) {
+        stations.set(stationId, {
+          id: stationId,
+          name: source.attributes.name,
+          latitude: source.attributes.latitude,
+          longitude: source.attributes.longitude,
+          parentStationId: parentId || null,
+          wheelchair_accessible: source.attributes.wheelchair_boarding === 1,
+          stopIds: [],
+          routes: []
+        });
+      }
+
+      const station = stations.get(stationId);
+      if (!station.stopIds.includes(stop.id)) station.stopIds.push(stop.id);
+      if (!station.routes.some(route => route.id === routeId)) {
+        station.routes.push({ id: routeId, name: routeNames[routeId] || routeId });
+      }
+    });
+  }
+
+  const snapshot = {
+    version: SNAPSHOT_VERSION,
+    generatedAt: new Date().toISOString(),
+    stations: Array.from(stations.values()).sort((a, b) => a.name.localeCompare(b.name))
+  };
+
+  // An empty snapshot can't answer offline searches; never replace the current one with it
+  if (snapshot.stations.length === 0) {
+    throw new Error('The API returned no stations; keeping the existing snapshot');
+  }
+
+  fs.writeFileSync(OUTPUT_PATH, `${JSON.stringify(snapshot, null, 2)}\n`);
+  console.log(`Wrote ${snapshot.stations.length} stations to ${OUTPUT_PATH}`);
+};
+
+main().catch(error => {
+  console.error('Error updating station snapshot:', error);
+  process.exit(1);
+});
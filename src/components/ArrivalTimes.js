@@ -0,0 +1,72 @@
+import React from 'react';
+import LineBullet from './LineBullet';
+import { mergeScheduledDepartures } from '../services/schedules';
+import { MAX_ARRIVALS_PER_DIRECTION } from '../services/mbtaApi';
+
+// Format a prediction timestamp as a countdown relative to now
+export const formatCountdown = (time, now) => {
+  const seconds = Math.round((time - now) / 1000);
+
+  if (seconds <= 30) return 'Now';
+  if (seconds < 60) return '<1 min';
+  return `${Math.floor(seconds / 60)} min`;
+};
+
+// Format a timestamp as a clock time, e.g. "11:42 PM"
+export const formatClockTime = (time) => (
+  new Date(time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+);
+
+// Component to render upcoming arrivals grouped by route and direction. Routes and directions
+// without predictions fall back on the station's timetable (schedule), labeled as scheduled.
+const ArrivalTimes = ({ predictions, schedule, now }) => {
+  const groups = mergeScheduledDepartures(predictions, schedule, now, MAX_ARRIVALS_PER_DIRECTION);
+  if (!groups) {
+    return null;
+  }
+
+  if (groups.length === 0) {
+    return (
+      <div style={{ color: '#999', fontSize: '11px', marginTop: '4px' }}>
+        No upcoming arrivals
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ marginTop: '6px' }}>
+      {groups.map(group => (
+        <div
+          key={`${group.routeId}-${group.directionId}`}
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            gap: '8px',
+            fontSize: '12px',
+            padding: '2px 0 2px 6px',
+            borderLeft: `3px solid ${group.color}`,
+            marginBottom: '3px'
+          }}
+        >
+          <span style={{ color: '#333', display: 'flex', alignItems: 'center', gap: '4px' }}>
+            <LineBullet line={group} size={14} title={group.routeName} />
+            {group.destination}
+          </span>
+          {group.scheduled ? (
+            <span style={{ color: '#666', whiteSpace: 'nowrap' }} title="No live predictions; times are from the timetable">
+              {group.arrivals.map(arrival => formatClockTime(arrival.time)).join(', ')}
+              <span style={{ color: '#999', fontStyle: 'italic' }}> scheduled</span>
+            </span>
+          ) : (
+            <span style={{ color: '#666', whiteSpace: 'nowrap' }}>
+              {group.arrivals.map(arrival => formatCountdown(arrival.time, now)).join(', ')}
+            </span>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ArrivalTimes;
@@ -0,0 +1,48 @@
+import React from 'react';
+
+// Format how long ago data was saved, e.g. "5 min", "3 hours", "2 days"
+export const formatDataAge = (savedAt, now) => {
+  const minutes = Math.max(0, Math.round((now - savedAt) / 60000));
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+  const days = Math.round(hours / 24);
+  return `${days} days`;
+};
+
+// Banner explaining when station data is offline or stale, and how old it is
+const DataStatus = ({ dataStatus, now }) => {
+  if (!dataStatus || (dataStatus.source === 'live' && !dataStatus.offline)) {
+    return null;
+  }
+
+  const age = dataStatus.savedAt ? formatDataAge(dataStatus.savedAt, now) : null;
+  const savedDate = dataStatus.savedAt ? new Date(dataStatus.savedAt).toLocaleDateString() : null;
+
+  let message;
+  if (dataStatus.source === 'gtfs') {
+    message = `🗂️ Showing stations from GTFS feed ${dataStatus.feedName}. Live arrivals and alerts are unavailable.`;
+  } else if (dataStatus.source === 'snapshot') {
+    message = `📴 Offline: showing bundled station data${savedDate ? ` from ${savedDate}` : ''}. Live arrivals and alerts are unavailable.`;
+  } else if (dataStatus.offline) {
+    message = `📴 Offline: showing saved station data${age ? ` (${age} old)` : ''}. Live arrivals and alerts are unavailable.`;
+  } else {
+    message = `⚠️ Station data may be out of date${age ? ` (${age} old)` : ''}. Refreshing in the background.`;
+  }
+
+  return (
+    <div style={{
+      backgroundColor: dataStatus.offline ? '#fff3cd' : '#f1f3f5',
+      color: dataStatus.offline ? '#8a6d00' : '#555',
+      borderRadius: '3px',
+      padding: '6px 8px',
+      fontSize: '11px',
+      marginBottom: '8px',
+      lineHeight: '1.4'
+    }}>
+      {message}
+    </div>
+  );
+};
+
+export default DataStatus;
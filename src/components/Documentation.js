@@ -17,8 +17,8 @@ const Documentation = ({ isOpen, onClose }) => {
           <section>
             <h2>Project Overview</h2>
             <p>
-              This project is a map application that identifies the three closest MBTA (Massachusetts Bay Transportation Authority) subway stations 
-              within a 1.25-mile radius of a specified location.
+              This project is a map application that identifies the closest MBTA (Massachusetts Bay Transportation Authority) subway stations 
+              to a specified location. By default it shows the three closest stations within a 1.25-mile radius; both can be changed in the info panel.
             </p>
           </section>
 
@@ -37,8 +37,8 @@ const Documentation = ({ isOpen, onClose }) => {
             <h2>Getting Started</h2>
             <div className="step-list">
               <div><strong>Step 1:</strong> Allow location access when prompted by your browser. Your current location will be automatically detected and marked with a pin on the ma</div>
-              <div><strong>Step 2:</strong> Click anywhere on the map to move the pin to a different location</div>
-              <div><strong>Step 3:</strong> Click "Show Nearby Stations" to find MBTA subway stations within 1.25 miles of the pinned location</div>
+              <div><strong>Step 2:</strong> Click anywhere on the map, or search for a station or address, to move the pin to a different location</div>
+              <div><strong>Step 3:</strong> Click "Show Nearby Stations" to find MBTA subway stations near the pinned location. Use the radius and count settings to widen the search, or "Expand until found" in sparse areas</div>
               <div><strong>Step 4:</strong> View station information including distance, subway lines, and accessibility features</div>
             </div>
             <p><strong>Note:</strong> The application works best in the Greater Boston area where MBTA subway service is available.</p>
@@ -110,9 +110,12 @@ const Documentation = ({ isOpen, onClose }) => {
 
             <h4>Data Processing:</h4>
             <div className="processing-list">
-              <div><strong>Distance Calculation:</strong> Uses Haversine formula to calculate distance from user's location to each station</div>
-              <div><strong>Filtering:</strong> Only stations within 1.25 miles of the user's location are displayed</div>
-              <div><strong>Caching:</strong> API responses are cached to reduce repeated requests and improve performance</div>
+              <div><strong>Distance Calculation:</strong> Uses the Haversine formula to measure the distance from the pinned location to each station's nearest entrance, or to the station itself when its entrances aren't known</div>
+              <div><strong>Ordering:</strong> Stations are listed by walk time from the pin, routed by a walking router when one is configured. Without a router, or when a route can't be found within 5 seconds, the walk is estimated as the straight-line distance times a detour factor at walking speed and marked "(est.)". The detour factor (1.3 by default) is uncalibrated. The ordering is approximate: only the stations closest in a straight line (plus 2 more with a router) are routed and reordered</div>
+              <div><strong>Filtering:</strong> Only stations within the search radius (1.25 miles by default) of the pinned location are displayed. In expand mode the radius grows in 0.25-mile steps, up to 10 miles, until enough stations are found</div>
+              <div><strong>Caching:</strong> The stop and route catalog is stored in IndexedDB and revalidated in the background, so repeat visits load instantly</div>
+              <div><strong>Spatial Index:</strong> Stations are indexed on a latitude/longitude grid for fast nearest-station lookups as the pin moves</div>
+              <div><strong>Route Lookups:</strong> A stop-to-route index is built from route patterns and their trips' stops in two batched requests, then reused for every search within the cache window</div>
               <div><strong>Rate Limiting:</strong> Caching was implemented to minimize API calls due to the MBTA API's rate limits</div>
             </div>
           </section>
@@ -0,0 +1,81 @@
+import React from 'react';
+import { Marker, Popup } from 'react-leaflet';
+import L from 'leaflet';
+
+// Border color of an entrance marker by its wheelchair accessibility
+const ACCESSIBILITY_COLORS = {
+  accessible: '#28a745',
+  inaccessible: '#d32f2f',
+  unknown: '#888'
+};
+
+const ACCESSIBILITY_LABELS = {
+  accessible: '♿ Accessible entrance',
+  inaccessible: '🚫 Not accessible',
+  unknown: 'Accessibility unknown'
+};
+
+const createEntranceIcon = (wheelchairBoarding, isNearest) => L.divIcon({
+  className: 'entrance-icon',
+  html: `<div style="
+    background-color: white;
+    width: 16px;
+    height: 16px;
+    border-radius: 3px;
+    border: 2px solid ${ACCESSIBILITY_COLORS[wheelchairBoarding] || ACCESSIBILITY_COLORS.unknown};
+    box-shadow: 0 1px 3px rgba(0,0,0,0.4)${isNearest ? ', 0 0 0 3px rgba(0,123,255,0.5)' : ''};
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    font-size: 10px;
+  ">🚪</div>`,
+  iconSize: [16, 16],
+  iconAnchor: [8, 8]
+});
+
+// One-line note on which entrance a station's distance is measured to
+export const NearestEntrance = ({ station }) => {
+  const entrance = station.nearestEntrance;
+  if (!entrance) return null;
+
+  return (
+    <div style={{ color: '#666', fontSize: '11px' }}>
+      🚪 Nearest entrance: {entrance.name}
+      {entrance.wheelchairBoarding === 'accessible' && <span title="Accessible entrance"> ♿</span>}
+      {entrance.wheelchairBoarding === 'inaccessible' && <span title="Not accessible"> (not accessible)</span>}
+    </div>
+  );
+};
+
+// Markers for every entrance of the selected station, with the nearest one outlined
+const EntranceMarkers = ({ station }) => (
+  <>
+    {station.entrances.map(entrance => {
+      const isNearest = station.nearestEntrance?.id === entrance.id;
+      return (
+        <Marker
+          key={entrance.id}
+          position={[entrance.latitude, entrance.longitude]}
+          icon={createEntranceIcon(entrance.wheelchairBoarding, isNearest)}
+        >
+          <Popup>
+            <div>
+              <h4 style={{ margin: '0 0 4px 0' }}>🚪 {station.name}: {entrance.name}</h4>
+              {isNearest && (
+                <div style={{ fontSize: '12px' }}>Nearest entrance, {entrance.distance.toFixed(2)} miles away</div>
+              )}
+              <div style={{ fontSize: '12px', color: ACCESSIBILITY_COLORS[entrance.wheelchairBoarding] }}>
+                {ACCESSIBILITY_LABELS[entrance.wheelchairBoarding]}
+              </div>
+              {entrance.description && (
+                <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>{entrance.description}</div>
+              )}
+            </div>
+          </Popup>
+        </Marker>
+      );
+    })}
+  </>
+);
+
+export default EntranceMarkers;
@@ -0,0 +1,53 @@
+import React from 'react';
+
+const buttonStyle = {
+  padding: '2px 6px',
+  fontSize: '11px',
+  border: '1px solid #ccc',
+  borderRadius: '3px',
+  backgroundColor: 'white',
+  cursor: 'pointer'
+};
+
+// Data source control: load a GTFS static feed (zip or extracted directory) in place of the live API.
+// Providers without a live API pass no onClear/liveSourceName, so their feed can't be removed.
+const GtfsFeed = ({ feed, status, error, onLoadFiles, onClear, liveSourceName }) => {
+  const handleFiles = (e) => {
+    if (e.target.files.length > 0) {
+      onLoadFiles(e.target.files);
+    }
+    // Allow picking the same file again
+    e.target.value = '';
+  };
+
+  return (
+    <div style={{ marginTop: '8px', fontSize: '12px' }}>
+      {feed ? (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <span>🗂️ GTFS feed: <strong>{feed.name}</strong></span>
+          {onClear && <button onClick={onClear} style={buttonStyle}>Use live data</button>}
+        </div>
+      ) : (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap' }}>
+          <span>Data source: {liveSourceName || 'none'}</span>
+          <label style={buttonStyle}>
+            Load GTFS zip
+            <input type="file" accept=".zip" onChange={handleFiles} style={{ display: 'none' }} />
+          </label>
+          <label style={buttonStyle}>
+            Load GTFS folder
+            <input type="file" webkitdirectory="" multiple onChange={handleFiles} style={{ display: 'none' }} />
+          </label>
+        </div>
+      )}
+      {status === 'loading' && (
+        <div style={{ color: '#666', fontSize: '11px', marginTop: '4px' }}>Reading GTFS feed...</div>
+      )}
+      {status === 'error' && (
+        <div style={{ color: '#d32f2f', fontSize: '11px', marginTop: '4px' }}>{error}</div>
+      )}
+    </div>
+  );
+};
+
+export default GtfsFeed;
@@ -0,0 +1,53 @@
+import React from 'react';
+
+// Colored line bullet in the line's published colors, with its branch letter or route number inside.
+// Takes anything with { color, textColor, bullet } (a line registry entry, a route, a prediction group).
+const LineBullet = ({ line, size = 16, title }) => {
+  const text = line.bullet || '';
+
+  return (
+    <span
+      title={title || line.name}
+      style={{
+        display: 'inline-flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        flexShrink: 0,
+        minWidth: `${size}px`,
+        height: `${size}px`,
+        padding: text.length > 1 ? '0 4px' : 0,
+        boxSizing: 'border-box',
+        borderRadius: `${size / 2}px`,
+        backgroundColor: line.color || '#555',
+        color: line.textColor || '#FFFFFF',
+        fontSize: `${Math.round(size * 0.65)}px`,
+        fontWeight: 'bold',
+        lineHeight: 1,
+        boxShadow: '0 1px 2px rgba(0,0,0,0.3)'
+      }}
+    >
+      {text}
+    </span>
+  );
+};
+
+// Component to render a station's line bullets
+export const LineBullets = ({ routes }) => {
+  if (!routes || routes.length === 0) {
+    return (
+      <div style={{ color: '#999', fontSize: '11px', marginTop: '4px' }}>
+        No line info available
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '3px', marginTop: '4px', alignItems: 'center' }}>
+      {routes.map((route, index) => (
+        <LineBullet key={route.id || index} line={route} />
+      ))}
+    </div>
+  );
+};
+
+export default LineBullet;
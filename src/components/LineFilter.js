@@ -0,0 +1,76 @@
+import React from 'react';
+import LineBullet from './LineBullet';
+import { sortLines } from '../services/lineRegistry';
+
+// Line bullets for the enabled modes; picking some restricts the station list and markers to
+// stations those lines serve. selected is an array of route IDs, or null for every line.
+const LineFilter = ({ lines, modes, selected, onChange }) => {
+  const modeLines = sortLines(lines).filter(line => modes.includes(line.mode));
+  if (modeLines.length === 0) return null;
+
+  const toggleLine = (routeId) => {
+    const current = selected || [];
+    const next = current.includes(routeId)
+      ? current.filter(id => id !== routeId)
+      : [...current, routeId];
+    onChange(next.length > 0 ? next : null);
+  };
+
+  return (
+    <div style={{ marginTop: '8px', fontSize: '12px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <span style={{ color: '#666' }}>Lines</span>
+        <button
+          onClick={() => onChange(null)}
+          disabled={!selected}
+          style={{
+            background: 'none',
+            border: 'none',
+            color: selected ? '#007bff' : '#999',
+            cursor: selected ? 'pointer' : 'default',
+            fontSize: '11px',
+            padding: 0
+          }}
+        >
+          All lines
+        </button>
+      </div>
+      <div style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '4px',
+        marginTop: '4px',
+        maxHeight: '90px',
+        overflowY: 'auto'
+      }}>
+        {modeLines.map(line => {
+          const isSelected = !selected || selected.includes(line.id);
+          return (
+            <button
+              key={line.id}
+              onClick={() => toggleLine(line.id)}
+              title={line.name}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '3px',
+                padding: '2px 5px',
+                border: `1px solid ${selected && isSelected ? line.color : '#ddd'}`,
+                borderRadius: '10px',
+                background: 'white',
+                opacity: isSelected ? 1 : 0.4,
+                cursor: 'pointer',
+                fontSize: '11px'
+              }}
+            >
+              <LineBullet line={line} size={14} />
+              {!line.bullet && line.name}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default LineFilter;
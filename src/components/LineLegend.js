@@ -0,0 +1,82 @@
+import React from 'react';
+import LineBullet from './LineBullet';
+import { sortLines } from '../services/lineRegistry';
+import { MODES } from '../services/mbtaApi';
+
+// Map legend: the subway lines drawn on the map, in the agency's order with a checkbox to toggle
+// each one, and the station marker used for each enabled mode
+const LineLegend = ({ lines, visibleLines, onToggleLine, onHighlightLine, stationModes }) => {
+  const mapLines = visibleLines
+    ? sortLines(lines).filter(line => line.id in visibleLines)
+    : [];
+
+  if (mapLines.length === 0 && !stationModes) return null;
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '25px',
+      left: '10px',
+      zIndex: 1000,
+      background: 'white',
+      padding: '8px 10px',
+      borderRadius: '5px',
+      boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+      fontSize: '12px',
+      textAlign: 'left'
+    }}>
+      {mapLines.length > 0 && (
+        <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>Subway Lines</div>
+      )}
+      {mapLines.map(line => (
+        <label
+          key={line.id}
+          onMouseEnter={() => onHighlightLine(line.id)}
+          onMouseLeave={() => onHighlightLine(null)}
+          style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer', padding: '1px 0' }}
+        >
+          <input
+            type="checkbox"
+            checked={!!visibleLines[line.id]}
+            onChange={() => onToggleLine(line.id)}
+          />
+          <span style={{
+            display: 'inline-block',
+            width: '18px',
+            height: '4px',
+            borderRadius: '2px',
+            backgroundColor: line.color
+          }}></span>
+          {line.bullet && <LineBullet line={line} size={14} />}
+          {line.name}
+        </label>
+      ))}
+      {stationModes && (
+        <>
+          <div style={{ fontWeight: 'bold', margin: mapLines.length > 0 ? '6px 0 4px' : '0 0 4px' }}>Stations</div>
+          {stationModes.map(modeId => (
+            <div key={modeId} style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '1px 0' }}>
+              <span style={{
+                display: 'inline-flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                width: '16px',
+                height: '16px',
+                borderRadius: '50%',
+                border: '2px solid white',
+                boxShadow: '0 1px 2px rgba(0,0,0,0.3)',
+                backgroundColor: MODES[modeId].color,
+                fontSize: '9px'
+              }}>
+                {MODES[modeId].emoji}
+              </span>
+              {MODES[modeId].label}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LineLegend;
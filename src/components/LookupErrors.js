@@ -0,0 +1,113 @@
+import React from 'react';
+import { formatDataAge } from './DataStatus';
+
+const noticeStyle = (tone) => ({
+  backgroundColor: tone === 'warning' ? '#fff3cd' : '#fdecea',
+  color: tone === 'warning' ? '#8a6d00' : '#a12a1f',
+  borderRadius: '3px',
+  padding: '6px 8px',
+  fontSize: '12px',
+  marginTop: '6px',
+  marginBottom: '8px',
+  lineHeight: '1.4'
+});
+
+const actionStyle = {
+  background: 'none',
+  border: 'none',
+  color: '#007bff',
+  cursor: 'pointer',
+  padding: 0,
+  marginRight: '10px',
+  fontSize: '12px'
+};
+
+const LOCATION_MESSAGES = {
+  'geolocation-denied': '📍 Location access is turned off for this site. Allow it in your browser settings, or set the pin yourself.',
+  'geolocation-unavailable': '📍 Your location isn\'t available right now. Try again, or set the pin yourself.'
+};
+
+// Why the user's location couldn't be found, with a manual way to set the pin.
+// onRetry asks for the location again (null when geolocation isn't supported); onUseDefault drops the pin on the provider's default center.
+export const LocationError = ({ error, hasPin, defaultCenterName, onRetry, onUseDefault }) => {
+  if (!error) return null;
+
+  return (
+    <div style={noticeStyle('warning')}>
+      <div>
+        {LOCATION_MESSAGES[error.kind]}
+        {error.timedOut && ' (the request timed out)'}
+      </div>
+      {!hasPin && (
+        <div style={{ marginTop: '4px' }}>
+          Click the map or search above to choose where to look for stations.
+        </div>
+      )}
+      <div style={{ marginTop: '4px' }}>
+        {onRetry && <button onClick={onRetry} style={actionStyle}>↻ Try again</button>}
+        {!hasPin && (
+          <button onClick={onUseDefault} style={actionStyle}>Look around {defaultCenterName}</button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Why the stations near the pin couldn't be loaded. cachedAt is when the results still shown
+// were fetched, if earlier results for this pin are being shown instead.
+const StationsError = ({ error, providerName, cachedAt, now, onRetry }) => {
+  if (!error) return null;
+
+  let message;
+  if (error.kind === 'network') {
+    message = `📴 Can't reach the ${providerName} API. Check your connection; stations will reload when it's back.`;
+  } else if (error.kind === 'rate-limited') {
+    const retryTime = error.retryAt ? new Date(error.retryAt).toLocaleTimeString() : null;
+    message = `⏳ Too many requests to the ${providerName} API right now.${retryTime ? ` Trying again at ${retryTime}.` : ''}`;
+  } else {
+    message = `⚠️ The ${providerName} API couldn't answer${error.status ? ` (error ${error.status})` : ''}.`;
+  }
+
+  return (
+    <div style={noticeStyle(error.kind === 'api-error' ? 'error' : 'warning')}>
+      <div>{message}</div>
+      {cachedAt && (
+        <div style={{ marginTop: '4px' }}>
+          Showing the stations found here {formatDataAge(cachedAt, now)} ago.
+        </div>
+      )}
+      <div style={{ marginTop: '4px' }}>
+        <button onClick={onRetry} style={actionStyle}>↻ Retry now</button>
+      </div>
+    </div>
+  );
+};
+
+// Nothing found near the pin: a wider search, or the service area when the pin is outside it
+export const NoStationsNearby = ({
+  radius,
+  accessibleOnly,
+  canExpand,
+  outsideServiceArea,
+  providerName,
+  defaultCenterName,
+  onExpand,
+  onUseDefault
+}) => (
+  <div style={{ color: '#666', fontSize: '13px' }}>
+    <div>
+      No {accessibleOnly ? 'step-free ' : ''}stations found within {radius} miles radius
+    </div>
+    {outsideServiceArea && (
+      <div style={{ fontSize: '12px', marginTop: '4px' }}>
+        The pin is outside the area {providerName} serves.
+      </div>
+    )}
+    <div style={{ marginTop: '4px' }}>
+      {canExpand && <button onClick={onExpand} style={actionStyle}>Search a wider area</button>}
+      {outsideServiceArea && <button onClick={onUseDefault} style={actionStyle}>Look around {defaultCenterName}</button>}
+    </div>
+  </div>
+);
+
+export default StationsError;
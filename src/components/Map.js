@@ -1,8 +1,58 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Circle, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
-import { fetchNearbyStations } from '../services/mbtaApi';
+import {
+  fetchNearbyStations,
+  fetchStationPredictions,
+  setStaticFeed,
+  getStaticFeed,
+  loadProviderFeed,
+  fetchLineRegistry,
+  FALLBACK_LINES,
+  SUBWAY_ROUTE_IDS,
+  MODES,
+  DEFAULT_MODES,
+  ROUTE_TYPES,
+  DEFAULT_SEARCH_RADIUS,
+  DEFAULT_MAX_RESULTS
+} from '../services/mbtaApi';
+import ArrivalTimes from './ArrivalTimes';
+import ServiceHours from './ServiceHours';
+import StationAlerts, { AccessibilityStatus, ExcludedStations } from './StationAlerts';
+import VehicleMarkers from './VehicleMarkers';
+import SubwayLines from './SubwayLines';
+import LineLegend from './LineLegend';
+import TripPlanner, { TripLegs } from './TripPlanner';
+import SearchSettings from './SearchSettings';
+import PlanTime, { formatPlanTime } from './PlanTime';
+import DataStatus from './DataStatus';
+import StationsError, { LocationError, NoStationsNearby } from './LookupErrors';
+import GtfsFeed from './GtfsFeed';
+import ModeToggles from './ModeToggles';
+import LineFilter from './LineFilter';
+import { LineBullets } from './LineBullet';
+import SearchBox from './SearchBox';
+import SavedPlaces from './SavedPlaces';
+import PlacesDashboard from './PlacesDashboard';
+import StationDrawer from './StationDrawer';
+import EntranceMarkers, { NearestEntrance } from './EntranceMarkers';
+import WalkingRoute, { WalkSummary } from './WalkingRoute';
+import StationPlatforms from './StationPlatforms';
+import { planSubwayTrip } from '../services/tripPlanner';
+import { loadGtfsFromFiles } from '../services/gtfs';
+import { getProvider, isInServiceArea } from '../services/providers';
+import { parseUrlState, buildUrlState } from '../services/urlState';
+import { isAbortError } from '../services/requestScheduler';
+import { isPlannedTime } from '../services/schedules';
+import { classifyGeolocationError, classifyStationsError, getAutoRetryDelay } from '../services/lookupErrors';
+import { loadSavedPlaces, savePlace, removeSavedPlace } from '../services/savedPlaces';
+
+// Agency-specific defaults come from the configured transit provider
+const provider = getProvider();
+const DEFAULT_CENTER = provider.defaultCenter;
+// Live vehicles, line shapes and trip planning need the provider's JSON:API
+const HAS_LIVE_API = provider.apiStyle === 'jsonapi';
 
 // Fix for default markers in react-leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -12,8 +62,15 @@ L.Icon.Default.mergeOptions({
   shadowUrl: require('leaflet/dist/images/marker-shadow.png'),
 });
 
-// Custom icon for MBTA stations
-const createStationIcon = (color = '#ff6b35') => {
+// Modes in display priority: a station serving several is drawn with the first one's icon
+const MODE_PRIORITY = ['subway', 'commuterRail', 'rail', 'ferry', 'silverLine', 'bus'];
+
+const getPrimaryMode = (station) => (
+  MODES[MODE_PRIORITY.find(modeId => station.modes?.includes(modeId))] || MODES[DEFAULT_MODES[0]]
+);
+
+// Custom icon for stations, in the color and emoji of the station's primary mode
+const createStationIcon = ({ color, emoji } = { color: '#ff6b35', emoji: '🚇' }) => {
   return L.divIcon({
     className: 'custom-station-icon',
     html: `<div style="
@@ -29,22 +86,91 @@ const createStationIcon = (color = '#ff6b35') => {
       color: white;
       font-weight: bold;
       font-size: 12px;
-    ">🚇</div>`,
+    ">${emoji}</div>`,
     iconSize: [20, 20],
     iconAnchor: [10, 10]
   });
 };
 
-// Component to handle map center updates and click events
-function MapUpdater({ center, onMapClick }) {
+// Marker for a saved place
+const savedPlaceIcon = L.divIcon({
+  className: 'saved-place-icon',
+  html: `<div style="
+    font-size: 18px;
+    filter: drop-shadow(0 1px 2px rgba(0,0,0,0.4));
+  ">⭐</div>`,
+  iconSize: [20, 20],
+  iconAnchor: [10, 10]
+});
+
+// How often to refresh arrival predictions and countdowns while the stations panel is open
+const PREDICTIONS_REFRESH_INTERVAL = 30 * 1000;
+const COUNTDOWN_TICK_INTERVAL = 15 * 1000;
+
+// How often to check whether the time being planned for has arrived
+const PLAN_EXPIRY_CHECK_INTERVAL = 30 * 1000;
+
+const METERS_PER_MILE = 1609.344;
+
+const DEFAULT_ZOOM = 13;
+
+const DEFAULT_SEARCH_SETTINGS = {
+  radius: DEFAULT_SEARCH_RADIUS,
+  maxResults: DEFAULT_MAX_RESULTS,
+  expandUntilFound: false,
+  modes: DEFAULT_MODES,
+  lines: null,
+  accessibleOnly: false,
+  // Target time to plan for (epoch ms), or null for now
+  time: null
+};
+
+// How many recent station lookups to keep for showing again when a later one fails
+const MAX_REMEMBERED_RESULTS = 20;
+
+const getStationsResultsKey = (position, settings, feed) => (
+  `${position.join(',')}|${JSON.stringify(settings)}|${feed?.name || ''}`
+);
+
+// results: key -> { result, fetchedAt }, oldest first (the component's name shadows Map here)
+const rememberStationsResult = (results, key, result) => {
+  delete results[key];
+  results[key] = { result, fetchedAt: Date.now() };
+  const keys = Object.keys(results);
+  if (keys.length > MAX_REMEMBERED_RESULTS) {
+    delete results[keys[0]];
+  }
+};
+
+// Map state encoded in the page URL (see ../services/urlState)
+const readUrlState = () => parseUrlState(window.location.search, Object.keys(MODES));
+
+// Component to handle map center and zoom updates and click events
+function MapUpdater({ center, zoom, onMapClick, onZoomChange }) {
   const map = useMap();
   
   useEffect(() => {
     if (center) {
-      map.setView(center, 13);
+      map.setView(center, map.getZoom());
     }
   }, [center, map]);
 
+  useEffect(() => {
+    if (zoom !== map.getZoom()) {
+      map.setZoom(zoom);
+    }
+  }, [zoom, map]);
+
+  useEffect(() => {
+    const handleZoomEnd = () => onZoomChange(map.getZoom());
+
+    map.on('zoomend', handleZoomEnd);
+
+    return () => {
+      map.off('zoomend', handleZoomEnd);
+    };
+  }, [map, onZoomChange]);
+
   useEffect(() => {
     const handleMapClick = (e) => {
       onMapClick([e.latlng.lat, e.latlng.lng]);
@@ -60,54 +186,61 @@ function MapUpdater({ center, onMapClick }) {
   return null;
 }
 
-// Component to render line emojis
-const LineEmojis = ({ routes, hasRouteData, distance }) => {
-  if (!hasRouteData) {
-    return (
-      <div style={{ color: '#999', fontSize: '11px', marginTop: '4px' }}>
-        Route info not available (beyond closest 3 stations)
-      </div>
-    );
-  }
-  
-  if (!routes || routes.length === 0) {
-    return (
-      <div style={{ color: '#999', fontSize: '11px', marginTop: '4px' }}>
-        No line info available
-      </div>
-    );
-  }
-  
-  return (
-    <div style={{ display: 'flex', gap: '3px', marginTop: '4px', alignItems: 'center' }}>
-      {routes.map((route, index) => (
-        <span 
-          key={route.id || index} 
-          title={`${route.name} (${route.emoji})`} 
-          style={{ 
-            fontSize: '16px',
-            filter: 'drop-shadow(0 1px 2px rgba(0,0,0,0.3))'
-          }}
-        >
-          {route.emoji}
-        </span>
-      ))}
-    </div>
-  );
-};
-
 const Map = () => {
   const [position, setPosition] = useState(null);
   const [userLocation, setUserLocation] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  // Why the user's location or the stations near the pin couldn't be found (see ../services/lookupErrors)
+  const [locationError, setLocationError] = useState(null);
+  const [stationsError, setStationsError] = useState(null);
   const [isUserLocation, setIsUserLocation] = useState(true);
   const [stations, setStations] = useState([]);
+  // Stations accessible-only mode left out of the results, with the reasons
+  const [excludedStations, setExcludedStations] = useState([]);
   const [loadingStations, setLoadingStations] = useState(false);
-  const [showStations, setShowStations] = useState(false);
+  const [showStations, setShowStations] = useState(() => !!readUrlState().showStations);
   const [gettingLocation, setGettingLocation] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const [showTrains, setShowTrains] = useState(false);
+  const [vehicleStatus, setVehicleStatus] = useState(null);
+  const [visibleLines, setVisibleLines] = useState(
+    () => Object.fromEntries(SUBWAY_ROUTE_IDS.map(routeId => [routeId, true]))
+  );
+  const [highlightedLine, setHighlightedLine] = useState(null);
+  const [showTripPlanner, setShowTripPlanner] = useState(false);
+  const [pinTarget, setPinTarget] = useState('origin');
+  const [destination, setDestination] = useState(null);
+  const [itineraries, setItineraries] = useState([]);
+  const [selectedItineraryIndex, setSelectedItineraryIndex] = useState(0);
+  const [tripStatus, setTripStatus] = useState('idle');
+  const [searchSettings, setSearchSettings] = useState(() => ({ ...DEFAULT_SEARCH_SETTINGS, ...readUrlState().settings }));
+  const [zoom, setZoom] = useState(() => readUrlState().zoom ?? DEFAULT_ZOOM);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [savedPlaces, setSavedPlaces] = useState(loadSavedPlaces);
+  const [showDashboard, setShowDashboard] = useState(false);
+  const [detailStation, setDetailStation] = useState(null);
+  const [selectedStationId, setSelectedStationId] = useState(null);
+  const [lines, setLines] = useState(FALLBACK_LINES);
+  const [activeRadius, setActiveRadius] = useState(DEFAULT_SEARCH_RADIUS);
+  const [dataStatus, setDataStatus] = useState(null);
+  // { time, servicePattern } when the stations shown are for a planned time rather than now
+  const [plan, setPlan] = useState(null);
+  const [isOnline, setIsOnline] = useState(navigator.onLine !== false);
+  const [gtfsFeed, setGtfsFeed] = useState(null);
+  const [gtfsStatus, setGtfsStatus] = useState('idle');
+  const [gtfsError, setGtfsError] = useState(null);
 
   useEffect(() => {
+    // A shared link already says where to look, so don't ask for the user's location
+    const urlPosition = readUrlState().position;
+    if (urlPosition) {
+      console.log('Using location from URL:', urlPosition);
+      setPosition(urlPosition);
+      setIsUserLocation(false);
+      setLoading(false);
+      return;
+    }
+
     // Get user's current location
     if (navigator.geolocation) {
       console.log('Geolocation is supported, attempting to get location...');
@@ -132,6 +265,8 @@ const Map = () => {
         }
       };
       
+      // Without a location there's no pin yet: the map opens on the default center and asks the
+      // user to place one, rather than listing stations for somewhere they never chose
       const errorCallback = (err) => {
         if (isLocationSet) return; // Prevent multiple calls
         isLocationSet = true;
@@ -144,30 +279,9 @@ const Map = () => {
           TIMEOUT: err.code === 3
         });
         
-        let errorMessage = 'Unable to get your location. ';
-        
-        switch (err.code) {
-          case 1:
-            errorMessage += 'Location access was denied. Please allow location access in your browser settings.';
-            break;
-          case 2:
-            errorMessage += 'Location information is unavailable. This might be due to poor GPS signal or network issues.';
-            break;
-          case 3:
-            errorMessage += 'Location request timed out. Please try again.';
-            break;
-          default:
-            errorMessage += 'Please enable location services and try again.';
-        }
-        
-        setError(errorMessage);
+        setLocationError(classifyGeolocationError(err));
         setLoading(false);
         
-        // Default to a fallback location (Boston)
-        const fallbackPos = [42.3601, -71.0589];
-        setUserLocation(fallbackPos);
-        setPosition(fallbackPos);
-        
         // Clear the timeout since we handled the error
         if (geolocationTimeout) {
           clearTimeout(geolocationTimeout);
@@ -187,13 +301,10 @@ const Map = () => {
       // Add a fallback timeout in case geolocation hangs
       geolocationTimeout = setTimeout(() => {
         if (!isLocationSet && loading) {
-          console.log('Geolocation timeout, using fallback location');
+          console.log('Geolocation timeout, waiting for the user to place the pin');
           isLocationSet = true;
-          setError('Location request timed out. Using default location (Boston).');
+          setLocationError(classifyGeolocationError({ code: 3 }));
           setLoading(false);
-          const fallbackPos = [42.3601, -71.0589];
-          setUserLocation(fallbackPos);
-          setPosition(fallbackPos);
         }
       }, 20000); // 20 second timeout
       
@@ -206,66 +317,420 @@ const Map = () => {
       
     } else {
       console.log('Geolocation is not supported by this browser');
-      setError('Geolocation is not supported by this browser. Using default location (Boston).');
+      setLocationError(classifyGeolocationError(null));
       setLoading(false);
-      // Default to a fallback location (Boston)
-      const fallbackPos = [42.3601, -71.0589];
-      setUserLocation(fallbackPos);
-      setPosition(fallbackPos);
     }
   }, []); // Empty dependency array - only run once on mount
 
+  // The station lookup for the current pin. A new lookup (the pin moved, settings changed) cancels
+  // the previous one, so results for a pin that is no longer selected are never shown.
+  const stationsRequestRef = useRef(null);
+
+  // Recent results by pin and settings, shown again if a later lookup for the same pin fails
+  const stationsResultsRef = useRef({});
+  const [stationsCachedAt, setStationsCachedAt] = useState(null);
+
+  const showStationsResult = useCallback((result) => {
+    setStations(result.stations);
+    setExcludedStations(result.excludedStations);
+    setActiveRadius(result.radius);
+    setDataStatus(result.dataStatus);
+    setPlan(result.plan);
+  }, []);
+
   const fetchStations = useCallback(async () => {
     if (!position) return;
-    
+
+    stationsRequestRef.current?.abort();
+    const request = new AbortController();
+    stationsRequestRef.current = request;
+    // The loaded GTFS feed (if any) is the data source, so switching feeds refetches
+    const resultsKey = getStationsResultsKey(position, searchSettings, gtfsFeed);
+
     setLoadingStations(true);
     try {
       console.log('Fetching stations for position:', position);
-      const nearbyStations = await fetchNearbyStations(position[0], position[1], 1.25);
-      setStations(nearbyStations);
-      // Clear any previous errors when stations are fetched successfully
-      setError(null);
+      const result = await fetchNearbyStations(position[0], position[1], { ...searchSettings, signal: request.signal });
+      if (request.signal.aborted) return;
+      showStationsResult(result);
+      setStationsError(null);
+      setStationsCachedAt(null);
+      rememberStationsResult(stationsResultsRef.current, resultsKey, result);
     } catch (error) {
+      if (isAbortError(error) || request.signal.aborted) return;
       console.error('Error fetching stations:', error);
-      setError('Unable to fetch nearby stations. Showing default location (Boston).');
-      // Set position to Boston when there's an error
-      const bostonPosition = [42.3601, -71.0589];
-      setPosition(bostonPosition);
-      setUserLocation(bostonPosition);
-      setStations([]);
-      
-      // Auto-clear the error after 3 seconds to show the map
-      setTimeout(() => {
-        setError(null);
-      }, 3000);
+      setStationsError(classifyStationsError(error, { online: navigator.onLine !== false }));
+
+      // The pin stays put: show what was found here before, if anything
+      const cached = stationsResultsRef.current[resultsKey];
+      if (cached) {
+        showStationsResult(cached.result);
+        setStationsCachedAt(cached.fetchedAt);
+      } else {
+        setStations([]);
+        setExcludedStations([]);
+        setDataStatus(null);
+        setPlan(null);
+        setStationsCachedAt(null);
+      }
     } finally {
-      setLoadingStations(false);
+      // A lookup that was replaced leaves the loading state to its successor
+      if (stationsRequestRef.current === request) {
+        stationsRequestRef.current = null;
+        setLoadingStations(false);
+      }
     }
-  }, [position]);
+  }, [position, searchSettings, gtfsFeed, showStationsResult]);
 
   // Fetch nearby stations when position changes
   useEffect(() => {
     if (position && showStations) {
       // Clear old data first
       setStations([]);
+      setStationsError(null);
+      setStationsCachedAt(null);
       setLoadingStations(true);
       // Small delay to ensure state updates are processed
-      setTimeout(() => {
+      const fetchTimer = setTimeout(() => {
         fetchStations();
       }, 10);
+      return () => clearTimeout(fetchTimer);
     }
   }, [position, showStations, fetchStations]);
 
+  // Drop the lookup in flight when the panel closes or the map unmounts
+  useEffect(() => {
+    if (!showStations) stationsRequestRef.current?.abort();
+  }, [showStations]);
+  useEffect(() => () => stationsRequestRef.current?.abort(), []);
+
+  // Try again on our own once a spent rate limit window resets
+  useEffect(() => {
+    const retryDelay = getAutoRetryDelay(stationsError);
+    if (retryDelay === null || !showStations) return;
+    const retryTimer = setTimeout(fetchStations, retryDelay);
+    return () => clearTimeout(retryTimer);
+  }, [stationsError, showStations, fetchStations]);
+
+  // Keep arrival predictions fresh while the stations panel is open; pauses when hidden, and when
+  // planning ahead there is nothing live to refresh. The timers restart only when the set of
+  // stations changes, not on every predictions update, so refreshes read the latest stations
+  // through a ref.
+  const stationsRef = useRef(stations);
+  stationsRef.current = stations;
+  const stationIdsKey = stations.map(station => station.id).join(',');
+  const planning = !!plan;
+  useEffect(() => {
+    if (!showStations || loadingStations || !stationIdsKey || planning) return;
+
+    // Cancelled with the timers, when the pin moves to other stations
+    const refreshRequest = new AbortController();
+
+    const refreshPredictions = async () => {
+      // Static GTFS feeds have no real-time predictions
+      if (navigator.onLine === false || getStaticFeed()) return;
+      try {
+        const predictionsByStation = await fetchStationPredictions(stationsRef.current, { signal: refreshRequest.signal });
+        if (refreshRequest.signal.aborted) return;
+        setStations(current => current.map(station => (
+          predictionsByStation[station.id]
+            ? { ...station, predictions: predictionsByStation[station.id] }
+            : station
+        )));
+      } catch (error) {
+        if (!isAbortError(error)) console.error('Error refreshing predictions:', error);
+      }
+    };
+
+    const refreshInterval = setInterval(refreshPredictions, PREDICTIONS_REFRESH_INTERVAL);
+    const tickInterval = setInterval(() => setNow(Date.now()), COUNTDOWN_TICK_INTERVAL);
+    setNow(Date.now());
+
+    return () => {
+      refreshRequest.abort();
+      clearInterval(refreshInterval);
+      clearInterval(tickInterval);
+    };
+  }, [showStations, loadingStations, stationIdsKey, planning]);
+
+  // Arrivals, service hours and alerts are read off at the planned time, or now
+  const viewTime = plan ? plan.time : now;
+
+  const updateSearchSettings = (changes) => {
+    setSearchSettings(current => ({ ...current, ...changes }));
+  };
+
+  // A planned time that has arrived (or a link whose time has passed) means now: drop it, so the
+  // URL, the picker and the results stop claiming a plan
+  useEffect(() => {
+    if (searchSettings.time === null) return;
+
+    const dropArrivedTime = () => setSearchSettings(current => (
+      current.time !== null && !isPlannedTime(current.time) ? { ...current, time: null } : current
+    ));
+    dropArrivedTime();
+    const expiryInterval = setInterval(dropArrivedTime, PLAN_EXPIRY_CHECK_INTERVAL);
+    return () => clearInterval(expiryInterval);
+  }, [searchSettings.time]);
+
+  const activateGtfsFeed = async (loadFeed) => {
+    setGtfsStatus('loading');
+    setGtfsError(null);
+    try {
+      const feed = await loadFeed();
+      console.log(`Loaded GTFS feed ${feed.name} with ${feed.stopsData.data.length} stops`);
+      setStaticFeed(feed);
+      setGtfsFeed(feed);
+      setGtfsStatus('idle');
+    } catch (error) {
+      console.error('Error loading GTFS feed:', error);
+      setGtfsError(`Unable to load GTFS feed: ${error.message}`);
+      setGtfsStatus('error');
+    }
+  };
+
+  const clearGtfsFeed = () => {
+    setStaticFeed(null);
+    setGtfsFeed(null);
+    clearLineFilter();
+  };
+
+  // Route IDs in a line filter may not exist in a newly chosen data source
+  const clearLineFilter = () => {
+    setSearchSettings(current => (current.lines ? { ...current, lines: null } : current));
+  };
+
+  // Line colors, names and order come from the active data source's routes
+  useEffect(() => {
+    // A GTFS-only provider has no routes until its feed loads
+    if (!HAS_LIVE_API && !gtfsFeed) return;
+
+    let cancelled = false;
+    fetchLineRegistry()
+      .then(registry => {
+        if (!cancelled) setLines(registry);
+      })
+      .catch(error => console.error('Error loading line registry:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [gtfsFeed]);
+
+  // Changing modes drops filtered lines that belong to modes no longer searched
+  const changeModes = (modes) => {
+    const modeLines = searchSettings.lines?.filter(routeId => modes.includes(lines[routeId]?.mode));
+    updateSearchSettings({ modes, lines: modeLines?.length ? modeLines : null });
+  };
+
+  // Start from the provider's configured GTFS feed, e.g. where the JSON:API is blocked
+  useEffect(() => {
+    if (provider.gtfsUrl) {
+      activateGtfsFeed(loadProviderFeed);
+    }
+  }, []);
+
+  // Mirror the pin, zoom, stations panel and search settings into the URL. Moving the pin or
+  // opening/closing the panel adds a history entry, so back and forward step through them;
+  // zooming and settings changes replace the current entry. The user's own location is left out
+  // of the URL until they copy a link.
+  const lastUrlStateRef = useRef(null);
+  useEffect(() => {
+    if (!position) return;
+
+    const query = buildUrlState(
+      { position: isUserLocation ? null : position, zoom, showStations, settings: searchSettings },
+      DEFAULT_SEARCH_SETTINGS
+    );
+    const previous = lastUrlStateRef.current;
+    lastUrlStateRef.current = { position, showStations };
+    if (query === window.location.search) return;
+
+    const url = `${window.location.pathname}${query}${window.location.hash}`;
+    if (previous && (previous.position !== position || previous.showStations !== showStations)) {
+      window.history.pushState(null, '', url);
+    } else {
+      window.history.replaceState(null, '', url);
+    }
+  }, [position, isUserLocation, zoom, showStations, searchSettings]);
+
+  // Back and forward restore the state saved in the URL
+  useEffect(() => {
+    const handlePopState = () => {
+      const urlState = readUrlState();
+      if (urlState.position) {
+        setPosition(urlState.position);
+        setIsUserLocation(false);
+      } else if (userLocation) {
+        setPosition(userLocation);
+        setIsUserLocation(true);
+      }
+      setZoom(urlState.zoom ?? DEFAULT_ZOOM);
+      setShowStations(!!urlState.showStations);
+      setSearchSettings({ ...DEFAULT_SEARCH_SETTINGS, ...urlState.settings });
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [userLocation]);
+
+  // Copy a link to the current view, including the pin even when it's the user's location
+  const copyLink = async () => {
+    const query = buildUrlState({ position, zoom, showStations, settings: searchSettings }, DEFAULT_SEARCH_SETTINGS);
+    const url = `${window.location.origin}${window.location.pathname}${query}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      // Clipboard access needs a secure context and permission; let the user copy it by hand
+      console.error('Unable to copy link:', error);
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  const toggleLine = (routeId) => {
+    setVisibleLines(current => ({ ...current, [routeId]: !current[routeId] }));
+  };
+
+  // Re-plan whenever either trip pin moves
+  useEffect(() => {
+    if (!showTripPlanner || !position || !destination) return;
+
+    let cancelled = false;
+    setTripStatus('loading');
+    setSelectedItineraryIndex(0);
+
+    planSubwayTrip(position, destination)
+      .then(results => {
+        if (cancelled) return;
+        setItineraries(results);
+        setTripStatus('ready');
+      })
+      .catch(error => {
+        console.error('Error planning trip:', error);
+        if (cancelled) return;
+        setItineraries([]);
+        setTripStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [showTripPlanner, position, destination]);
+
+  // Track connectivity so the panel can say when it's showing offline data
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // Reload live data as soon as the connection comes back. Only connectivity changes trigger a
+  // reload, so whether one is needed is read through a ref rather than re-running the effect.
+  const reloadWhenOnlineRef = useRef(null);
+  reloadWhenOnlineRef.current = showStations && (dataStatus?.offline || stationsError?.kind === 'network')
+    ? fetchStations
+    : null;
+  useEffect(() => {
+    if (isOnline) reloadWhenOnlineRef.current?.();
+  }, [isOnline]);
+
+  const openTripPlanner = () => {
+    setShowTripPlanner(true);
+    setPinTarget('destination');
+  };
+
+  const closeTripPlanner = () => {
+    setShowTripPlanner(false);
+    setPinTarget('origin');
+    setDestination(null);
+    setItineraries([]);
+    setTripStatus('idle');
+  };
+
   const handleMapClick = (newPosition) => {
+    if (showTripPlanner && pinTarget === 'destination') {
+      setDestination(newPosition);
+      return;
+    }
+
     setPosition(newPosition);
     setIsUserLocation(false);
-    // Clear any error messages when user manually changes location
-    setError(null);
+    // The user has chosen where to look, so a failed location request no longer matters
+    setLocationError(null);
     // Don't clear stations here - let the useEffect handle it
   };
 
+  // Move the pin to a search result and list the stations near it
+  const handleSearchSelect = (newPosition) => {
+    setPosition(newPosition);
+    setIsUserLocation(false);
+    setLocationError(null);
+    setShowStations(true);
+  };
+
+  // Move the pin to a saved place
+  const goToPlace = (place) => {
+    setPosition([place.latitude, place.longitude]);
+    setIsUserLocation(false);
+    setLocationError(null);
+  };
+
+  // From the dashboard: move the pin there and show its stations on the map
+  const switchPinToPlace = (place) => {
+    goToPlace(place);
+    setShowStations(true);
+    setShowDashboard(false);
+  };
+
+  const saveCurrentPin = (name) => {
+    if (!position) return;
+    setSavedPlaces(savePlace({ name, latitude: position[0], longitude: position[1] }));
+  };
+
+  const removePlace = (id) => {
+    const places = removeSavedPlace(id);
+    setSavedPlaces(places);
+    if (places.length === 0) setShowDashboard(false);
+  };
+
+  // Station details come from the live API; static GTFS feeds don't have them
+  const canShowDetails = HAS_LIVE_API && !gtfsFeed;
+
+  // The selected station's entrances are drawn on the map
+  const selectedStation = stations.find(station => station.id === selectedStationId) || null;
+
+  const detailsButton = (station) => (
+    <button
+      onClick={() => {
+        setSelectedStationId(station.id);
+        setDetailStation(station);
+      }}
+      style={{
+        background: 'none',
+        border: 'none',
+        color: '#007bff',
+        cursor: 'pointer',
+        padding: 0,
+        marginTop: '4px',
+        fontSize: '12px'
+      }}
+    >
+      Station details ›
+    </button>
+  );
+
   const goToMyLocation = () => {
-    if (!userLocation) return;
+    // Pages opened from a shared link have no stored location to fall back on
+    if (!userLocation && !navigator.geolocation) return;
     
     setGettingLocation(true);
     
@@ -281,6 +746,7 @@ const Map = () => {
           setUserLocation(newUserPos);
           setPosition(newUserPos);
           setIsUserLocation(true);
+          setLocationError(null);
           setGettingLocation(false);
           // Clear old station data immediately
           setStations([]);
@@ -295,17 +761,9 @@ const Map = () => {
             message: err.message
           });
           
-          // Use stored user location as fallback
-          console.log('Using stored user location as fallback');
-          setPosition(userLocation);
-          setIsUserLocation(true);
+          // Leave the pin (and its stations) where it is and say why it didn't move
+          setLocationError(classifyGeolocationError(err));
           setGettingLocation(false);
-          // Clear old station data immediately
-          setStations([]);
-          setLoadingStations(true);
-          if (showStations) {
-            fetchStations();
-          }
         },
         {
           enableHighAccuracy: false, // Use lower accuracy for better compatibility
@@ -334,8 +792,7 @@ const Map = () => {
       // Clear old data and show loading when enabling stations
       setStations([]);
       setLoadingStations(true);
-      // Clear any previous errors when toggling stations
-      setError(null);
+      setStationsError(null);
       fetchStations();
     }
   };
@@ -354,53 +811,6 @@ const Map = () => {
     );
   }
 
-  if (error && !position) {
-    return (
-      <div style={{ 
-        display: 'flex', 
-        justifyContent: 'center', 
-        alignItems: 'center', 
-        height: '100vh',
-        flexDirection: 'column',
-        gap: '15px',
-        textAlign: 'center',
-        padding: '20px'
-      }}>
-        <div style={{ 
-          fontSize: '24px', 
-          color: '#ff6b35',
-          marginBottom: '10px'
-        }}>
-          🚇
-        </div>
-        <div style={{ 
-          color: '#d32f2f', 
-          fontSize: '18px',
-          fontWeight: 'bold'
-        }}>
-          {error}
-        </div>
-        <div style={{ 
-          color: '#666', 
-          fontSize: '16px',
-          maxWidth: '400px',
-          lineHeight: '1.5'
-        }}>
-          Loading default location (Boston) and placing pin in the center of the city...
-        </div>
-        <div style={{
-          width: '40px',
-          height: '40px',
-          border: '4px solid #f3f3f3',
-          borderTop: '4px solid #ff6b35',
-          borderRadius: '50%',
-          animation: 'spin 1s linear infinite',
-          marginTop: '20px'
-        }}></div>
-      </div>
-    );
-  }
-
   return (
     <div style={{ height: '100vh', width: '100%', position: 'relative' }}>
       {/* Info Panel */}
@@ -415,15 +825,32 @@ const Map = () => {
         boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
         fontSize: '14px'
       }}>
+        <SearchBox
+          modes={searchSettings.modes}
+          serviceArea={provider.serviceArea}
+          onSelect={handleSearchSelect}
+        />
         <div style={{ fontWeight: 'bold', marginBottom: '5px' }}>
-          {isUserLocation ? '📍 Your Current Location' : '📍 Selected Location'}
-          {error && position && position[0] === 42.3601 && position[1] === -71.0589 && (
-            <span style={{ color: '#ff6b35', fontSize: '12px', marginLeft: '8px' }}>
-              (Default: Boston)
-            </span>
-          )}
+          {!position ? '📍 No Location Selected' : isUserLocation ? '📍 Your Current Location' : '📍 Selected Location'}
         </div>
-        <div>Click anywhere on the map to move the pin</div>
+        <div>Click anywhere on the map or search to {position ? 'move' : 'place'} the pin</div>
+        <LocationError
+          error={locationError}
+          hasPin={!!position}
+          defaultCenterName={provider.defaultCenterName}
+          onRetry={navigator.geolocation ? goToMyLocation : null}
+          onUseDefault={() => goToPlace({ latitude: DEFAULT_CENTER[0], longitude: DEFAULT_CENTER[1] })}
+        />
+        {position && !isInServiceArea(provider, position) && (
+          <div style={{ color: '#8a6d00', fontSize: '12px', marginTop: '4px' }}>
+            This pin is outside the {provider.name} service area.
+          </div>
+        )}
+        {!isOnline && (
+          <div style={{ color: '#8a6d00', fontSize: '12px', marginTop: '4px' }}>
+            📴 You're offline. Nearby stations come from saved data.
+          </div>
+        )}
         <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
           <button 
             onClick={toggleStations}
@@ -454,9 +881,135 @@ const Map = () => {
           >
             {gettingLocation ? 'Getting...' : '📍 My Location'}
           </button>
+          {HAS_LIVE_API && (
+            <button 
+              onClick={() => {
+                setShowTrains(!showTrains);
+                setVehicleStatus(null);
+              }}
+              style={{
+                padding: '5px 10px',
+                backgroundColor: showTrains ? '#ff6b35' : '#6f42c1',
+                color: 'white',
+                border: 'none',
+                borderRadius: '3px',
+                cursor: 'pointer',
+                fontSize: '12px'
+              }}
+            >
+              🚆 {showTrains ? 'Hide' : 'Show'} Trains
+            </button>
+          )}
+          {HAS_LIVE_API && !showTripPlanner && (
+            <button 
+              onClick={openTripPlanner}
+              style={{
+                padding: '5px 10px',
+                backgroundColor: '#17a2b8',
+                color: 'white',
+                border: 'none',
+                borderRadius: '3px',
+                cursor: 'pointer',
+                fontSize: '12px'
+              }}
+            >
+              🧭 Plan Trip
+            </button>
+          )}
+          <button
+            onClick={copyLink}
+            title="Copy a link to this view"
+            style={{
+              padding: '5px 10px',
+              backgroundColor: linkCopied ? '#28a745' : '#6c757d',
+              color: 'white',
+              border: 'none',
+              borderRadius: '3px',
+              cursor: 'pointer',
+              fontSize: '12px'
+            }}
+          >
+            {linkCopied ? '✓ Copied' : '🔗 Copy Link'}
+          </button>
         </div>
+        <SavedPlaces
+          places={savedPlaces}
+          onSelect={goToPlace}
+          onSave={saveCurrentPin}
+          onRemove={removePlace}
+          onOpenDashboard={() => setShowDashboard(true)}
+        />
+        {showTrains && vehicleStatus && (
+          <div style={{ color: vehicleStatus === 'error' ? '#d32f2f' : '#666', fontSize: '11px', marginTop: '6px' }}>
+            {vehicleStatus === 'streaming' && 'Live train positions (streaming)'}
+            {vehicleStatus === 'polling' && 'Live train positions (updating every 15s)'}
+            {vehicleStatus === 'error' && 'Unable to load train positions'}
+          </div>
+        )}
+        {showStations && (
+          <ModeToggles
+            modes={searchSettings.modes}
+            onChange={changeModes}
+          />
+        )}
+        {showStations && (
+          <LineFilter
+            lines={lines}
+            modes={searchSettings.modes}
+            selected={searchSettings.lines}
+            onChange={(selected) => updateSearchSettings({ lines: selected })}
+          />
+        )}
+        {showStations && (
+          <SearchSettings
+            radius={searchSettings.radius}
+            maxResults={searchSettings.maxResults}
+            expandUntilFound={searchSettings.expandUntilFound}
+            accessibleOnly={searchSettings.accessibleOnly}
+            onChange={updateSearchSettings}
+          />
+        )}
+        {/* Timetables and service patterns come from the live API */}
+        {showStations && canShowDetails && (
+          <PlanTime time={searchSettings.time} onChange={updateSearchSettings} />
+        )}
+        {showStations && (
+          <GtfsFeed
+            feed={gtfsFeed}
+            status={gtfsStatus}
+            error={gtfsError}
+            onLoadFiles={(files) => {
+              clearLineFilter();
+              activateGtfsFeed(() => loadGtfsFromFiles(files, { routeTypes: ROUTE_TYPES }));
+            }}
+            onClear={HAS_LIVE_API ? clearGtfsFeed : null}
+            liveSourceName={HAS_LIVE_API ? `live ${provider.name} API` : null}
+          />
+        )}
+        {showTripPlanner && (
+          <TripPlanner
+            lines={lines}
+            pinTarget={pinTarget}
+            onPinTargetChange={setPinTarget}
+            hasDestination={!!destination}
+            status={tripStatus}
+            itineraries={itineraries}
+            selectedIndex={selectedItineraryIndex}
+            onSelectItinerary={setSelectedItineraryIndex}
+            onClose={closeTripPlanner}
+          />
+        )}
       </div>
 
+      {showDashboard && (
+        <PlacesDashboard
+          places={savedPlaces}
+          searchSettings={searchSettings}
+          onSwitchPin={switchPinToPlace}
+          onClose={() => setShowDashboard(false)}
+        />
+      )}
+
       {/* Stations Sidebar */}
       {showStations && (
         <div 
@@ -475,7 +1028,31 @@ const Map = () => {
             overflowY: 'auto'
           }}
         >
-          <h3 style={{ margin: '0 0 10px 0', fontSize: '16px' }}>🚇 Nearby MBTA Stations</h3>
+          <h3 style={{ margin: '0 0 4px 0', fontSize: '16px' }}>🚇 Nearby {provider.name} Stations</h3>
+          {!loadingStations && (
+            <StationsError
+              error={stationsError}
+              providerName={provider.name}
+              cachedAt={stationsCachedAt}
+              now={now}
+              onRetry={fetchStations}
+            />
+          )}
+          {!loadingStations && <DataStatus dataStatus={dataStatus} now={now} />}
+          {!loadingStations && (
+            <div style={{ color: '#666', fontSize: '12px', marginBottom: '8px' }}>
+              Within {activeRadius} miles
+              {searchSettings.expandUntilFound && activeRadius > searchSettings.radius && ' (expanded)'}
+              {searchSettings.accessibleOnly && ' · ♿ accessible only'}
+            </div>
+          )}
+          {!loadingStations && plan && (
+            <div style={{ backgroundColor: '#e8f1fd', color: '#0b4f8a', borderRadius: '3px', padding: '4px 6px', fontSize: '12px', marginBottom: '8px' }}>
+              🕒 Planning for {formatPlanTime(plan.time)}
+              {plan.servicePattern && <div style={{ fontSize: '11px' }}>{plan.servicePattern.label}</div>}
+              <div style={{ fontSize: '11px', color: '#555' }}>Scheduled times; live arrivals show when you choose now.</div>
+            </div>
+          )}
           {loadingStations ? (
             <div style={{ 
               display: 'flex', 
@@ -500,42 +1077,100 @@ const Map = () => {
                 <div key={station.id} style={{
                   padding: '8px',
                   borderBottom: '1px solid #eee',
-                  fontSize: '13px'
+                  fontSize: '13px',
+                  background: station.id === selectedStationId ? '#f0f6ff' : 'transparent'
                 }}>
-                  <div style={{ fontWeight: 'bold', color: '#333' }}>
+                  <button
+                    onClick={() => setSelectedStationId(station.id === selectedStationId ? null : station.id)}
+                    title="Show the walk, platforms and entrances of this station"
+                    style={{
+                      background: 'none',
+                      border: 'none',
+                      padding: 0,
+                      cursor: 'pointer',
+                      fontWeight: 'bold',
+                      fontSize: '13px',
+                      color: '#333',
+                      textAlign: 'left'
+                    }}
+                  >
                     {station.name}
-                  </div>
+                  </button>
                   <div style={{ color: '#666', fontSize: '12px' }}>
                     {station.distance.toFixed(2)} miles away
                   </div>
-                  <LineEmojis routes={station.routes} hasRouteData={station.hasRouteData} distance={station.distance} />
-                  {station.wheelchair_accessible && (
-                    <div style={{ color: '#28a745', fontSize: '11px', marginTop: '4px' }}>
-                      ♿ Wheelchair accessible
-                    </div>
-                  )}
+                  <WalkSummary station={station} />
+                  <NearestEntrance station={station} />
+                  <LineBullets routes={station.routes} />
+                  {station.id === selectedStationId && <StationPlatforms station={station} />}
+                  <ArrivalTimes predictions={station.predictions} schedule={station.schedule} now={viewTime} />
+                  <ServiceHours schedule={station.schedule} now={viewTime} planned={planning} />
+                  <StationAlerts alerts={station.alerts} />
+                  <AccessibilityStatus station={station} accessibleOnly={searchSettings.accessibleOnly} />
+                  {canShowDetails && detailsButton(station)}
                 </div>
               ))}
             </div>
-          ) : (
+          ) : !position ? (
             <div style={{ color: '#666', fontSize: '13px' }}>
-              No stations found within 1.25 miles radius
+              Click the map or search to choose where to look for stations
             </div>
+          ) : !stationsError && (
+            <NoStationsNearby
+              radius={activeRadius}
+              accessibleOnly={searchSettings.accessibleOnly}
+              canExpand={!searchSettings.expandUntilFound}
+              outsideServiceArea={!!position && !isInServiceArea(provider, position)}
+              providerName={provider.name}
+              defaultCenterName={provider.defaultCenterName}
+              onExpand={() => updateSearchSettings({ expandUntilFound: true })}
+              onUseDefault={() => goToPlace({ latitude: DEFAULT_CENTER[0], longitude: DEFAULT_CENTER[1] })}
+            />
           )}
+          {!loadingStations && searchSettings.accessibleOnly && <ExcludedStations stations={excludedStations} />}
         </div>
       )}
+
+      <LineLegend
+        lines={lines}
+        visibleLines={HAS_LIVE_API ? visibleLines : null}
+        onToggleLine={toggleLine}
+        onHighlightLine={setHighlightedLine}
+        stationModes={showStations ? searchSettings.modes : null}
+      />
       
       <MapContainer
-        center={position}
-        zoom={13}
+        // Until the user picks a spot (or shares their location) the map opens on the default center, without a pin
+        center={position || DEFAULT_CENTER}
+        zoom={zoom}
         style={{ height: '100%', width: '100%' }}
       >
         <TileLayer
           attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
           url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
         />
-        <MapUpdater center={position} onMapClick={handleMapClick} />
+        <MapUpdater center={position} zoom={zoom} onMapClick={handleMapClick} onZoomChange={setZoom} />
+
+        {/* Subway line geometry, drawn beneath the markers */}
+        {HAS_LIVE_API && (
+          <SubwayLines
+            lines={lines}
+            visibleLines={visibleLines}
+            highlightedLine={highlightedLine}
+            onHighlightLine={setHighlightedLine}
+          />
+        )}
         
+        {/* Active Search Radius */}
+        {showStations && position && !loadingStations && (
+          <Circle
+            center={position}
+            radius={activeRadius * METERS_PER_MILE}
+            pathOptions={{ color: '#007bff', weight: 1, fillOpacity: 0.05, dashArray: '4 6' }}
+            interactive={false}
+          />
+        )}
+
         {/* User/Selected Location Marker */}
         {position && (
           <Marker position={position}>
@@ -552,26 +1187,75 @@ const Map = () => {
           </Marker>
         )}
 
+        {/* Saved Places */}
+        {savedPlaces.map(place => (
+          <Marker
+            key={place.id}
+            position={[place.latitude, place.longitude]}
+            icon={savedPlaceIcon}
+          >
+            <Popup>
+              <div>
+                <h3 style={{ margin: '0 0 6px 0' }}>⭐ {place.name}</h3>
+                <button onClick={() => goToPlace(place)} style={{ fontSize: '12px' }}>
+                  📍 Move pin here
+                </button>
+              </div>
+            </Popup>
+          </Marker>
+        ))}
+
+        {/* Trip Planner Destination and Legs */}
+        {showTripPlanner && (
+          <TripLegs
+            lines={lines}
+            destination={destination}
+            itinerary={tripStatus === 'ready' ? itineraries[selectedItineraryIndex] : null}
+          />
+        )}
+
+        {/* Live Train Markers */}
+        {HAS_LIVE_API && showTrains && <VehicleMarkers lines={lines} onStatusChange={setVehicleStatus} />}
+
+        {/* Walk to and Entrances of the Selected Station */}
+        {showStations && selectedStation && <WalkingRoute station={selectedStation} />}
+        {showStations && selectedStation && <EntranceMarkers station={selectedStation} />}
+
         {/* Station Markers */}
         {showStations && stations.map((station) => (
           <Marker 
             key={station.id}
             position={[station.latitude, station.longitude]}
-            icon={createStationIcon()}
+            icon={createStationIcon(getPrimaryMode(station))}
+            eventHandlers={{ click: () => setSelectedStationId(station.id) }}
           >
             <Popup>
               <div>
                 <h3>🚇 {station.name}</h3>
                 <p>Distance: {station.distance.toFixed(2)} miles</p>
-                <LineEmojis routes={station.routes} hasRouteData={station.hasRouteData} distance={station.distance} />
-                {station.wheelchair_accessible && (
-                  <p style={{ color: '#28a745', marginTop: '4px' }}>♿ Wheelchair accessible</p>
-                )}
+                <WalkSummary station={station} />
+                <NearestEntrance station={station} />
+                <LineBullets routes={station.routes} />
+                <StationPlatforms station={station} />
+                <ArrivalTimes predictions={station.predictions} schedule={station.schedule} now={viewTime} />
+                <ServiceHours schedule={station.schedule} now={viewTime} planned={planning} />
+                <StationAlerts alerts={station.alerts} />
+                <AccessibilityStatus station={station} accessibleOnly={searchSettings.accessibleOnly} />
+                {canShowDetails && detailsButton(station)}
               </div>
             </Popup>
           </Marker>
         ))}
       </MapContainer>
+
+      {detailStation && (
+        <StationDrawer
+          station={stations.find(station => station.id === detailStation.id) || detailStation}
+          plan={plan}
+          now={viewTime}
+          onClose={() => setDetailStation(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,37 @@
+import React from 'react';
+import { MODES } from '../services/mbtaApi';
+
+// Checkboxes choosing which transit modes the nearby-station search includes
+const ModeToggles = ({ modes, onChange }) => {
+  const toggleMode = (modeId) => {
+    const next = modes.includes(modeId)
+      ? modes.filter(id => id !== modeId)
+      : [...modes, modeId];
+    // Keep at least one mode selected
+    if (next.length > 0) {
+      onChange(Object.keys(MODES).filter(id => next.includes(id)));
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginTop: '8px', fontSize: '12px' }}>
+      {Object.entries(MODES).map(([modeId, mode]) => (
+        <label
+          key={modeId}
+          style={{ display: 'flex', alignItems: 'center', gap: '3px', cursor: 'pointer' }}
+        >
+          <input
+            type="checkbox"
+            checked={modes.includes(modeId)}
+            onChange={() => toggleMode(modeId)}
+          />
+          <span style={{ borderBottom: `2px solid ${mode.color}` }}>
+            {mode.emoji} {mode.label}
+          </span>
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default ModeToggles;
@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { fetchNearbyStations, fetchStationPredictions, getStaticFeed } from '../services/mbtaApi';
+import { isAbortError } from '../services/requestScheduler';
+import ArrivalTimes from './ArrivalTimes';
+import ServiceHours from './ServiceHours';
+import DataStatus from './DataStatus';
+import { formatPlanTime } from './PlanTime';
+import { LineBullets } from './LineBullet';
+
+// Same cadence as the stations panel
+const PREDICTIONS_REFRESH_INTERVAL = 30 * 1000;
+const COUNTDOWN_TICK_INTERVAL = 15 * 1000;
+
+// Dashboard of every saved place at once: the stations near each one, with upcoming departures,
+// found with the current search settings, for now or the time being planned for. Places load one
+// after another to go easy on the API.
+const PlacesDashboard = ({ places, searchSettings, onSwitchPin, onClose }) => {
+  // place ID -> { status: 'loading' | 'ready' | 'error', stations, radius, dataStatus, plan }
+  const [results, setResults] = useState({});
+  const [now, setNow] = useState(Date.now());
+  const resultsRef = useRef(results);
+  resultsRef.current = results;
+
+  useEffect(() => {
+    // Cancels the lookup in flight when the places or settings change
+    const request = new AbortController();
+
+    const loadPlaces = async () => {
+      for (const place of places) {
+        if (request.signal.aborted) return;
+        setResults(current => ({ ...current, [place.id]: { ...current[place.id], status: 'loading' } }));
+        try {
+          const result = await fetchNearbyStations(place.latitude, place.longitude, { ...searchSettings, signal: request.signal });
+          if (request.signal.aborted) return;
+          setResults(current => ({
+            ...current,
+            [place.id]: { status: 'ready', stations: result.stations, radius: result.radius, dataStatus: result.dataStatus, plan: result.plan }
+          }));
+        } catch (error) {
+          if (request.signal.aborted) return;
+          console.error(`Error fetching stations near ${place.name}:`, error);
+          setResults(current => ({ ...current, [place.id]: { ...current[place.id], status: 'error' } }));
+        }
+      }
+      setNow(Date.now());
+    };
+
+    loadPlaces();
+
+    return () => {
+      request.abort();
+    };
+  }, [places, searchSettings]);
+
+  // Keep departures fresh with one predictions request for every place's stations. Places shown
+  // for a planned time have no live predictions to refresh.
+  useEffect(() => {
+    // Cancelled with the timers, when the dashboard closes or the places or settings change
+    const refreshRequest = new AbortController();
+
+    const refreshPredictions = async () => {
+      // Static GTFS feeds have no real-time predictions
+      if (navigator.onLine === false || getStaticFeed()) return;
+
+      const stations = Object.values(resultsRef.current)
+        .filter(result => !result.plan)
+        .flatMap(result => result.stations || []);
+      if (stations.length === 0) return;
+      try {
+        const predictionsByStation = await fetchStationPredictions(stations, { signal: refreshRequest.signal });
+        if (refreshRequest.signal.aborted) return;
+        setResults(current => Object.fromEntries(Object.entries(current).map(([placeId, result]) => [
+          placeId,
+          result.stations
+            ? {
+              ...result,
+              stations: result.stations.map(station => (
+                predictionsByStation[station.id] ? { ...station, predictions: predictionsByStation[station.id] } : station
+              ))
+            }
+            : result
+        ])));
+      } catch (error) {
+        if (!isAbortError(error)) console.error('Error refreshing dashboard predictions:', error);
+      }
+    };
+
+    const refreshInterval = setInterval(refreshPredictions, PREDICTIONS_REFRESH_INTERVAL);
+    const tickInterval = setInterval(() => setNow(Date.now()), COUNTDOWN_TICK_INTERVAL);
+
+    return () => {
+      refreshRequest.abort();
+      clearInterval(refreshInterval);
+      clearInterval(tickInterval);
+    };
+  }, [places, searchSettings]);
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '60px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      zIndex: 1100,
+      background: 'white',
+      padding: '15px',
+      borderRadius: '5px',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.3)',
+      width: 'min(640px, 90vw)',
+      maxHeight: '80vh',
+      overflowY: 'auto',
+      textAlign: 'left'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <h3 style={{ margin: 0, fontSize: '16px' }}>📋 Saved Places</h3>
+        <button
+          onClick={onClose}
+          aria-label="Close dashboard"
+          style={{ background: 'none', border: 'none', fontSize: '18px', cursor: 'pointer', color: '#666' }}
+        >
+          ×
+        </button>
+      </div>
+      {places.map(place => {
+        const result = results[place.id] || { status: 'loading' };
+        return (
+          <div key={place.id} style={{ borderTop: '1px solid #eee', padding: '8px 0' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <strong style={{ fontSize: '14px' }}>⭐ {place.name}</strong>
+              <button
+                onClick={() => onSwitchPin(place)}
+                style={{
+                  padding: '3px 8px',
+                  backgroundColor: '#007bff',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '3px',
+                  cursor: 'pointer',
+                  fontSize: '12px'
+                }}
+              >
+                📍 Switch pin to this place
+              </button>
+            </div>
+            {result.status === 'loading' && !result.stations && (
+              <div style={{ color: '#666', fontSize: '12px', marginTop: '4px' }}>Loading nearby stations...</div>
+            )}
+            {result.status === 'error' && (
+              <div style={{ color: '#d32f2f', fontSize: '12px', marginTop: '4px' }}>Unable to load stations for this place</div>
+            )}
+            {result.stations && <DataStatus dataStatus={result.dataStatus} now={now} />}
+            {result.plan && (
+              <div style={{ color: '#0b4f8a', fontSize: '12px', marginTop: '4px' }}>
+                🕒 {formatPlanTime(result.plan.time)}
+                {result.plan.servicePattern && ` · ${result.plan.servicePattern.label}`}
+              </div>
+            )}
+            {result.stations && result.stations.length === 0 && (
+              <div style={{ color: '#666', fontSize: '12px', marginTop: '4px' }}>
+                No stations within {result.radius} miles
+              </div>
+            )}
+            {result.stations && result.stations.map(station => (
+              <div key={station.id} style={{ fontSize: '13px', marginTop: '6px', paddingLeft: '8px' }}>
+                <div>
+                  <span style={{ fontWeight: 'bold', color: '#333' }}>{station.name}</span>
+                  <span style={{ color: '#666', fontSize: '12px' }}> · {station.distance.toFixed(2)} mi</span>
+                </div>
+                <LineBullets routes={station.routes} />
+                <ArrivalTimes predictions={station.predictions} schedule={station.schedule} now={result.plan ? result.plan.time : now} />
+                <ServiceHours schedule={station.schedule} now={result.plan ? result.plan.time : now} planned={!!result.plan} />
+              </div>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default PlacesDashboard;
@@ -0,0 +1,59 @@
+import React from 'react';
+import { formatLocalDateTime, parseLocalDateTime } from '../services/urlState';
+
+// Switching to "Later" starts an hour from now, on the quarter hour
+const DEFAULT_PLAN_OFFSET = 60 * 60 * 1000;
+const PLAN_STEP = 15 * 60 * 1000;
+
+const getDefaultPlanTime = () => (
+  Math.ceil((Date.now() + DEFAULT_PLAN_OFFSET) / PLAN_STEP) * PLAN_STEP
+);
+
+// Format a planned time for display, e.g. "Sat, Oct 18, 7:30 PM"
+export const formatPlanTime = (time) => (
+  new Date(time).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+);
+
+const inputStyle = {
+  fontSize: '12px',
+  padding: '1px 2px',
+  marginLeft: '4px'
+};
+
+// When to look at service: now, with live arrivals, or a date and time ahead, with that day's
+// timetable, the alerts in effect then and its weekend or holiday service pattern.
+// time is epoch ms, or null for now.
+const PlanTime = ({ time, onChange }) => {
+  const planning = time !== null;
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', alignItems: 'center', marginTop: '8px', fontSize: '12px' }}>
+      <label>
+        🕒 Leave
+        <select
+          value={planning ? 'later' : 'now'}
+          onChange={(e) => onChange({ time: e.target.value === 'later' ? getDefaultPlanTime() : null })}
+          style={inputStyle}
+        >
+          <option value="now">Now</option>
+          <option value="later">Later</option>
+        </select>
+      </label>
+      {planning && (
+        <input
+          type="datetime-local"
+          aria-label="Date and time to plan for"
+          value={formatLocalDateTime(time)}
+          min={formatLocalDateTime(Date.now())}
+          onChange={(e) => {
+            const chosen = parseLocalDateTime(e.target.value);
+            if (chosen !== null) onChange({ time: chosen });
+          }}
+          style={inputStyle}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PlanTime;
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { MAX_SAVED_PLACES, canSavePlace } from '../services/savedPlaces';
+
+const chipStyle = {
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '4px',
+  padding: '2px 8px',
+  border: '1px solid #ccc',
+  borderRadius: '10px',
+  background: 'white',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+// Saved places in the info panel: a chip per place that moves the pin there, a form to save the
+// current pin under a name, and a button opening the dashboard of every place
+const SavedPlaces = ({ places, onSelect, onSave, onRemove, onOpenDashboard }) => {
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState('');
+
+  // Once the list is full only an existing name can be saved again (moving that place)
+  const full = places.length >= MAX_SAVED_PLACES;
+  const allowed = canSavePlace(places, name);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!name.trim() || !allowed) return;
+    onSave(name);
+    setName('');
+    setNaming(false);
+  };
+
+  return (
+    <div style={{ marginTop: '8px', fontSize: '12px' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', alignItems: 'center' }}>
+        {places.map(place => (
+          <span key={place.id} style={chipStyle}>
+            <button
+              onClick={() => onSelect(place)}
+              title={`Move the pin to ${place.name}`}
+              style={{ background: 'none', border: 'none', cursor: 'pointer', padding: 0, fontSize: '12px' }}
+            >
+              ⭐ {place.name}
+            </button>
+            <button
+              onClick={() => onRemove(place.id)}
+              title={`Forget ${place.name}`}
+              aria-label={`Forget ${place.name}`}
+              style={{ background: 'none', border: 'none', color: '#999', cursor: 'pointer', padding: 0, fontSize: '12px' }}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        {!naming && (
+          <button onClick={() => setNaming(true)} style={{ ...chipStyle, color: '#007bff' }}>
+            ☆ Save this pin
+          </button>
+        )}
+        {places.length > 0 && (
+          <button onClick={onOpenDashboard} style={{ ...chipStyle, color: '#007bff' }}>
+            📋 Dashboard
+          </button>
+        )}
+      </div>
+      {naming && (
+        <form onSubmit={submit} style={{ display: 'flex', gap: '4px', marginTop: '4px' }}>
+          <input
+            autoFocus
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setNaming(false)}
+            placeholder="Name, e.g. Home or Work"
+            maxLength={40}
+            style={{ flex: 1, fontSize: '12px', padding: '2px 6px' }}
+          />
+          <button type="submit" disabled={!name.trim() || !allowed} style={{ fontSize: '12px' }}>Save</button>
+          <button type="button" onClick={() => setNaming(false)} style={{ fontSize: '12px' }}>Cancel</button>
+        </form>
+      )}
+      {naming && full && (
+        <div role={allowed ? undefined : 'alert'} style={{ color: '#8a6d00', marginTop: '4px' }}>
+          Limit of {MAX_SAVED_PLACES} saved places reached. Forget one (×) to save a new place, or
+          save under an existing name to move it here.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedPlaces;
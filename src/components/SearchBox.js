@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useRef, useId } from 'react';
+import LineBullet from './LineBullet';
+import { searchStations } from '../services/mbtaApi';
+import { geocodeAddress } from '../services/geocoder';
+import { isAbortError } from '../services/requestScheduler';
+import { loadRecentSearches, saveRecentSearch, clearRecentSearches } from '../services/recentSearches';
+
+// Wait this long after the last keystroke before searching station names
+const STATION_SEARCH_DELAY = 150;
+// Shortest query offered for an address lookup
+const MIN_ADDRESS_QUERY_LENGTH = 3;
+
+const TYPE_ICONS = { station: '🚉', address: '📍' };
+
+// Search box for stations and addresses. Station names autocomplete from the stop catalog as you
+// type; addresses are looked up with the geocoder when the search is submitted. Arrow keys move
+// through the results, Enter picks one and Escape closes the list. With an empty query the list
+// shows recent searches.
+const SearchBox = ({ modes, serviceArea, onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [stationResults, setStationResults] = useState([]);
+  const [addressResults, setAddressResults] = useState(null);
+  const [addressStatus, setAddressStatus] = useState('idle');
+  const [highlighted, setHighlighted] = useState(-1);
+  const [recentSearches, setRecentSearches] = useState(loadRecentSearches);
+  const geocodeController = useRef(null);
+  const listId = useId();
+
+  const trimmedQuery = query.trim();
+
+  // Autocomplete station names; a newer query supersedes results still in flight, address
+  // lookups included
+  useEffect(() => {
+    geocodeController.current?.abort();
+    setAddressResults(null);
+    setAddressStatus('idle');
+    setHighlighted(-1);
+    if (!trimmedQuery) {
+      setStationResults([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const results = await searchStations(trimmedQuery, { modes });
+        if (!cancelled) setStationResults(results);
+      } catch (error) {
+        console.error('Station search failed:', error);
+        if (!cancelled) setStationResults([]);
+      }
+    }, STATION_SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [trimmedQuery, modes]);
+
+  // Abandon an address lookup when the box unmounts
+  useEffect(() => () => geocodeController.current?.abort(), []);
+
+  const searchAddresses = async () => {
+    geocodeController.current?.abort();
+    const controller = new AbortController();
+    geocodeController.current = controller;
+
+    setAddressStatus('loading');
+    try {
+      const results = await geocodeAddress(trimmedQuery, { serviceArea, signal: controller.signal });
+      if (controller.signal.aborted) return;
+      setAddressResults(results);
+      setAddressStatus('idle');
+      setHighlighted(results.length > 0 ? stationResults.length : -1);
+    } catch (error) {
+      if (isAbortError(error) || controller.signal.aborted) return;
+      console.error('Address search failed:', error);
+      setAddressStatus('error');
+    }
+  };
+
+  // The rows of the dropdown, in display order
+  const canSearchAddresses = trimmedQuery.length >= MIN_ADDRESS_QUERY_LENGTH && navigator.onLine !== false;
+  let items;
+  if (!trimmedQuery) {
+    items = recentSearches.map(search => ({ ...search, recent: true }));
+  } else {
+    items = [
+      ...stationResults.map(station => ({ ...station, type: 'station' })),
+      ...(addressResults || []).map(address => ({ ...address, type: 'address' }))
+    ];
+    if (!addressResults && canSearchAddresses) {
+      items.push({ type: 'geocode' });
+    }
+  }
+
+  const selectItem = (item) => {
+    if (item.type === 'geocode') {
+      searchAddresses();
+      return;
+    }
+
+    // A lookup still in flight must not replace the choice just made
+    geocodeController.current?.abort();
+    setRecentSearches(saveRecentSearch(item));
+    setQuery('');
+    setOpen(false);
+    onSelect([item.latitude, item.longitude], item);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (items.length === 0) return;
+      setOpen(true);
+      // Cycle through the results and back to the input (-1)
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted(current => ((current + 1 + step + items.length + 1) % (items.length + 1)) - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (items[highlighted]) {
+        selectItem(items[highlighted]);
+      } else if (canSearchAddresses) {
+        // Submitting free text looks it up as an address
+        searchAddresses();
+      }
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      setHighlighted(-1);
+    }
+  };
+
+  const showList = open && (items.length > 0 || addressStatus !== 'idle' || (addressResults && addressResults.length === 0));
+
+  return (
+    <div style={{ position: 'relative', marginBottom: '8px' }}>
+      <input
+        type="search"
+        role="combobox"
+        value={query}
+        placeholder="Search stations or addresses"
+        aria-label="Search stations or addresses"
+        aria-autocomplete="list"
+        aria-expanded={!!showList}
+        aria-controls={listId}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        // Delay closing so a click on a result lands first
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onKeyDown={handleKeyDown}
+        style={{
+          width: '100%',
+          boxSizing: 'border-box',
+          padding: '5px 8px',
+          border: '1px solid #ccc',
+          borderRadius: '3px',
+          fontSize: '13px'
+        }}
+      />
+      {showList && (
+        <div
+          id={listId}
+          role="listbox"
+          style={{
+            position: 'absolute',
+            top: '100%',
+            left: 0,
+            right: 0,
+            zIndex: 1001,
+            marginTop: '2px',
+            background: 'white',
+            border: '1px solid #ddd',
+            borderRadius: '3px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+            maxHeight: '260px',
+            overflowY: 'auto',
+            fontSize: '12px'
+          }}
+        >
+          {!trimmedQuery && (
+            <div style={{ display: 'flex', justifyContent: 'space-between', padding: '4px 8px', color: '#666' }}>
+              <span>Recent searches</span>
+              <button
+                // Keep focus in the input so the list stays open
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => setRecentSearches(clearRecentSearches())}
+                style={{ background: 'none', border: 'none', color: '#007bff', cursor: 'pointer', fontSize: '11px', padding: 0 }}
+              >
+                Clear
+              </button>
+            </div>
+          )}
+          {items.map((item, index) => (
+            <div
+              key={`${item.type}-${item.id || item.name}-${item.detail || ''}-${index}`}
+              role="option"
+              aria-selected={index === highlighted}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectItem(item)}
+              onMouseEnter={() => setHighlighted(index)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                padding: '5px 8px',
+                cursor: 'pointer',
+                background: index === highlighted ? '#e8f0fe' : 'white'
+              }}
+            >
+              {item.type === 'geocode' ? (
+                <span style={{ color: '#007bff' }}>
+                  🔎 {addressStatus === 'loading' ? 'Searching addresses...' : `Search addresses for "${trimmedQuery}"`}
+                </span>
+              ) : (
+                <>
+                  <span>{item.recent ? '🕘' : TYPE_ICONS[item.type]}</span>
+                  <span style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ color: '#333' }}>{item.name}</div>
+                    {item.detail && (
+                      <div style={{ color: '#999', fontSize: '11px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {item.detail}
+                      </div>
+                    )}
+                  </span>
+                  {item.type === 'station' && !item.recent && (
+                    <span style={{ display: 'flex', gap: '2px' }}>
+                      {item.routes.slice(0, 4).map(route => (
+                        <LineBullet key={route.id} line={route} size={12} />
+                      ))}
+                    </span>
+                  )}
+                </>
+              )}
+            </div>
+          ))}
+          {addressResults && addressResults.length === 0 && (
+            <div style={{ padding: '5px 8px', color: '#666' }}>No addresses found</div>
+          )}
+          {addressStatus === 'error' && (
+            <div style={{ padding: '5px 8px', color: '#d32f2f' }}>Unable to search addresses</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,70 @@
+import React from 'react';
+
+// Radius options offered in the search settings, in miles
+const RADIUS_OPTIONS = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 5];
+const MAX_RESULTS_OPTIONS = [1, 2, 3, 4, 5, 6, 8, 10];
+
+// The options with the current value added in order, so a value from a shared link (e.g. r=0.3)
+// is shown as it is rather than as a different option
+const withCurrentOption = (options, value) => (
+  options.includes(value) ? options : [...options, value].sort((a, b) => a - b)
+);
+
+const selectStyle = {
+  fontSize: '12px',
+  padding: '1px 2px',
+  marginLeft: '4px'
+};
+
+// Controls for the nearby-station search radius, result count, expand mode and accessible-only mode
+const SearchSettings = ({ radius, maxResults, expandUntilFound, accessibleOnly, onChange }) => {
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center', marginTop: '8px', fontSize: '12px' }}>
+      <label>
+        Radius
+        <select
+          value={radius}
+          onChange={(e) => onChange({ radius: Number(e.target.value) })}
+          style={selectStyle}
+        >
+          {withCurrentOption(RADIUS_OPTIONS, radius).map(option => (
+            <option key={option} value={option}>{option} mi</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Show
+        <select
+          value={maxResults}
+          onChange={(e) => onChange({ maxResults: Number(e.target.value) })}
+          style={selectStyle}
+        >
+          {withCurrentOption(MAX_RESULTS_OPTIONS, maxResults).map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      </label>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+        <input
+          type="checkbox"
+          checked={expandUntilFound}
+          onChange={(e) => onChange({ expandUntilFound: e.target.checked })}
+        />
+        Expand until {maxResults} found
+      </label>
+      <label
+        title="Leave out stations with no step-free path right now, counting elevator outages and inaccessible platforms"
+        style={{ display: 'flex', alignItems: 'center', gap: '4px' }}
+      >
+        <input
+          type="checkbox"
+          checked={accessibleOnly}
+          onChange={(e) => onChange({ accessibleOnly: e.target.checked })}
+        />
+        ♿ Accessible stations only
+      </label>
+    </div>
+  );
+};
+
+export default SearchSettings;
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import LineBullet from './LineBullet';
+import { formatClockTime } from './ArrivalTimes';
+import { getServiceHours, getServiceStatus, getFirstDeparture, getLastTrainWarnings } from '../services/schedules';
+
+const noticeStyle = {
+  backgroundColor: '#fff3cd',
+  color: '#8a6d00',
+  borderRadius: '3px',
+  padding: '4px 6px',
+  fontSize: '11px',
+  marginTop: '4px',
+  lineHeight: '1.4'
+};
+
+// Today's service at a station from its timetable: when service starts if it hasn't yet, a notice
+// when service has ended for the night or a last train is about to leave, and the first and last
+// departure of each direction on demand.
+// When planned, now is the time being planned for and the wording is about that day instead.
+const ServiceHours = ({ schedule, now, planned = false }) => {
+  const [expanded, setExpanded] = useState(false);
+  if (!schedule) {
+    return null;
+  }
+
+  const status = getServiceStatus(schedule, now);
+  const warnings = status === 'running' ? getLastTrainWarnings(schedule, now) : [];
+  const directions = schedule
+    .map(group => ({ group, hours: getServiceHours(group) }))
+    .filter(({ hours }) => hours);
+
+  const firstDeparture = status === 'not-started' ? getFirstDeparture(schedule) : null;
+
+  return (
+    <div style={{ marginTop: '4px' }}>
+      {firstDeparture && (
+        <div style={noticeStyle}>
+          🌅 {planned ? 'Service won\'t have started by then; it starts' : 'Service starts'} at {formatClockTime(firstDeparture.time)}.
+        </div>
+      )}
+      {status === 'ended' && (
+        <div style={noticeStyle}>🌙 {planned ? 'Service will have ended for the night by then.' : 'Service has ended for tonight.'}</div>
+      )}
+      {status === 'none' && (
+        <div style={{ color: '#999', fontSize: '11px' }}>No scheduled service {planned ? 'that day' : 'today'}</div>
+      )}
+      {warnings.map(warning => (
+        <div key={`${warning.routeId}-${warning.directionId}`} style={noticeStyle}>
+          ⚠️ Last {warning.routeName} to {warning.last.destination} leaves at {formatClockTime(warning.last.time)}
+        </div>
+      ))}
+      {directions.length > 0 && (
+        <button
+          onClick={() => setExpanded(!expanded)}
+          style={{ background: 'none', border: 'none', color: '#007bff', cursor: 'pointer', padding: 0, fontSize: '11px' }}
+        >
+          {expanded ? '▾' : '▸'} First and last trains {planned ? 'that day' : 'today'}
+        </button>
+      )}
+      {expanded && directions.map(({ group, hours }) => (
+        <div
+          key={`${group.routeId}-${group.directionId}`}
+          style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '11px', color: '#555', padding: '1px 0' }}
+        >
+          <LineBullet line={group} size={12} title={group.routeName} />
+          <span style={{ flex: 1 }}>{hours.last.destination}</span>
+          <span style={{ whiteSpace: 'nowrap' }}>
+            {formatClockTime(hours.first.time)} – {formatClockTime(hours.last.time)}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ServiceHours;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+
+// Badge label and colors for each alert category
+const ALERT_BADGES = {
+  delay: { label: 'Delay', icon: '⏳', color: '#8a6d00', background: '#fff3cd' },
+  shuttle: { label: 'Shuttle', icon: '🚌', color: '#8a3b00', background: '#ffe0cc' },
+  closure: { label: 'Closure', icon: '⛔', color: '#a00000', background: '#f8d7da' },
+  elevator: { label: 'Elevator out', icon: '🛗', color: '#0b4f8a', background: '#d6e9fb' },
+  escalator: { label: 'Escalator out', icon: '↗️', color: '#0b4f8a', background: '#d6e9fb' }
+};
+
+// A single alert badge that expands to show the alert text
+const AlertBadge = ({ alert }) => {
+  const [expanded, setExpanded] = useState(false);
+  const badge = ALERT_BADGES[alert.category];
+
+  return (
+    <div style={{ marginTop: '4px' }}>
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          setExpanded(!expanded);
+        }}
+        title={alert.header}
+        style={{
+          display: 'inline-flex',
+          alignItems: 'center',
+          gap: '4px',
+          padding: '2px 6px',
+          border: 'none',
+          borderRadius: '10px',
+          backgroundColor: badge.background,
+          color: badge.color,
+          fontSize: '11px',
+          fontWeight: 'bold',
+          cursor: 'pointer'
+        }}
+      >
+        {badge.icon} {badge.label} {expanded ? '▾' : '▸'}
+      </button>
+      {expanded && (
+        <div style={{ fontSize: '11px', color: '#444', marginTop: '3px', lineHeight: '1.4', textAlign: 'left' }}>
+          <div style={{ fontWeight: 'bold' }}>{alert.header}</div>
+          {alert.description && (
+            <div style={{ marginTop: '2px', whiteSpace: 'pre-line' }}>{alert.description}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Component to render service alert badges for a station
+const StationAlerts = ({ alerts }) => {
+  if (!alerts || alerts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div style={{ marginTop: '4px' }}>
+      {alerts.map(alert => (
+        <AlertBadge key={alert.id} alert={alert} />
+      ))}
+    </div>
+  );
+};
+
+// Label and color for each step-free access status (see services/accessibility)
+const ACCESS_LABELS = {
+  'step-free': { text: '♿ Step-free access', color: '#28a745' },
+  limited: { text: '♿ Step-free access limited', color: '#b35c00' },
+  none: { text: '🚫 No step-free access', color: '#d32f2f' },
+  unknown: { text: '♿ Accessibility unknown', color: '#666' }
+};
+
+// Step-free access of a station, taking live elevator outages and platforms into account, with
+// the reasons when access is limited. Unknown access is only called out in accessible-only mode.
+export const AccessibilityStatus = ({ station, accessibleOnly = false }) => {
+  const access = station.access;
+  if (!access || (access.status === 'unknown' && !accessibleOnly)) {
+    return null;
+  }
+
+  const label = ACCESS_LABELS[access.status];
+  return (
+    <div style={{ color: label.color, fontSize: '11px', marginTop: '4px' }}>
+      {label.text}
+      {access.reasons.length > 0 && (
+        <ul style={{ margin: '2px 0 0 0', paddingLeft: '16px' }}>
+          {access.reasons.map(reason => <li key={reason}>{reason}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// The stations accessible-only mode left out, each with why it has no step-free path
+export const ExcludedStations = ({ stations }) => {
+  const [expanded, setExpanded] = useState(false);
+  if (!stations || stations.length === 0) {
+    return null;
+  }
+
+  return (
+    <div style={{ padding: '8px', fontSize: '12px', color: '#666' }}>
+      <button
+        onClick={() => setExpanded(!expanded)}
+        aria-expanded={expanded}
+        style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: '#666', fontSize: '12px' }}
+      >
+        🚫 {stations.length} closer station{stations.length === 1 ? '' : 's'} without step-free access {expanded ? '▾' : '▸'}
+      </button>
+      {expanded && stations.map(station => (
+        <div key={station.id} style={{ marginTop: '4px' }}>
+          <strong style={{ color: '#333' }}>{station.name}</strong>
+          <ul style={{ margin: '2px 0 0 0', paddingLeft: '16px', color: '#d32f2f', fontSize: '11px' }}>
+            {station.access.reasons.map(reason => <li key={reason}>{reason}</li>)}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default StationAlerts;
@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import { getStationDetails } from '../services/mbtaApi';
+import LineBullet, { LineBullets } from './LineBullet';
+import ArrivalTimes from './ArrivalTimes';
+import ServiceHours from './ServiceHours';
+import StationAlerts from './StationAlerts';
+import { formatPlanTime } from './PlanTime';
+
+const WHEELCHAIR_LABELS = {
+  accessible: { icon: '♿', text: 'Accessible', color: '#1b5e20' },
+  inaccessible: { icon: '🚫', text: 'Not accessible', color: '#a00000' },
+  unknown: { icon: '❔', text: 'Accessibility unknown', color: '#666' }
+};
+
+const sectionTitleStyle = {
+  margin: '14px 0 6px 0',
+  fontSize: '13px',
+  color: '#333',
+  textTransform: 'uppercase',
+  letterSpacing: '0.03em'
+};
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'flex-start',
+  gap: '6px',
+  padding: '4px 0',
+  borderBottom: '1px solid #f0f0f0',
+  fontSize: '13px'
+};
+
+const WheelchairBadge = ({ status }) => {
+  const label = WHEELCHAIR_LABELS[status] || WHEELCHAIR_LABELS.unknown;
+  return (
+    <span title={label.text} style={{ color: label.color, fontSize: '12px', whiteSpace: 'nowrap' }}>
+      {label.icon}
+    </span>
+  );
+};
+
+// Drawer with everything known about one station: its service, platforms and the directions they
+// serve, entrances, facilities, address and accessibility notes. Details are fetched on open and
+// cached per station by getStationDetails. Service is as of now, or as of plan.time when planning
+// ahead (plan: { time, servicePattern } from fetchNearbyStations).
+const StationDrawer = ({ station, plan = null, now, onClose }) => {
+  const [details, setDetails] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const [attempt, setAttempt] = useState(0);
+
+  const stationId = station.parentStationId || station.id;
+  const modesKey = (station.modes || []).join(',');
+
+  useEffect(() => {
+    // Closing the drawer or switching stations cancels the request
+    const request = new AbortController();
+    setStatus('loading');
+    setDetails(null);
+
+    getStationDetails(stationId, { modes: modesKey ? modesKey.split(',') : undefined, signal: request.signal })
+      .then(result => {
+        if (request.signal.aborted) return;
+        setDetails(result);
+        setStatus('ready');
+      })
+      .catch(() => {
+        if (!request.signal.aborted) setStatus('error');
+      });
+
+    return () => {
+      request.abort();
+    };
+  }, [stationId, modesKey, attempt]);
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 0,
+      right: 0,
+      bottom: 0,
+      zIndex: 1200,
+      width: 'min(360px, 100vw)',
+      background: 'white',
+      boxShadow: '-2px 0 8px rgba(0,0,0,0.25)',
+      padding: '15px',
+      boxSizing: 'border-box',
+      overflowY: 'auto',
+      textAlign: 'left'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+        <h3 style={{ margin: 0, fontSize: '17px' }}>{station.name}</h3>
+        <button
+          onClick={onClose}
+          aria-label="Close station details"
+          style={{ background: 'none', border: 'none', fontSize: '20px', cursor: 'pointer', color: '#666', lineHeight: 1 }}
+        >
+          ×
+        </button>
+      </div>
+      <LineBullets routes={station.routes} />
+      {typeof station.distance === 'number' && (
+        <div style={{ color: '#666', fontSize: '12px', marginTop: '4px' }}>
+          {station.distance.toFixed(2)} miles away
+        </div>
+      )}
+
+      {(station.predictions || station.schedule || station.alerts?.length > 0) && (
+        <>
+          <h4 style={sectionTitleStyle}>{plan ? `Service · ${formatPlanTime(plan.time)}` : 'Service'}</h4>
+          {plan?.servicePattern && (
+            <div style={{ fontSize: '12px', color: '#0b4f8a' }}>{plan.servicePattern.label}</div>
+          )}
+          <ArrivalTimes predictions={station.predictions} schedule={station.schedule} now={now} />
+          <ServiceHours schedule={station.schedule} now={now} planned={!!plan} />
+          <StationAlerts alerts={station.alerts} />
+        </>
+      )}
+
+      {status === 'loading' && (
+        <div style={{ color: '#666', fontSize: '13px', marginTop: '12px' }}>Loading station details...</div>
+      )}
+      {status === 'error' && (
+        <div style={{ color: '#d32f2f', fontSize: '13px', marginTop: '12px' }}>
+          Unable to load station details.{' '}
+          <button
+            onClick={() => setAttempt(attempt + 1)}
+            style={{ background: 'none', border: 'none', color: '#007bff', cursor: 'pointer', padding: 0, fontSize: '13px' }}
+          >
+            Try again
+          </button>
+        </div>
+      )}
+
+      {details && (
+        <>
+          {(details.address || details.municipality) && (
+            <>
+              <h4 style={sectionTitleStyle}>Address</h4>
+              <div style={{ fontSize: '13px', color: '#333' }}>
+                📫 {details.address || details.municipality}
+              </div>
+            </>
+          )}
+
+          {details.platforms.length > 0 && (
+            <>
+              <h4 style={sectionTitleStyle}>Platforms</h4>
+              {details.platforms.map(platform => (
+                <div key={platform.id} style={rowStyle}>
+                  <span style={{ display: 'flex', gap: '2px', minWidth: '34px' }}>
+                    {platform.routes.map(route => <LineBullet key={route.id} line={route} size={14} />)}
+                  </span>
+                  <span style={{ flex: 1 }}>
+                    {platform.direction ? `Toward ${platform.direction}` : platform.name}
+                    {platform.platformCode && <span style={{ color: '#666' }}> · Track {platform.platformCode}</span>}
+                    {platform.description && (
+                      <div style={{ color: '#666', fontSize: '11px' }}>{platform.description}</div>
+                    )}
+                  </span>
+                  <WheelchairBadge status={platform.wheelchairBoarding} />
+                </div>
+              ))}
+            </>
+          )}
+
+          {details.entrances.length > 0 && (
+            <>
+              <h4 style={sectionTitleStyle}>Entrances</h4>
+              {details.entrances.map(entrance => (
+                <div key={entrance.id} style={rowStyle}>
+                  <span>🚪</span>
+                  <span style={{ flex: 1 }}>
+                    {entrance.name}
+                    {station.nearestEntrance?.id === entrance.id && (
+                      <span style={{ color: '#007bff' }}> · nearest</span>
+                    )}
+                    {entrance.description && (
+                      <div style={{ color: '#666', fontSize: '11px' }}>{entrance.description}</div>
+                    )}
+                  </span>
+                  <WheelchairBadge status={entrance.wheelchairBoarding} />
+                </div>
+              ))}
+            </>
+          )}
+
+          {details.facilities.length > 0 && (
+            <>
+              <h4 style={sectionTitleStyle}>Facilities</h4>
+              {details.facilities.map(facility => (
+                <div key={facility.id} style={rowStyle}>
+                  <span>{facility.icon}</span>
+                  <span style={{ flex: 1 }}>
+                    <strong style={{ fontWeight: 600 }}>{facility.label}</strong>
+                    {facility.name && ` · ${facility.name}`}
+                    {facility.details.length > 0 && (
+                      <div style={{ color: '#666', fontSize: '11px' }}>{facility.details.join(' · ')}</div>
+                    )}
+                  </span>
+                </div>
+              ))}
+            </>
+          )}
+
+          <h4 style={sectionTitleStyle}>Accessibility</h4>
+          {details.accessibilityNotes.length > 0 ? (
+            <ul style={{ margin: 0, paddingLeft: '18px', fontSize: '13px', color: '#333' }}>
+              {details.accessibilityNotes.map(note => <li key={note}>{note}</li>)}
+            </ul>
+          ) : (
+            <div style={{ fontSize: '13px', color: '#666' }}>No accessibility information available.</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StationDrawer;
@@ -0,0 +1,38 @@
+import React from 'react';
+import LineBullet from './LineBullet';
+
+const WHEELCHAIR_ICONS = {
+  accessible: { icon: '♿', title: 'Accessible platform' },
+  inaccessible: { icon: '🚫', title: 'Platform not accessible' }
+};
+
+// Which platform serves which line and direction, with each platform's accessibility.
+// Standalone stops (a bus stop is its own only platform) have nothing to add and show nothing.
+const StationPlatforms = ({ station }) => {
+  const platforms = (station.platforms || []).filter(platform => platform.direction || platform.routes.length > 0);
+  if (platforms.length < 2 && !platforms.some(platform => platform.direction)) {
+    return null;
+  }
+
+  return (
+    <div style={{ marginTop: '4px', fontSize: '11px', color: '#444' }}>
+      {platforms.map(platform => {
+        const wheelchair = WHEELCHAIR_ICONS[platform.wheelchairBoarding];
+        return (
+          <div key={platform.id} style={{ display: 'flex', alignItems: 'center', gap: '4px', padding: '1px 0' }}>
+            <span style={{ display: 'flex', gap: '2px', minWidth: '28px' }}>
+              {platform.routes.map(route => <LineBullet key={route.id} line={route} size={12} />)}
+            </span>
+            <span style={{ flex: 1 }}>
+              {platform.direction ? `Toward ${platform.direction}` : platform.name}
+              {platform.platformCode && <span style={{ color: '#666' }}> · Track {platform.platformCode}</span>}
+            </span>
+            {wheelchair && <span title={wheelchair.title}>{wheelchair.icon}</span>}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default StationPlatforms;
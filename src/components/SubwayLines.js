@@ -0,0 +1,47 @@
+import React, { useState, useEffect } from 'react';
+import { Polyline } from 'react-leaflet';
+import { fetchLineShapes } from '../services/mbtaApi';
+
+// Component to draw subway line geometry as colored polylines
+const SubwayLines = ({ lines, visibleLines, highlightedLine, onHighlightLine }) => {
+  const [shapesByRoute, setShapesByRoute] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchLineShapes()
+      .then(shapes => {
+        if (!cancelled) setShapesByRoute(shapes);
+      })
+      .catch(error => console.error('Error fetching line shapes:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return Object.entries(shapesByRoute)
+    .filter(([routeId]) => visibleLines[routeId] && lines[routeId])
+    .flatMap(([routeId, shapes]) => {
+      const isHighlighted = highlightedLine === routeId;
+      const isDimmed = highlightedLine && !isHighlighted;
+
+      return shapes.map((points, index) => (
+        <Polyline
+          key={`${routeId}-${index}`}
+          positions={points}
+          pathOptions={{
+            color: lines[routeId].color,
+            weight: isHighlighted ? 8 : 4,
+            opacity: isDimmed ? 0.3 : 0.85
+          }}
+          eventHandlers={{
+            mouseover: () => onHighlightLine(routeId),
+            mouseout: () => onHighlightLine(null)
+          }}
+        />
+      ));
+    });
+};
+
+export default SubwayLines;
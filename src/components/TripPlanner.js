@@ -0,0 +1,147 @@
+import React from 'react';
+import { Marker, Polyline, Popup } from 'react-leaflet';
+import L from 'leaflet';
+import LineBullet from './LineBullet';
+
+// Flag icon for the trip destination pin
+const destinationIcon = L.divIcon({
+  className: 'custom-destination-icon',
+  html: `<div style="
+    font-size: 24px;
+    filter: drop-shadow(0 1px 2px rgba(0,0,0,0.4));
+  ">🏁</div>`,
+  iconSize: [24, 24],
+  iconAnchor: [4, 22]
+});
+
+const formatMinutes = (minutes) => `${Math.max(1, Math.round(minutes))} min`;
+
+// One-line description of a single itinerary leg
+const describeLeg = (leg, index, legs, line) => {
+  if (leg.type === 'walk') {
+    const target = index === legs.length - 1 ? 'destination' : leg.to.name;
+    return `🚶 Walk to ${target} (${formatMinutes(leg.minutes)})`;
+  }
+
+  const stopsLabel = `${leg.stops} stop${leg.stops === 1 ? '' : 's'}`;
+  return `${line?.name || leg.routeId} toward ${leg.headsign || 'destination'}: ${leg.from.name} → ${leg.to.name} (${stopsLabel}, ${formatMinutes(leg.minutes)})`;
+};
+
+// Panel listing trip options between the origin pin and the destination pin
+const TripPlanner = ({
+  lines,
+  pinTarget,
+  onPinTargetChange,
+  hasDestination,
+  status,
+  itineraries,
+  selectedIndex,
+  onSelectItinerary,
+  onClose
+}) => {
+  const pinButtonStyle = (target) => ({
+    padding: '3px 8px',
+    backgroundColor: pinTarget === target ? '#007bff' : '#e9ecef',
+    color: pinTarget === target ? 'white' : '#333',
+    border: 'none',
+    borderRadius: '3px',
+    cursor: 'pointer',
+    fontSize: '11px'
+  });
+
+  return (
+    <div style={{ marginTop: '10px', borderTop: '1px solid #eee', paddingTop: '8px', maxWidth: '320px', textAlign: 'left' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong>🧭 Trip Planner</strong>
+        <button
+          onClick={onClose}
+          style={{ border: 'none', background: 'none', cursor: 'pointer', fontSize: '16px' }}
+          aria-label="Close trip planner"
+        >
+          ×
+        </button>
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '6px', fontSize: '12px' }}>
+        Click map to set:
+        <button onClick={() => onPinTargetChange('origin')} style={pinButtonStyle('origin')}>📍 Origin</button>
+        <button onClick={() => onPinTargetChange('destination')} style={pinButtonStyle('destination')}>🏁 Destination</button>
+      </div>
+
+      {!hasDestination && (
+        <div style={{ color: '#666', fontSize: '12px', marginTop: '6px' }}>
+          Click the map to drop a destination pin.
+        </div>
+      )}
+      {hasDestination && status === 'loading' && (
+        <div style={{ color: '#666', fontSize: '12px', marginTop: '6px' }}>Planning trip...</div>
+      )}
+      {hasDestination && status === 'error' && (
+        <div style={{ color: '#d32f2f', fontSize: '12px', marginTop: '6px' }}>Unable to plan a trip right now.</div>
+      )}
+      {hasDestination && status === 'ready' && itineraries.length === 0 && (
+        <div style={{ color: '#666', fontSize: '12px', marginTop: '6px' }}>No subway route found between these pins.</div>
+      )}
+
+      {status === 'ready' && itineraries.map((itinerary, index) => (
+        <div
+          key={itinerary.signature}
+          onClick={() => onSelectItinerary(index)}
+          style={{
+            marginTop: '6px',
+            padding: '6px',
+            borderRadius: '4px',
+            border: `1px solid ${index === selectedIndex ? '#007bff' : '#eee'}`,
+            backgroundColor: index === selectedIndex ? '#f0f7ff' : 'white',
+            cursor: 'pointer',
+            fontSize: '12px'
+          }}
+        >
+          <div style={{ fontWeight: 'bold' }}>
+            {formatMinutes(itinerary.totalMinutes)}
+            <span style={{ fontWeight: 'normal', color: '#666', marginLeft: '6px' }}>
+              {itinerary.legs.length === 1
+                ? 'walk only'
+                : `${itinerary.transfers} transfer${itinerary.transfers === 1 ? '' : 's'}`}
+            </span>
+          </div>
+          {index === selectedIndex && itinerary.legs.map((leg, legIndex) => (
+            <div key={legIndex} style={{ marginTop: '3px', color: '#333', display: 'flex', alignItems: 'flex-start', gap: '4px' }}>
+              {leg.type === 'ride' && lines[leg.routeId] && <LineBullet line={lines[leg.routeId]} size={14} />}
+              <span>{describeLeg(leg, legIndex, itinerary.legs, lines[leg.routeId])}</span>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Map layers for the trip: the destination pin and each leg of the selected itinerary
+export const TripLegs = ({ lines, destination, itinerary }) => {
+  return (
+    <>
+      {destination && (
+        <Marker position={destination} icon={destinationIcon}>
+          <Popup>
+            <div>
+              <h3>Trip Destination</h3>
+              <p>Latitude: {destination[0].toFixed(6)}</p>
+              <p>Longitude: {destination[1].toFixed(6)}</p>
+            </div>
+          </Popup>
+        </Marker>
+      )}
+      {itinerary && itinerary.legs.map((leg, index) => (
+        <Polyline
+          key={`${itinerary.signature}-${index}`}
+          positions={leg.path}
+          pathOptions={leg.type === 'walk'
+            ? { color: '#555', weight: 4, dashArray: '6 8', opacity: 0.9 }
+            : { color: lines[leg.routeId]?.color || '#333', weight: 7, opacity: 0.95 }}
+        />
+      ))}
+    </>
+  );
+};
+
+export default TripPlanner;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { Marker, Popup } from 'react-leaflet';
+import L from 'leaflet';
+import { SUBWAY_ROUTE_IDS, getVehicleDetails } from '../services/mbtaApi';
+import LineBullet from './LineBullet';
+import { createVehicleStream } from '../services/vehicleStream';
+
+// Readable labels for the vehicle current_status values
+const VEHICLE_STATUS_LABELS = {
+  INCOMING_AT: 'Arriving at',
+  STOPPED_AT: 'Stopped at',
+  IN_TRANSIT_TO: 'Next stop'
+};
+
+// Arrow-shaped icon for a train, colored by line and rotated to its bearing
+const createVehicleIcon = (color, bearing) => {
+  return L.divIcon({
+    className: 'custom-vehicle-icon',
+    html: `<div style="
+      width: 22px;
+      height: 22px;
+      border-radius: 50%;
+      background-color: ${color};
+      border: 2px solid white;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.4);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      transform: rotate(${bearing || 0}deg);
+    "><div style="
+      width: 0;
+      height: 0;
+      border-left: 5px solid transparent;
+      border-right: 5px solid transparent;
+      border-bottom: 9px solid white;
+      margin-top: -2px;
+    "></div></div>`,
+    iconSize: [22, 22],
+    iconAnchor: [11, 11]
+  });
+};
+
+// Format how long ago a vehicle last reported its position
+const formatStaleness = (updatedAt, now) => {
+  if (!updatedAt) return 'unknown';
+  const seconds = Math.max(0, Math.round((now - new Date(updatedAt).getTime()) / 1000));
+  if (seconds < 60) return `${seconds}s ago`;
+  return `${Math.floor(seconds / 60)} min ago`;
+};
+
+// Popup content for a train; destination and stop name are fetched when it opens
+const VehiclePopupContent = ({ vehicle, line }) => {
+  const [details, setDetails] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  // Details only depend on the trip and stop, not on every position update
+  const { tripId, stopId } = vehicle;
+  useEffect(() => {
+    let cancelled = false;
+    getVehicleDetails({ tripId, stopId })
+      .then(result => {
+        if (!cancelled) setDetails(result);
+      })
+      .catch(error => console.error('Error fetching vehicle details:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [tripId, stopId]);
+
+  useEffect(() => {
+    const tick = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(tick);
+  }, []);
+
+  return (
+    <div>
+      <h3 style={{ margin: '0 0 6px 0', display: 'flex', alignItems: 'center', gap: '6px' }}>
+        <LineBullet line={line} size={18} />
+        {line.name} train {vehicle.label}
+      </h3>
+      <p style={{ margin: '2px 0' }}>
+        To: {details ? (details.destination || 'Unknown') : 'Loading...'}
+      </p>
+      <p style={{ margin: '2px 0' }}>
+        {VEHICLE_STATUS_LABELS[vehicle.currentStatus] || 'Next stop'}: {details ? (details.nextStop || 'Unknown') : 'Loading...'}
+      </p>
+      <p style={{ margin: '2px 0', fontSize: '12px', color: '#666' }}>
+        Position updated {formatStaleness(vehicle.updatedAt, now)}
+      </p>
+    </div>
+  );
+};
+
+// Component to stream live subway vehicle positions onto the map
+const VehicleMarkers = ({ lines, onStatusChange }) => {
+  const [vehicles, setVehicles] = useState([]);
+
+  useEffect(() => {
+    const stream = createVehicleStream({
+      routeIds: SUBWAY_ROUTE_IDS,
+      onChange: setVehicles,
+      onStatus: (status) => onStatusChange && onStatusChange(status)
+    });
+
+    return () => {
+      stream.close();
+    };
+  }, [onStatusChange]);
+
+  return vehicles
+    .filter(vehicle => vehicle.latitude && vehicle.longitude && lines[vehicle.routeId])
+    .map(vehicle => (
+      <Marker
+        key={vehicle.id}
+        position={[vehicle.latitude, vehicle.longitude]}
+        icon={createVehicleIcon(lines[vehicle.routeId].color, vehicle.bearing)}
+      >
+        <Popup>
+          <VehiclePopupContent vehicle={vehicle} line={lines[vehicle.routeId]} />
+        </Popup>
+      </Marker>
+    ));
+};
+
+export default VehicleMarkers;
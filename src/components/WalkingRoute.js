@@ -0,0 +1,35 @@
+import React from 'react';
+import { Polyline } from 'react-leaflet';
+
+// "7 min walk · 0.35 mi", marked as an estimate when no router measured it
+export const WalkSummary = ({ station }) => {
+  const walk = station.walk;
+  if (!walk) return null;
+
+  return (
+    <div style={{ color: '#666', fontSize: '12px' }}>
+      🚶 {Math.max(1, Math.round(walk.duration))} min walk · {walk.distance.toFixed(2)} mi
+      {walk.estimated && (
+        <span title="Estimated from the straight-line distance; no walking router is configured or it was unavailable">
+          {' '}(est.)
+        </span>
+      )}
+    </div>
+  );
+};
+
+// The walk from the pin to the selected station. Estimated walks are a straight line, drawn fainter.
+const WalkingRoute = ({ station }) => {
+  if (!station.walk || station.walk.path.length < 2) return null;
+
+  return (
+    <Polyline
+      positions={station.walk.path}
+      pathOptions={station.walk.estimated
+        ? { color: '#555', weight: 3, dashArray: '2 8', opacity: 0.6 }
+        : { color: '#555', weight: 4, dashArray: '6 8', opacity: 0.9 }}
+    />
+  );
+};
+
+export default WalkingRoute;
@@ -0,0 +1,36 @@
+// Registers public/service-worker.js so the app shell and viewed map tiles work offline.
+// Only registered in production builds; the development server doesn't serve a stable shell.
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  // Registering after load keeps the worker's install from competing with the first page load;
+  // the worker caches this build's bundles itself from the asset manifest, so nothing the first
+  // visit loaded is missing offline.
+  const registerWorker = () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`, { scope: `${process.env.PUBLIC_URL}/` })
+      .then(registration => {
+        console.log('Service worker registered:', registration.scope);
+      })
+      .catch(error => {
+        console.error('Service worker registration failed:', error);
+      });
+  };
+
+  if (document.readyState === 'complete') {
+    registerWorker();
+  } else {
+    window.addEventListener('load', registerWorker);
+  }
+};
+
+export const unregister = () => {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then(registration => registration.unregister())
+      .catch(error => console.error(error.message));
+  }
+};
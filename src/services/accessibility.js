@@ -0,0 +1,97 @@
+// Step-free access to a station, combining the static wheelchair_boarding of its stops, the
+// accessibility of each platform and live elevator outages. Used to label stations and, in
+// accessible-only mode, to exclude or demote the ones without a step-free path right now.
+
+// Order stations are listed in by access status in accessible-only mode
+export const STEP_FREE_ORDER = ['step-free', 'limited', 'unknown', 'none'];
+
+// Combine the wheelchair boarding ('accessible' | 'inaccessible' | 'unknown' | 'partial') of the stops
+// making up one station. Stops that disagree make the station 'partial'.
+export const combineWheelchairBoarding = (values) => {
+  const known = values.filter(value => value && value !== 'unknown');
+  if (known.length === 0) return 'unknown';
+  if (known.every(value => value === 'accessible')) return 'accessible';
+  if (known.every(value => value === 'inaccessible')) return 'inaccessible';
+  return 'partial';
+};
+
+const describePlatform = (platform) => (
+  platform.direction ? `the platform toward ${platform.direction}` : 'a platform'
+);
+
+// Assess a station's step-free access right now.
+// wheelchairBoarding: the station's combined wheelchair boarding (see combineWheelchairBoarding)
+// platforms: [{ id, direction, wheelchairBoarding }], empty when not known
+// elevatorOutages: active elevator alerts [{ header, stopIds }]
+// Returns { status: 'step-free' | 'limited' | 'unknown' | 'none', reasons: [string] }
+export const assessStepFreeAccess = ({ wheelchairBoarding, platforms = [], elevatorOutages = [] }) => {
+  if (wheelchairBoarding === 'inaccessible') {
+    return { status: 'none', reasons: ['Station is not wheelchair accessible'] };
+  }
+
+  const reasons = [];
+  // Platforms with no step-free path, and whether an outage couldn't be pinned to a platform
+  const blocked = new Set();
+  let unplacedOutage = false;
+
+  platforms
+    .filter(platform => platform.wheelchairBoarding === 'inaccessible')
+    .forEach(platform => {
+      blocked.add(platform.id);
+      reasons.push(`${describePlatform(platform)} is not accessible`);
+    });
+
+  elevatorOutages.forEach(outage => {
+    const affected = platforms.filter(platform => (outage.stopIds || []).includes(platform.id) && !blocked.has(platform.id));
+    if (affected.length === 0) {
+      unplacedOutage = true;
+      reasons.push(`Elevator out of service: ${outage.header}`);
+      return;
+    }
+    affected.forEach(platform => {
+      blocked.add(platform.id);
+      reasons.push(`Elevator to ${describePlatform(platform)} out of service`);
+    });
+  });
+
+  // Capitalize the sentences built from platform descriptions
+  const sentences = reasons.map(reason => reason.charAt(0).toUpperCase() + reason.slice(1));
+
+  if (platforms.length > 0 && blocked.size === platforms.length) {
+    return { status: 'none', reasons: sentences };
+  }
+  if (blocked.size > 0 || unplacedOutage) {
+    return { status: 'limited', reasons: sentences };
+  }
+
+  // Nothing is out of service: fall back on what the stops and platforms say
+  const platformsAccessible = platforms.length > 0 && platforms.every(platform => platform.wheelchairBoarding === 'accessible');
+  if (wheelchairBoarding === 'accessible' || platformsAccessible) {
+    return { status: 'step-free', reasons: [] };
+  }
+  if (wheelchairBoarding === 'partial') {
+    return { status: 'limited', reasons: ['Only some of the stops here are accessible'] };
+  }
+  return { status: 'unknown', reasons: ['No accessibility information'] };
+};
+
+// Split stations for accessible-only mode: stations with no step-free path are excluded, and
+// those with limited or unknown access are listed after the step-free ones. Keeps maxResults
+// stations, and only the exclusions that were closer than the last station kept.
+// Returns { stations, excludedStations }
+export const applyAccessibleOnly = (stations, maxResults) => {
+  const rank = (station) => STEP_FREE_ORDER.indexOf(station.access?.status || 'unknown');
+  const kept = stations
+    .filter(station => station.access?.status !== 'none')
+    .map((station, order) => ({ station, order }))
+    .sort((a, b) => rank(a.station) - rank(b.station) || a.order - b.order)
+    .slice(0, maxResults)
+    .map(({ station }) => station);
+
+  const lastKeptIndex = Math.max(-1, ...kept.map(station => stations.indexOf(station)));
+  const excludedStations = stations.filter((station, index) => (
+    station.access?.status === 'none' && (kept.length < maxResults || index < lastKeptIndex)
+  ));
+
+  return { stations: kept, excludedStations };
+};
@@ -0,0 +1,81 @@
+import { combineWheelchairBoarding, assessStepFreeAccess, applyAccessibleOnly } from './accessibility';
+
+const PLATFORMS = [
+  { id: '70061', direction: 'Alewife', wheelchairBoarding: 'accessible' },
+  { id: '70062', direction: 'Ashmont/Braintree', wheelchairBoarding: 'accessible' }
+];
+
+test('combines the wheelchair boarding of a station\'s stops', () => {
+  expect(combineWheelchairBoarding(['accessible', 'unknown', 'accessible'])).toBe('accessible');
+  expect(combineWheelchairBoarding(['inaccessible'])).toBe('inaccessible');
+  expect(combineWheelchairBoarding(['accessible', 'inaccessible'])).toBe('partial');
+  expect(combineWheelchairBoarding(['partial', 'accessible'])).toBe('partial');
+  expect(combineWheelchairBoarding(['unknown'])).toBe('unknown');
+  expect(combineWheelchairBoarding([])).toBe('unknown');
+});
+
+test('a station with accessible stops and no outages is step-free', () => {
+  expect(assessStepFreeAccess({ wheelchairBoarding: 'accessible', platforms: PLATFORMS }))
+    .toEqual({ status: 'step-free', reasons: [] });
+  expect(assessStepFreeAccess({ wheelchairBoarding: 'unknown', platforms: PLATFORMS }).status).toBe('step-free');
+  expect(assessStepFreeAccess({ wheelchairBoarding: 'unknown' }))
+    .toEqual({ status: 'unknown', reasons: ['No accessibility information'] });
+});
+
+test('an elevator outage limits access to the platform it serves', () => {
+  const access = assessStepFreeAccess({
+    wheelchairBoarding: 'accessible',
+    platforms: PLATFORMS,
+    elevatorOutages: [{ header: 'Elevator 804 unavailable', stopIds: ['place-dwnxg', '70061'] }]
+  });
+
+  expect(access).toEqual({
+    status: 'limited',
+    reasons: ['Elevator to the platform toward Alewife out of service']
+  });
+});
+
+test('a station is not step-free when no platform can be reached', () => {
+  expect(assessStepFreeAccess({
+    wheelchairBoarding: 'accessible',
+    platforms: PLATFORMS,
+    elevatorOutages: [
+      { header: 'Elevator 804 unavailable', stopIds: ['70061'] },
+      { header: 'Elevator 805 unavailable', stopIds: ['70062'] }
+    ]
+  }).status).toBe('none');
+
+  expect(assessStepFreeAccess({
+    wheelchairBoarding: 'accessible',
+    platforms: [{ ...PLATFORMS[0], wheelchairBoarding: 'inaccessible' }],
+    elevatorOutages: []
+  })).toEqual({ status: 'none', reasons: ['The platform toward Alewife is not accessible'] });
+
+  expect(assessStepFreeAccess({ wheelchairBoarding: 'inaccessible', platforms: PLATFORMS }))
+    .toEqual({ status: 'none', reasons: ['Station is not wheelchair accessible'] });
+});
+
+test('an outage that names no platform limits the whole station', () => {
+  expect(assessStepFreeAccess({
+    wheelchairBoarding: 'accessible',
+    elevatorOutages: [{ header: 'Elevator 900 (lobby to street) unavailable', stopIds: ['place-pktrm'] }]
+  })).toEqual({ status: 'limited', reasons: ['Elevator out of service: Elevator 900 (lobby to street) unavailable'] });
+});
+
+test('accessible-only mode excludes and demotes stations', () => {
+  const station = (id, status) => ({ id, access: { status, reasons: [] } });
+  const stations = [
+    station('near-none', 'none'),
+    station('limited', 'limited'),
+    station('step-free', 'step-free'),
+    station('far-none', 'none'),
+    station('unknown', 'unknown')
+  ];
+
+  const { stations: kept, excludedStations } = applyAccessibleOnly(stations, 2);
+  expect(kept.map(s => s.id)).toEqual(['step-free', 'limited']);
+  // Only stations closer than the last one kept are reported
+  expect(excludedStations.map(s => s.id)).toEqual(['near-none']);
+
+  expect(applyAccessibleOnly(stations, 5).excludedStations.map(s => s.id)).toEqual(['near-none', 'far-none']);
+});
@@ -0,0 +1,75 @@
+// Service alerts from the /alerts endpoint, matched to the stations they affect.
+
+// Alert effects we surface on stations, grouped into the badge categories shown in the UI
+const ALERT_CATEGORIES = {
+  DELAY: 'delay',
+  SHUTTLE: 'shuttle',
+  SUSPENSION: 'closure',
+  STATION_CLOSURE: 'closure',
+  STOP_CLOSURE: 'closure',
+  ELEVATOR_CLOSURE: 'elevator',
+  ESCALATOR_CLOSURE: 'escalator'
+};
+
+// Check whether an alert has an active period covering the given time
+export const isAlertActive = (alert, time) => {
+  const periods = alert.attributes.active_period || [];
+  if (periods.length === 0) return true;
+
+  return periods.some(period => {
+    const start = period.start ? new Date(period.start).getTime() : -Infinity;
+    const end = period.end ? new Date(period.end).getTime() : Infinity;
+    return start <= time && time <= end;
+  });
+};
+
+// Match alert resources to the stations they affect at `time`. An alert informing a stop affects
+// the station that stop (a platform or the parent station) belongs to; one informing only a route
+// affects every station on that route. Effects with no badge category are ignored.
+// Returns station ID -> [{ id, category, effect, header, description, severity, routeIds, stopIds }],
+// most severe first, with an entry for every station.
+export const matchAlertsToStations = (alerts, stations, time) => {
+  const alertsByStation = {};
+  stations.forEach(station => {
+    alertsByStation[station.id] = [];
+  });
+
+  alerts.forEach(alert => {
+    const category = ALERT_CATEGORIES[alert.attributes.effect];
+    if (!category || !isAlertActive(alert, time)) return;
+
+    const entities = alert.attributes.informed_entity || [];
+
+    stations.forEach(station => {
+      const stationStopIds = new Set(station.stopIds || [station.id]);
+      if (station.parentStationId) stationStopIds.add(station.parentStationId);
+      const stationRouteIds = new Set((station.routes || []).map(route => route.id));
+
+      const affectsStation = entities.some(entity => {
+        if (entity.stop) return stationStopIds.has(entity.stop);
+        // Route-wide alerts without a stop apply to every station on the line
+        return entity.route && stationRouteIds.has(entity.route);
+      });
+
+      if (affectsStation) {
+        alertsByStation[station.id].push({
+          id: alert.id,
+          category,
+          effect: alert.attributes.effect,
+          header: alert.attributes.short_header || alert.attributes.header,
+          description: alert.attributes.description,
+          severity: alert.attributes.severity,
+          routeIds: Array.from(new Set(entities.map(entity => entity.route).filter(Boolean))),
+          // Elevator outages name the platforms the elevator serves
+          stopIds: Array.from(new Set(entities.map(entity => entity.stop).filter(Boolean)))
+        });
+      }
+    });
+  });
+
+  Object.values(alertsByStation).forEach(stationAlerts => {
+    stationAlerts.sort((a, b) => (b.severity || 0) - (a.severity || 0));
+  });
+
+  return alertsByStation;
+};
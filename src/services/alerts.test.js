@@ -0,0 +1,91 @@
+import { matchAlertsToStations, isAlertActive } from './alerts';
+
+const NOW = new Date(2025, 9, 17, 12, 0).getTime();
+const hoursFromNow = (hours) => new Date(NOW + hours * 60 * 60 * 1000).toISOString();
+
+const alert = (id, effect, entities, { severity = 3, activePeriod = [] } = {}) => ({
+  id,
+  type: 'alert',
+  attributes: {
+    effect,
+    header: `${effect} header`,
+    short_header: null,
+    description: null,
+    severity,
+    active_period: activePeriod,
+    informed_entity: entities
+  }
+});
+
+const parkStreet = {
+  id: 'place-pktrm',
+  parentStationId: 'place-pktrm',
+  stopIds: ['70075', '70076'],
+  routes: [{ id: 'Red' }, { id: 'Green-B' }]
+};
+const downtownCrossing = {
+  id: 'place-dwnxg',
+  parentStationId: 'place-dwnxg',
+  stopIds: ['70077', '70078', '70020'],
+  routes: [{ id: 'Red' }, { id: 'Orange' }]
+};
+const stations = [parkStreet, downtownCrossing];
+
+test('matches alerts by platform and by parent station', () => {
+  const alerts = matchAlertsToStations([
+    alert('platform', 'STOP_CLOSURE', [{ stop: '70076', route: 'Red' }]),
+    alert('station', 'STATION_CLOSURE', [{ stop: 'place-dwnxg' }])
+  ], stations, NOW);
+
+  expect(alerts['place-pktrm'].map(a => [a.id, a.category])).toEqual([['platform', 'closure']]);
+  expect(alerts['place-dwnxg'].map(a => [a.id, a.category])).toEqual([['station', 'closure']]);
+});
+
+test('applies route-wide alerts to every station on the line', () => {
+  const alerts = matchAlertsToStations([
+    alert('red-delay', 'DELAY', [{ route: 'Red' }]),
+    alert('orange-shuttle', 'SHUTTLE', [{ route: 'Orange' }])
+  ], stations, NOW);
+
+  expect(alerts['place-pktrm'].map(a => a.id)).toEqual(['red-delay']);
+  expect(alerts['place-dwnxg'].map(a => a.id).sort()).toEqual(['orange-shuttle', 'red-delay']);
+});
+
+test('keeps the platforms an elevator outage names', () => {
+  const alerts = matchAlertsToStations([
+    alert('elevator', 'ELEVATOR_CLOSURE', [
+      { stop: 'place-pktrm', activities: ['USING_WHEELCHAIR'] },
+      { stop: '70075', route: 'Red', activities: ['USING_WHEELCHAIR'] }
+    ])
+  ], stations, NOW);
+
+  expect(alerts['place-pktrm']).toEqual([expect.objectContaining({
+    id: 'elevator',
+    category: 'elevator',
+    routeIds: ['Red'],
+    stopIds: ['place-pktrm', '70075']
+  })]);
+  expect(alerts['place-dwnxg']).toEqual([]);
+});
+
+test('skips inactive alerts and effects without a badge, most severe first', () => {
+  const alerts = matchAlertsToStations([
+    alert('minor', 'DELAY', [{ route: 'Red' }], { severity: 1 }),
+    alert('major', 'SUSPENSION', [{ route: 'Red' }], { severity: 7 }),
+    alert('later', 'SHUTTLE', [{ route: 'Red' }], { activePeriod: [{ start: hoursFromNow(24), end: hoursFromNow(48) }] }),
+    alert('info', 'SERVICE_CHANGE', [{ route: 'Red' }])
+  ], stations, NOW);
+
+  expect(alerts['place-pktrm'].map(a => a.id)).toEqual(['major', 'minor']);
+});
+
+test('checks active periods at the given time', () => {
+  const weekendShuttle = alert('shuttle', 'SHUTTLE', [{ route: 'Red' }], {
+    activePeriod: [{ start: hoursFromNow(24), end: hoursFromNow(48) }]
+  });
+  expect(isAlertActive(weekendShuttle, NOW)).toBe(false);
+  expect(isAlertActive(weekendShuttle, NOW + 30 * 60 * 60 * 1000)).toBe(true);
+  // Open-ended periods and alerts without periods are always active
+  expect(isAlertActive(alert('open', 'DELAY', [], { activePeriod: [{ start: hoursFromNow(-1), end: null }] }), NOW)).toBe(true);
+  expect(isAlertActive(alert('none', 'DELAY', []), NOW)).toBe(true);
+});
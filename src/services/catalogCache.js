@@ -0,0 +1,144 @@
+// Persistent cache for the stop/route catalog with stale-while-revalidate semantics.
+// Entries live in memory and in IndexedDB, so repeat visits can paint from the last
+// catalog immediately while a fresh copy is fetched in the background.
+
+const DB_NAME = 'subwayfinder-catalog';
+const DB_VERSION = 1;
+const STORE_NAME = 'catalog';
+
+// Bump when the shape of cached catalog data changes; older entries are then ignored
+export const CATALOG_SCHEMA_VERSION = 2;
+
+const memoryCache = new Map();
+const pendingRevalidations = new Map();
+let dbPromise = null;
+
+// Open the IndexedDB database, resolving to null where IndexedDB isn't available
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise(resolve => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    try {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Error opening catalog database:', request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.error('Error opening catalog database:', error);
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+};
+
+// Run a single request against the catalog object store
+const withStore = async (mode, callback) => {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise(resolve => {
+    try {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = callback(transaction.objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result ?? null);
+      request.onerror = () => {
+        console.error('Catalog database request failed:', request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.error('Catalog database request failed:', error);
+      resolve(null);
+    }
+  });
+};
+
+const readEntry = (key) => withStore('readonly', store => store.get(key));
+const writeEntry = (key, entry) => withStore('readwrite', store => store.put(entry, key));
+
+// Remove every persisted catalog entry
+export const clearCatalogCache = async () => {
+  memoryCache.clear();
+  await withStore('readwrite', store => store.clear());
+};
+
+// Get when a cached entry was last fetched or revalidated, or null when nothing is cached
+export const getCatalogSavedAt = (key) => {
+  const entry = memoryCache.get(key);
+  return entry ? entry.savedAt : null;
+};
+
+// Fetch a fresh copy and store it. fetchFresh receives the previous entry's lastModified value
+// and resolves to { data, lastModified } or { notModified: true } for a conditional request.
+const revalidate = (key, fetchFresh, previous) => {
+  if (pendingRevalidations.has(key)) {
+    return pendingRevalidations.get(key);
+  }
+
+  const promise = (async () => {
+    try {
+      const result = await fetchFresh(previous?.lastModified || null);
+      const entry = result.notModified && previous
+        ? { ...previous, savedAt: Date.now() }
+        : {
+          schemaVersion: CATALOG_SCHEMA_VERSION,
+          savedAt: Date.now(),
+          lastModified: result.lastModified || null,
+          data: result.data
+        };
+
+      memoryCache.set(key, entry);
+      writeEntry(key, entry);
+      return entry;
+    } finally {
+      pendingRevalidations.delete(key);
+    }
+  })();
+
+  pendingRevalidations.set(key, promise);
+  return promise;
+};
+
+// Load a catalog dataset.
+// - Fresh in memory or IndexedDB: returned as-is.
+// - Stale: returned immediately while a background fetch refreshes it.
+// - Missing, from an older schema version or rejected by isValid: fetched before returning.
+export const loadCatalog = async (key, fetchFresh, maxAge, isValid = () => true) => {
+  let entry = memoryCache.get(key);
+
+  if (!entry) {
+    const stored = await readEntry(key);
+    if (stored && stored.schemaVersion === CATALOG_SCHEMA_VERSION) {
+      entry = stored;
+      memoryCache.set(key, entry);
+    }
+  }
+
+  if (entry && !isValid(entry.data)) {
+    entry = null;
+  }
+
+  if (!entry) {
+    console.log(`No cached ${key}, fetching`);
+    return (await revalidate(key, fetchFresh, null)).data;
+  }
+
+  if (Date.now() - entry.savedAt >= maxAge) {
+    console.log(`Cached ${key} is stale, revalidating in the background`);
+    revalidate(key, fetchFresh, entry).catch(error => {
+      console.error(`Error revalidating ${key}:`, error);
+    });
+  }
+
+  return entry.data;
+};
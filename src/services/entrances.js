@@ -0,0 +1,46 @@
+// Station entrances (GTFS location_type 2 stops), used to measure how far a station really is:
+// the walk ends at the closest entrance, which at a large station can be hundreds of feet from
+// the station's own coordinates.
+import { calculateDistance } from './geo';
+
+// GTFS wheelchair_boarding: 0 no information, 1 accessible, 2 not accessible
+export const parseWheelchairBoarding = (value) => {
+  if (value === 1) return 'accessible';
+  if (value === 2) return 'inaccessible';
+  return 'unknown';
+};
+
+// Convert an entrance stop resource into { id, name, description, latitude, longitude, wheelchairBoarding }
+export const parseEntrance = (stop) => ({
+  id: stop.id,
+  // Entrance names repeat the station's ("Park Street - Tremont St"); keep the part after it
+  name: stop.attributes.name.split(' - ').slice(1).join(' - ') || stop.attributes.name,
+  description: stop.attributes.description || null,
+  latitude: stop.attributes.latitude,
+  longitude: stop.attributes.longitude,
+  wheelchairBoarding: parseWheelchairBoarding(stop.attributes.wheelchair_boarding)
+});
+
+// Group entrance stop resources by their parent station: Map of station ID -> entrances
+export const groupEntrancesByStation = (entrancesData) => {
+  const entrancesByStation = new Map();
+
+  (entrancesData?.data || [])
+    .filter(stop => stop.attributes.latitude && stop.attributes.longitude)
+    .forEach(stop => {
+      const stationId = stop.relationships?.parent_station?.data?.id;
+      if (!stationId) return;
+      if (!entrancesByStation.has(stationId)) entrancesByStation.set(stationId, []);
+      entrancesByStation.get(stationId).push(parseEntrance(stop));
+    });
+
+  return entrancesByStation;
+};
+
+// The entrance closest to a point, as { ...entrance, distance } in miles, or null when there are none
+export const findNearestEntrance = (entrances, latitude, longitude) => (
+  (entrances || []).reduce((nearest, entrance) => {
+    const distance = calculateDistance(latitude, longitude, entrance.latitude, entrance.longitude);
+    return !nearest || distance < nearest.distance ? { ...entrance, distance } : nearest;
+  }, null)
+);
@@ -0,0 +1,41 @@
+import { groupEntrancesByStation, findNearestEntrance } from './entrances';
+
+const entrance = (id, name, latitude, longitude, stationId, wheelchairBoarding = 0) => ({
+  id,
+  type: 'stop',
+  attributes: { name, latitude, longitude, location_type: 2, wheelchair_boarding: wheelchairBoarding },
+  relationships: { parent_station: { data: stationId ? { id: stationId, type: 'stop' } : null } }
+});
+
+const entrancesData = {
+  data: [
+    entrance('door-gover-court', 'Government Center - Court St', 42.35955, -71.05930, 'place-gover', 1),
+    entrance('door-gover-cambridge', 'Government Center - Cambridge St', 42.36027, -71.06022, 'place-gover', 2),
+    entrance('door-pktrm-tremont', 'Park Street - Tremont St', 42.35640, -71.06240, 'place-pktrm'),
+    entrance('door-orphan', 'Orphan - Main St', 42.3, -71.0, null)
+  ]
+};
+
+test('groups entrances by parent station, naming them without the station name', () => {
+  const index = groupEntrancesByStation(entrancesData);
+
+  expect(Array.from(index.keys())).toEqual(['place-gover', 'place-pktrm']);
+  expect(index.get('place-gover').map(e => [e.name, e.wheelchairBoarding])).toEqual([
+    ['Court St', 'accessible'],
+    ['Cambridge St', 'inaccessible']
+  ]);
+  expect(index.get('place-pktrm')[0].wheelchairBoarding).toBe('unknown');
+});
+
+test('finds the entrance closest to a point with its distance', () => {
+  const entrances = groupEntrancesByStation(entrancesData).get('place-gover');
+
+  // Just north of the Cambridge St headhouse
+  const nearest = findNearestEntrance(entrances, 42.3606, -71.0602);
+  expect(nearest.id).toBe('door-gover-cambridge');
+  expect(nearest.distance).toBeLessThan(0.05);
+
+  expect(findNearestEntrance(entrances, 42.3590, -71.0590).id).toBe('door-gover-court');
+  expect(findNearestEntrance([], 42.36, -71.06)).toBeNull();
+  expect(findNearestEntrance(undefined, 42.36, -71.06)).toBeNull();
+});
@@ -0,0 +1,19 @@
+// Geographic helpers shared by the station search, spatial index and trip planner
+
+// Walking speed used wherever no walking router gives real figures (see ./walkingRouter for the
+// detour factor)
+export const WALK_SPEED_MPH = 3;
+
+// Calculate distance between two points using Haversine formula
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371; // Earth's radius in kilometers
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = 
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  const distanceKm = R * c; // Distance in kilometers
+  return distanceKm * 0.621371; // Convert to miles
+};
@@ -0,0 +1,55 @@
+// Address lookup through a Nominatim-compatible geocoder (GET /search?format=jsonv2).
+// The public OpenStreetMap instance is used unless REACT_APP_GEOCODER_URL points elsewhere, e.g.
+// at a self-hosted Nominatim or a local stand-in serving the same response shape.
+//
+// The public instance's usage policy forbids search-as-you-type, so addresses are only looked up
+// when the user submits a search; station names autocomplete from the stop catalog instead.
+
+const DEFAULT_GEOCODER_URL = 'https://nominatim.openstreetmap.org';
+export const GEOCODER_URL = (process.env.REACT_APP_GEOCODER_URL || DEFAULT_GEOCODER_URL).replace(/\/$/, '');
+
+const MAX_GEOCODER_RESULTS = 5;
+
+// Build the search URL. Results are biased toward, but not limited to, the service area.
+export const buildGeocoderUrl = (baseUrl, query, { serviceArea = null, limit = MAX_GEOCODER_RESULTS } = {}) => {
+  const params = new URLSearchParams({ q: query, format: 'jsonv2', limit: String(limit) });
+  if (serviceArea) {
+    params.set('viewbox', [serviceArea.west, serviceArea.north, serviceArea.east, serviceArea.south].join(','));
+  }
+  return `${baseUrl}/search?${params.toString()}`;
+};
+
+// Short label for a result: its name, or for unnamed addresses the first part of the full
+// address, joining a house number to its street ("1 Main Street")
+const getResultName = (result) => {
+  if (result.name) return result.name;
+  const parts = (result.display_name || '').split(',').map(part => part.trim());
+  return /^\d/.test(parts[0]) && parts[1] ? `${parts[0]} ${parts[1]}` : parts[0];
+};
+
+// Turn a Nominatim response into { id, name, detail, latitude, longitude } results
+export const parseGeocoderResults = (data) => {
+  if (!Array.isArray(data)) return [];
+
+  return data
+    .map(result => ({
+      id: String(result.place_id ?? `${result.lat},${result.lon}`),
+      name: getResultName(result),
+      detail: result.display_name || '',
+      latitude: parseFloat(result.lat),
+      longitude: parseFloat(result.lon)
+    }))
+    .filter(result => result.name && Number.isFinite(result.latitude) && Number.isFinite(result.longitude));
+};
+
+// Look up an address or place name. Pass an AbortSignal to cancel a superseded search.
+export const geocodeAddress = async (query, { serviceArea = null, signal } = {}) => {
+  const url = buildGeocoderUrl(GEOCODER_URL, query, { serviceArea });
+  console.log(`Geocoding "${query}"`);
+
+  const response = await fetch(url, { signal, headers: { Accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`Geocoder error! status: ${response.status}`);
+  }
+  return parseGeocoderResults(await response.json());
+};
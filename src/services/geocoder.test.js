@@ -0,0 +1,27 @@
+import { buildGeocoderUrl, parseGeocoderResults } from './geocoder';
+
+test('builds a Nominatim search URL biased toward the service area', () => {
+  const url = new URL(buildGeocoderUrl('http://localhost:8080', '1 Main St', {
+    serviceArea: { south: 42.2, west: -71.3, north: 42.5, east: -70.9 }
+  }));
+
+  expect(url.origin + url.pathname).toBe('http://localhost:8080/search');
+  expect(url.searchParams.get('q')).toBe('1 Main St');
+  expect(url.searchParams.get('format')).toBe('jsonv2');
+  expect(url.searchParams.get('viewbox')).toBe('-71.3,42.5,-70.9,42.2');
+  expect(url.searchParams.has('bounded')).toBe(false);
+});
+
+test('parses results into named positions and drops unusable ones', () => {
+  const results = parseGeocoderResults([
+    { place_id: 12, name: '', display_name: '1, Main Street, Cambridge, MA', lat: '42.3625', lon: '-71.0843' },
+    { place_id: 13, name: 'Fenway Park', display_name: 'Fenway Park, Boston, MA', lat: '42.3467', lon: '-71.0972' },
+    { place_id: 14, name: 'Nowhere', lat: 'n/a', lon: '' }
+  ]);
+
+  expect(results).toEqual([
+    { id: '12', name: '1 Main Street', detail: '1, Main Street, Cambridge, MA', latitude: 42.3625, longitude: -71.0843 },
+    { id: '13', name: 'Fenway Park', detail: 'Fenway Park, Boston, MA', latitude: 42.3467, longitude: -71.0972 }
+  ]);
+  expect(parseGeocoderResults({ error: 'Unable to geocode' })).toEqual([]);
+});
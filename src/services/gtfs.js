@@ -0,0 +1,371 @@
+// Loader for GTFS static feeds (a .zip, or an extracted directory of .txt files).
+// Converts stops.txt, routes.txt, trips.txt and stop_times.txt into the same stop and route
+// resources the MBTA JSON:API returns, so fetchNearbyStations can run against archived or
+// future feeds, or where the API is blocked.
+
+const REQUIRED_FILES = ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'];
+const OPTIONAL_FILES = ['feed_info.txt'];
+
+// Parse CSV text, calling onRow with each record's array of values (header row included).
+// Handles quoted fields, escaped quotes and CRLF line endings.
+export const parseCsv = (text, onRow) => {
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let index = 0;
+
+  // Strip a UTF-8 byte order mark
+  if (text.charCodeAt(0) === 0xfeff) index = 1;
+
+  for (; index < text.length; index++) {
+    const char = text[index];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[index + 1] === '"') {
+          field += '"';
+          index++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') onRow(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    onRow(row);
+  }
+};
+
+// Parse a small CSV file into an array of objects keyed by header
+export const readCsv = (text) => {
+  const records = [];
+  let header = null;
+
+  parseCsv(text, values => {
+    if (!header) {
+      header = values.map(name => name.trim());
+      return;
+    }
+    const record = {};
+    header.forEach((name, i) => {
+      record[name] = values[i] ?? '';
+    });
+    records.push(record);
+  });
+
+  return records;
+};
+
+// Iterate a large CSV file without building an object per row; onRecord gets (values, columnIndex)
+const scanCsv = (text, onRecord) => {
+  let columns = null;
+
+  parseCsv(text, values => {
+    if (!columns) {
+      columns = {};
+      values.forEach((name, i) => {
+        columns[name.trim()] = i;
+      });
+      return;
+    }
+    onRecord(values, columns);
+  });
+};
+
+const readUint16 = (view, offset) => view.getUint16(offset, true);
+const readUint32 = (view, offset) => view.getUint32(offset, true);
+
+// Inflate raw DEFLATE data with the platform DecompressionStream
+const inflateRaw = async (bytes) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot decompress zip files; load an extracted GTFS directory instead');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Extract the named files from a zip archive. Returns { [fileName]: text }.
+// Supports stored and deflated entries, which covers GTFS feeds published by agencies.
+export const unzipFiles = async (arrayBuffer, wantedNames) => {
+  const view = new DataView(arrayBuffer);
+  const bytes = new Uint8Array(arrayBuffer);
+  const decoder = new TextDecoder('utf-8');
+
+  // Find the end of central directory record (signature 0x06054b50), scanning back past any comment
+  let endOffset = -1;
+  for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 22 - 0xffff); offset--) {
+    if (readUint32(view, offset) === 0x06054b50) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Not a zip file');
+  }
+
+  const entryCount = readUint16(view, endOffset + 10);
+  let offset = readUint32(view, endOffset + 16);
+  const files = {};
+
+  for (let i = 0; i < entryCount; i++) {
+    if (readUint32(view, offset) !== 0x02014b50) {
+      throw new Error('Corrupt zip central directory');
+    }
+
+    const method = readUint16(view, offset + 10);
+    const compressedSize = readUint32(view, offset + 20);
+    const nameLength = readUint16(view, offset + 28);
+    const extraLength = readUint16(view, offset + 30);
+    const commentLength = readUint16(view, offset + 32);
+    const localHeaderOffset = readUint32(view, offset + 42);
+    const fullName = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    // Feeds are sometimes zipped with a top-level folder
+    const name = fullName.split('/').pop();
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (!wantedNames.includes(name)) continue;
+
+    const localNameLength = readUint16(view, localHeaderOffset + 26);
+    const localExtraLength = readUint16(view, localHeaderOffset + 28);
+    const dataStart = localHeaderOffset + 30 + localNameLength + localExtraLength;
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      files[name] = decoder.decode(data);
+    } else if (method === 8) {
+      files[name] = decoder.decode(await inflateRaw(data));
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+    }
+  }
+
+  return files;
+};
+
+const checkRequiredFiles = (files) => {
+  const missing = REQUIRED_FILES.filter(name => files[name] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`GTFS feed is missing ${missing.join(', ')}`);
+  }
+};
+
+// Pick the most common value in a list (used for a direction's usual headsign)
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = null;
+  counts.forEach((count, value) => {
+    if (best === null || count > counts.get(best)) best = value;
+  });
+  return best;
+};
+
+// Convert GTFS files into the catalog used by fetchNearbyStations:
+// { stopsData, entrancesData, routesData, stopRouteIds: stop ID -> route IDs, feedInfo }
+// Only routes of the given route types (subway by default) and the stops they serve are kept,
+// with the entrances (location_type 2) of those stops' stations.
+export const buildCatalogFromGtfs = (files, { routeTypes = [0, 1] } = {}) => {
+  checkRequiredFiles(files);
+
+  const routes = readCsv(files['routes.txt'])
+    .filter(route => routeTypes.includes(Number(route.route_type)));
+  const routeIds = new Set(routes.map(route => route.route_id));
+
+  const tripRoutes = new Map();
+  const headsigns = {};
+  readCsv(files['trips.txt'])
+    .filter(trip => routeIds.has(trip.route_id))
+    .forEach(trip => {
+      tripRoutes.set(trip.trip_id, trip.route_id);
+      const key = `${trip.route_id}_${trip.direction_id || 0}`;
+      if (trip.trip_headsign) (headsigns[key] = headsigns[key] || []).push(trip.trip_headsign);
+    });
+
+  // stop_times.txt is by far the largest file, so scan it without materializing rows
+  const stopRouteSets = new Map();
+  scanCsv(files['stop_times.txt'], (values, columns) => {
+    const routeId = tripRoutes.get(values[columns.trip_id]);
+    if (!routeId) return;
+    const stopId = values[columns.stop_id];
+    if (!stopRouteSets.has(stopId)) stopRouteSets.set(stopId, new Set());
+    stopRouteSets.get(stopId).add(routeId);
+  });
+
+  const allStops = readCsv(files['stops.txt']);
+  const stopsById = {};
+  allStops.forEach(stop => {
+    stopsById[stop.stop_id] = stop;
+  });
+
+  // Platforms inherit wheelchair_boarding from their parent station when unspecified
+  const wheelchairBoarding = (stop) => {
+    const value = Number(stop.wheelchair_boarding || 0);
+    if (value !== 0 || !stop.parent_station) return value;
+    return Number(stopsById[stop.parent_station]?.wheelchair_boarding || 0);
+  };
+
+  const stopRouteIds = {};
+  const stopResources = allStops
+    .filter(stop => stopRouteSets.has(stop.stop_id))
+    .filter(stop => !stop.location_type || stop.location_type === '0')
+    .filter(stop => stop.stop_lat && stop.stop_lon)
+    .map(stop => {
+      const routesForStop = Array.from(stopRouteSets.get(stop.stop_id));
+      stopRouteIds[stop.stop_id] = routesForStop;
+      if (stop.parent_station) {
+        stopRouteIds[stop.parent_station] = Array.from(new Set([
+          ...(stopRouteIds[stop.parent_station] || []),
+          ...routesForStop
+        ]));
+      }
+
+      return {
+        id: stop.stop_id,
+        type: 'stop',
+        attributes: {
+          name: stop.stop_name,
+          latitude: Number(stop.stop_lat),
+          longitude: Number(stop.stop_lon),
+          location_type: Number(stop.location_type || 0),
+          platform_name: stop.platform_name || null,
+          wheelchair_boarding: wheelchairBoarding(stop)
+        },
+        relationships: {
+          parent_station: {
+            data: stop.parent_station ? { id: stop.parent_station, type: 'stop' } : null
+          }
+        }
+      };
+    });
+
+  const servedStations = new Set(
+    stopResources.map(stop => stop.relationships.parent_station.data?.id).filter(Boolean)
+  );
+  // Parent stations of the served platforms, so stations keep their own name, position and accessibility
+  const stationResources = allStops
+    .filter(stop => stop.location_type === '1' && servedStations.has(stop.stop_id))
+    .filter(stop => stop.stop_lat && stop.stop_lon)
+    .map(stop => ({
+      id: stop.stop_id,
+      type: 'stop',
+      attributes: {
+        name: stop.stop_name,
+        latitude: Number(stop.stop_lat),
+        longitude: Number(stop.stop_lon),
+        location_type: 1,
+        wheelchair_boarding: Number(stop.wheelchair_boarding || 0)
+      }
+    }));
+
+  const entranceResources = allStops
+    .filter(stop => stop.location_type === '2' && servedStations.has(stop.parent_station))
+    .filter(stop => stop.stop_lat && stop.stop_lon)
+    .map(stop => ({
+      id: stop.stop_id,
+      type: 'stop',
+      attributes: {
+        name: stop.stop_name,
+        description: stop.stop_desc || null,
+        latitude: Number(stop.stop_lat),
+        longitude: Number(stop.stop_lon),
+        location_type: 2,
+        wheelchair_boarding: Number(stop.wheelchair_boarding || 0)
+      },
+      relationships: {
+        parent_station: { data: { id: stop.parent_station, type: 'stop' } }
+      }
+    }));
+
+  const routeResources = routes.map(route => ({
+    id: route.route_id,
+    type: 'route',
+    attributes: {
+      long_name: route.route_long_name,
+      short_name: route.route_short_name,
+      type: Number(route.route_type),
+      color: route.route_color || null,
+      text_color: route.route_text_color || null,
+      sort_order: route.route_sort_order ? Number(route.route_sort_order) : null,
+      direction_destinations: [0, 1].map(directionId => (
+        mostCommon(headsigns[`${route.route_id}_${directionId}`] || [])
+      ))
+    }
+  }));
+
+  const feedInfo = files['feed_info.txt'] ? readCsv(files['feed_info.txt'])[0] || null : null;
+
+  return {
+    stopsData: { data: stopResources, included: stationResources },
+    entrancesData: { data: entranceResources },
+    routesData: { data: routeResources },
+    stopRouteIds,
+    feedInfo
+  };
+};
+
+// Load a GTFS feed from a URL: a .zip file, or a directory URL ending in "/".
+// Options are passed to buildCatalogFromGtfs.
+export const loadGtfsFromUrl = async (url, options) => {
+  let files;
+
+  if (url.endsWith('/')) {
+    files = {};
+    await Promise.all([...REQUIRED_FILES, ...OPTIONAL_FILES].map(async name => {
+      const response = await fetch(`${url}${name}`);
+      if (response.ok) {
+        files[name] = await response.text();
+      } else if (REQUIRED_FILES.includes(name)) {
+        throw new Error(`Unable to load ${url}${name} (status ${response.status})`);
+      }
+    }));
+  } else {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Unable to load GTFS feed ${url} (status ${response.status})`);
+    }
+    files = await unzipFiles(await response.arrayBuffer(), [...REQUIRED_FILES, ...OPTIONAL_FILES]);
+  }
+
+  return { name: url, loadedAt: Date.now(), ...buildCatalogFromGtfs(files, options) };
+};
+
+// Load a GTFS feed from user-selected files: either one .zip, or the .txt files of an extracted feed
+export const loadGtfsFromFiles = async (fileList, options) => {
+  const selected = Array.from(fileList);
+  const zip = selected.find(file => file.name.toLowerCase().endsWith('.zip'));
+  let files;
+  let name;
+
+  if (zip) {
+    files = await unzipFiles(await zip.arrayBuffer(), [...REQUIRED_FILES, ...OPTIONAL_FILES]);
+    name = zip.name;
+  } else {
+    files = {};
+    await Promise.all(selected
+      .filter(file => [...REQUIRED_FILES, ...OPTIONAL_FILES].includes(file.name))
+      .map(async file => {
+        files[file.name] = await file.text();
+      }));
+    name = selected[0]?.webkitRelativePath?.split('/')[0] || 'GTFS directory';
+  }
+
+  return { name, loadedAt: Date.now(), ...buildCatalogFromGtfs(files, options) };
+};
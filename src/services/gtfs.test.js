@@ -0,0 +1,106 @@
+import { parseCsv, readCsv, buildCatalogFromGtfs } from './gtfs';
+
+// A tiny feed: Park Street with two Red Line platforms, plus a bus route that should be ignored
+const files = {
+  'routes.txt': [
+    'route_id,route_short_name,route_long_name,route_type,route_color,route_text_color,route_sort_order',
+    'Red,,Red Line,1,DA291C,FFFFFF,10010',
+    '1,1,"Harvard Square - Nubian Station",3,FFC72C,000000,50010'
+  ].join('\r\n'),
+  'trips.txt': [
+    'route_id,service_id,trip_id,trip_headsign,direction_id',
+    'Red,weekday,red-1,Ashmont,0',
+    'Red,weekday,red-2,Braintree,0',
+    'Red,weekday,red-3,Ashmont,0',
+    'Red,weekday,red-4,Alewife,1',
+    '1,weekday,bus-1,Harvard,1'
+  ].join('\n'),
+  'stop_times.txt': [
+    'trip_id,arrival_time,departure_time,stop_id,stop_sequence',
+    'red-1,08:00:00,08:00:00,70075,1',
+    'red-4,08:05:00,08:05:00,70076,1',
+    'bus-1,08:00:00,08:00:00,bus-stop,1'
+  ].join('\n'),
+  'stops.txt': [
+    'stop_id,stop_name,stop_lat,stop_lon,location_type,parent_station,wheelchair_boarding,platform_name',
+    'place-pktrm,Park Street,42.35639,-71.0624,1,,1,',
+    '70075,Park Street,42.35639457,-71.0624242,0,place-pktrm,0,Ashmont/Braintree',
+    '70076,Park Street,42.35639457,-71.0624242,0,place-pktrm,2,Alewife',
+    'bus-stop,Tremont St @ Park St,42.356,-71.062,0,,1,',
+    'door-pktrm-tremont,Park Street - Tremont St,42.3564,-71.0624,2,place-pktrm,1,',
+    'door-elsewhere,Elsewhere - Main St,42.4,-71.1,2,place-other,1,'
+  ].join('\n')
+};
+
+test('parses quoted fields, escaped quotes and CRLF line endings', () => {
+  const rows = [];
+  parseCsv('a,b\r\n"x, y","say ""hi"""\r\n', row => rows.push(row));
+
+  expect(rows).toEqual([['a', 'b'], ['x, y', 'say "hi"']]);
+});
+
+test('reads records keyed by header, ignoring a byte order mark', () => {
+  expect(readCsv('\uFEFFstop_id,stop_name\n1,One\n2,Two')).toEqual([
+    { stop_id: '1', stop_name: 'One' },
+    { stop_id: '2', stop_name: 'Two' }
+  ]);
+});
+
+test('builds subway stops and routes in JSON:API shape', () => {
+  const catalog = buildCatalogFromGtfs(files);
+
+  expect(catalog.routesData.data.map(route => route.id)).toEqual(['Red']);
+  expect(catalog.routesData.data[0].attributes).toMatchObject({
+    long_name: 'Red Line',
+    type: 1,
+    color: 'DA291C',
+    direction_destinations: ['Ashmont', 'Alewife']
+  });
+
+  expect(catalog.stopsData.data.map(stop => stop.id)).toEqual(['70075', '70076']);
+  expect(catalog.stopsData.data[0]).toMatchObject({
+    attributes: { name: 'Park Street', latitude: 42.35639457, platform_name: 'Ashmont/Braintree' },
+    relationships: { parent_station: { data: { id: 'place-pktrm', type: 'stop' } } }
+  });
+  expect(catalog.stopsData.included).toEqual([{
+    id: 'place-pktrm',
+    type: 'stop',
+    attributes: { name: 'Park Street', latitude: 42.35639, longitude: -71.0624, location_type: 1, wheelchair_boarding: 1 }
+  }]);
+});
+
+test('platforms inherit wheelchair boarding from their parent station unless set', () => {
+  const [inherited, explicit] = buildCatalogFromGtfs(files).stopsData.data;
+
+  expect(inherited.attributes.wheelchair_boarding).toBe(1);
+  expect(explicit.attributes.wheelchair_boarding).toBe(2);
+});
+
+test('maps platforms and their parent station to the routes that stop there', () => {
+  expect(buildCatalogFromGtfs(files).stopRouteIds).toEqual({
+    70075: ['Red'],
+    70076: ['Red'],
+    'place-pktrm': ['Red']
+  });
+});
+
+test('keeps the entrances of stations that are served', () => {
+  expect(buildCatalogFromGtfs(files).entrancesData.data).toEqual([{
+    id: 'door-pktrm-tremont',
+    type: 'stop',
+    attributes: {
+      name: 'Park Street - Tremont St',
+      description: null,
+      latitude: 42.3564,
+      longitude: -71.0624,
+      location_type: 2,
+      wheelchair_boarding: 1
+    },
+    relationships: { parent_station: { data: { id: 'place-pktrm', type: 'stop' } } }
+  }]);
+});
+
+test('rejects feeds missing a required file', () => {
+  const { 'stop_times.txt': omitted, ...incomplete } = files;
+  expect(() => buildCatalogFromGtfs(incomplete)).toThrow('GTFS feed is missing stop_times.txt');
+});
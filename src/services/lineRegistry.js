@@ -0,0 +1,76 @@
+// Line registry: route ID -> display information, built from the route attributes the API (or a
+// GTFS feed's routes.txt) publishes rather than guessed from route names.
+//
+// Each line is { id, name, shortName, color, textColor, sortOrder, mode, branch, bullet }:
+//   branch - the branch letter for routes that share a line with others (Green Line "B"), else null
+//   bullet - text drawn inside the line's bullet: the branch letter, or the route number for modes
+//            with numbered routes (bus "39", Silver Line "SL1"), else ''
+
+const DEFAULT_TEXT_COLOR = '#FFFFFF';
+
+const toHexColor = (value) => (value ? `#${value.replace(/^#/, '')}` : null);
+
+// Build the registry from a routes response.
+//   modes        - the provider's mode registry
+//   getRouteMode - the provider's route -> mode ID function
+//   fallback     - the provider's static registry, used for attributes the data leaves out
+export const buildLineRegistry = (routesData, { modes, getRouteMode, fallback = {} }) => {
+  const routes = routesData?.data || [];
+
+  // Routes grouped under one line (e.g. the Green Line's branches) are branches of it
+  const routesPerLine = {};
+  routes.forEach(route => {
+    const lineId = route.relationships?.line?.data?.id;
+    if (lineId) routesPerLine[lineId] = (routesPerLine[lineId] || 0) + 1;
+  });
+
+  const registry = {};
+  routes.forEach(route => {
+    const modeId = getRouteMode(route);
+    const mode = modes[modeId];
+    if (!mode) return;
+
+    const attributes = route.attributes;
+    const known = fallback[route.id] || {};
+    const lineId = route.relationships?.line?.data?.id;
+    const isBranch = lineId && routesPerLine[lineId] > 1 && !!attributes.short_name;
+    const branch = isBranch ? attributes.short_name : (known.branch || null);
+
+    registry[route.id] = {
+      id: route.id,
+      name: attributes.long_name || attributes.short_name || known.name || route.id,
+      shortName: attributes.short_name || '',
+      color: toHexColor(attributes.color) || known.color || mode.color,
+      textColor: toHexColor(attributes.text_color) || known.textColor || DEFAULT_TEXT_COLOR,
+      sortOrder: attributes.sort_order ?? known.sortOrder ?? Number.MAX_SAFE_INTEGER,
+      mode: modeId,
+      branch,
+      bullet: branch || (mode.numberedRoutes ? attributes.short_name || '' : '')
+    };
+  });
+
+  return registry;
+};
+
+// Registry built from the provider's static lines alone, for use before route data loads
+export const buildFallbackRegistry = (fallback, modeId = 'subway') => {
+  const registry = {};
+  Object.entries(fallback).forEach(([routeId, line]) => {
+    registry[routeId] = {
+      id: routeId,
+      shortName: line.branch || '',
+      textColor: DEFAULT_TEXT_COLOR,
+      sortOrder: Number.MAX_SAFE_INTEGER,
+      mode: modeId,
+      branch: null,
+      ...line,
+      bullet: line.branch || ''
+    };
+  });
+  return registry;
+};
+
+// Lines of a registry in the agency's published order
+export const sortLines = (registry) => (
+  Object.values(registry).sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name))
+);
@@ -0,0 +1,63 @@
+import { buildLineRegistry, buildFallbackRegistry, sortLines } from './lineRegistry';
+import { selectProvider } from './providers';
+
+const provider = selectProvider({});
+const options = { modes: provider.modes, getRouteMode: provider.getRouteMode, fallback: provider.lines };
+
+const route = (id, attributes, lineId) => ({
+  id,
+  attributes: { text_color: 'FFFFFF', ...attributes },
+  relationships: lineId ? { line: { data: { id: lineId } } } : {}
+});
+
+const routesData = {
+  data: [
+    route('Green-B', { long_name: 'Green Line B', short_name: 'B', color: '00843D', sort_order: 10032, type: 0 }, 'line-Green'),
+    route('Green-C', { long_name: 'Green Line C', short_name: 'C', color: '00843D', sort_order: 10033, type: 0 }, 'line-Green'),
+    route('Mattapan', { long_name: 'Mattapan Trolley', short_name: '', color: 'DA291C', sort_order: 10011, type: 0 }, 'line-Mattapan'),
+    route('Red', { long_name: 'Red Line', short_name: '', color: 'DA291C', sort_order: 10010, type: 1 }, 'line-Red'),
+    route('39', { long_name: 'Forest Hills - Back Bay Station', short_name: '39', color: 'FFC72C', text_color: '000000', sort_order: 50390, type: 3 }, 'line-39'),
+    route('Shuttle', { long_name: 'Shuttle', short_name: '', color: '', sort_order: 60000, type: 7 })
+  ]
+};
+
+test('marks routes sharing a line as branches lettered by short name', () => {
+  const registry = buildLineRegistry(routesData, options);
+
+  expect(registry['Green-B']).toMatchObject({ name: 'Green Line B', color: '#00843D', branch: 'B', bullet: 'B', mode: 'subway' });
+  expect(registry['Green-C'].branch).toBe('C');
+  expect(registry.Red).toMatchObject({ branch: null, bullet: '' });
+});
+
+test('takes colors and order from the route data', () => {
+  const registry = buildLineRegistry(routesData, options);
+
+  expect(registry.Mattapan).toMatchObject({ color: '#DA291C', textColor: '#FFFFFF', sortOrder: 10011 });
+  expect(sortLines(registry).map(line => line.id)).toEqual(['Red', 'Mattapan', 'Green-B', 'Green-C', '39']);
+});
+
+test('labels bus routes with their route number and skips unsupported modes', () => {
+  const registry = buildLineRegistry(routesData, options);
+
+  expect(registry['39']).toMatchObject({ mode: 'bus', bullet: '39', color: '#FFC72C', textColor: '#000000' });
+  expect(registry.Shuttle).toBeUndefined();
+});
+
+test('falls back to the mode color and the static registry for missing attributes', () => {
+  const registry = buildLineRegistry({
+    data: [
+      route('Blue', { long_name: 'Blue Line', type: 1 }),
+      route('Boat-F4', { long_name: 'Charlestown Ferry', type: 4 })
+    ]
+  }, options);
+
+  expect(registry.Blue).toMatchObject({ color: '#003DA5', sortOrder: 10040 });
+  expect(registry['Boat-F4'].color).toBe(provider.modes.ferry.color);
+});
+
+test('builds a usable registry from the static lines alone', () => {
+  const registry = buildFallbackRegistry(provider.lines);
+
+  expect(registry['Green-D']).toMatchObject({ id: 'Green-D', name: 'Green Line D', bullet: 'D', mode: 'subway' });
+  expect(registry.Orange.bullet).toBe('');
+});
@@ -0,0 +1,46 @@
+import { RateLimitError, NetworkError, HttpError } from './requestScheduler';
+
+// What went wrong while locating the user or looking up their stations, as one of a few kinds
+// the map knows how to explain and recover from. None of them moves the pin.
+//   geolocation-denied      - the user (or browser policy) refused location access
+//   geolocation-unavailable - no fix: unsupported, no signal or timed out
+//   network                 - the API couldn't be reached
+//   rate-limited            - the API's rate limit is spent until retryAt (epoch ms)
+//   api-error               - the API answered with an error or data we couldn't read
+export const LOOKUP_ERROR_KINDS = [
+  'geolocation-denied',
+  'geolocation-unavailable',
+  'network',
+  'rate-limited',
+  'api-error'
+];
+
+// Shortest wait before retrying after a rate limit, in case the reset time is already past
+const MIN_RATE_LIMIT_RETRY_DELAY = 1000;
+
+// Classify a GeolocationPositionError, or null when geolocation isn't supported at all.
+// Returns { kind, timedOut }
+export const classifyGeolocationError = (err) => ({
+  kind: err?.code === 1 ? 'geolocation-denied' : 'geolocation-unavailable',
+  timedOut: err?.code === 3
+});
+
+// Classify an error from a station lookup. A browser reporting itself offline counts as a
+// network failure whatever the error was. Returns { kind, retryAt, status }
+export const classifyStationsError = (error, { online = true } = {}) => {
+  if (error instanceof RateLimitError) {
+    return { kind: 'rate-limited', retryAt: error.retryAt, status: 429 };
+  }
+  if (error instanceof NetworkError || !online) {
+    return { kind: 'network', retryAt: null, status: null };
+  }
+  return { kind: 'api-error', retryAt: null, status: error instanceof HttpError ? error.status : null };
+};
+
+// How long to wait before retrying a lookup on its own, or null when it should wait for the user
+// (or, for network errors, the connection coming back)
+export const getAutoRetryDelay = (lookupError, now = Date.now()) => {
+  if (lookupError?.kind !== 'rate-limited') return null;
+  if (!lookupError.retryAt) return MIN_RATE_LIMIT_RETRY_DELAY;
+  return Math.max(lookupError.retryAt - now, MIN_RATE_LIMIT_RETRY_DELAY);
+};
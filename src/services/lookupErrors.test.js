@@ -0,0 +1,32 @@
+import { classifyGeolocationError, classifyStationsError, getAutoRetryDelay } from './lookupErrors';
+import { RateLimitError, NetworkError, HttpError, ParseError } from './requestScheduler';
+
+test('tells denied location access apart from a location that isn\'t available', () => {
+  expect(classifyGeolocationError({ code: 1 })).toEqual({ kind: 'geolocation-denied', timedOut: false });
+  expect(classifyGeolocationError({ code: 2 })).toEqual({ kind: 'geolocation-unavailable', timedOut: false });
+  expect(classifyGeolocationError({ code: 3 })).toEqual({ kind: 'geolocation-unavailable', timedOut: true });
+  // Geolocation not supported at all
+  expect(classifyGeolocationError(null)).toEqual({ kind: 'geolocation-unavailable', timedOut: false });
+});
+
+test('classifies station lookup failures', () => {
+  expect(classifyStationsError(new RateLimitError('Rate limit reached', { retryAt: 60000 })))
+    .toEqual({ kind: 'rate-limited', retryAt: 60000, status: 429 });
+  expect(classifyStationsError(new NetworkError('Network request failed')).kind).toBe('network');
+  // Fetch failures arrive as NetworkError; anything else is a bug, not a connection problem
+  expect(classifyStationsError(new TypeError('Cannot read properties of undefined')).kind).toBe('api-error');
+  expect(classifyStationsError(new HttpError('HTTP error! status: 503', { status: 503 })))
+    .toEqual({ kind: 'api-error', retryAt: null, status: 503 });
+  expect(classifyStationsError(new ParseError('Invalid JSON')).kind).toBe('api-error');
+
+  // Whatever failed, a browser that says it's offline is offline
+  expect(classifyStationsError(new HttpError('HTTP error! status: 503', { status: 503 }), { online: false }).kind)
+    .toBe('network');
+});
+
+test('only retries rate limits on its own, once the window resets', () => {
+  expect(getAutoRetryDelay({ kind: 'rate-limited', retryAt: 65000 }, 5000)).toBe(60000);
+  expect(getAutoRetryDelay({ kind: 'rate-limited', retryAt: 4000 }, 5000)).toBe(1000);
+  expect(getAutoRetryDelay({ kind: 'network' }, 5000)).toBeNull();
+  expect(getAutoRetryDelay(null, 5000)).toBeNull();
+});
@@ -1,385 +1,1165 @@
-// MBTA API service for finding nearby subway stations
-const MBTA_BASE_URL = 'https://api-v3.mbta.com';
-
-// MBTA line colors and emojis
-const MBTA_LINES = {
-  'Red': { emoji: '🔴', color: '#DA291C' },
-  'Orange': { emoji: '🟠', color: '#ED8B00' },
-  'Blue': { emoji: '🔵', color: '#003DA5' },
-  'Green-B': { emoji: 'B🟢', color: '#00843D' },
-  'Green-C': { emoji: 'C🟢', color: '#00843D' },
-  'Green-D': { emoji: 'D🟢', color: '#00843D' },
-  'Green-E': { emoji: 'E🟢', color: '#00843D' },
-  'Mattapan': { emoji: 'M🔴', color: '#FFC72C' }
-};
-
-// Cache for routes data to avoid repeated API calls
-let routesCache = null;
-let routesCacheTimestamp = 0;
+// Transit API service for finding nearby subway stations (MBTA V3 JSON:API by default, see ./providers)
+import { decodePolyline } from './polyline';
+import { loadCatalog, getCatalogSavedAt } from './catalogCache';
+import { createSpatialIndex } from './spatialIndex';
+import { loadStationSnapshot } from './offlineSnapshot';
+import { loadGtfsFromUrl } from './gtfs';
+import { getProvider } from './providers';
+import { buildLineRegistry, buildFallbackRegistry } from './lineRegistry';
+import { createStationNameIndex, searchStationNames } from './stationSearch';
+import { parseStationDetails } from './stationDetails';
+import { groupEntrancesByStation, findNearestEntrance } from './entrances';
+import { assessStepFreeAccess, applyAccessibleOnly } from './accessibility';
+import { groupStopsByStation } from './stationGroups';
+import { getWalkingRoute, WALKING_ROUTER } from './walkingRouter';
+import { getServiceDate, parseStationSchedules, isPlannedTime, describeServicePattern } from './schedules';
+import { parseStationPredictions } from './predictions';
+import { matchAlertsToStations } from './alerts';
+import { createRequestScheduler, throwIfAborted, isAbortError, NetworkError } from './requestScheduler';
+
+// Agency-specific settings (API base URL, line registry, ...) come from the configured provider
+const provider = getProvider();
+const API_BASE_URL = provider.baseUrl;
+
+// The provider's known subway lines, as a line registry (see ./lineRegistry). Used before route
+// data loads and by the offline snapshot; fetchLineRegistry returns the data-driven registry.
+export const FALLBACK_LINES = buildFallbackRegistry(provider.lines);
+
+// Route IDs for every subway line, used to filter vehicle and shape requests
+export const SUBWAY_ROUTE_IDS = Object.keys(FALLBACK_LINES);
+
+// Transit modes the provider supports (subway, bus, ...), and the modes searched by default
+export const MODES = provider.modes;
+export const DEFAULT_MODES = ['subway'];
+
+// Every GTFS route type covered by a supported mode
+export const ROUTE_TYPES = Array.from(new Set(Object.values(MODES).flatMap(mode => mode.routeTypes)));
+
+// Catalog data (routes, stops, route patterns) is persisted and revalidated after this long
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
-// Helper function to add delay between API calls
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Every API request goes through one scheduler, which sends the API key, keeps within the
+// rate limit, shares identical requests in flight and raises typed errors (see ./requestScheduler)
+const scheduler = createRequestScheduler({ apiKey: provider.apiKey });
 
-// Helper function to make API calls with rate limiting and retry logic
-const makeApiCall = async (url, maxRetries = 2) => {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`Making API call (attempt ${attempt}): ${url}`);
-
-      const response = await fetch(url);
-     
-      if (response.status === 429) {
-        const waitTime = Math.pow(2, attempt) * 1000; // Exponential backoff: 2s, 4s
-        console.log(`Rate limit hit, waiting ${waitTime}ms before retry...`);
-        await delay(waitTime);
-        continue; // Retry
-      }
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      console.log(`API call successful: ${url}`);
-      return data;
-      
-    } catch (error) {
-      console.error(`API call failed (attempt ${attempt}): ${url}`, error);
-      
-      if (attempt === maxRetries) {
-        throw error; // Re-throw on final attempt
-      }
-      
-      // Wait before retry (exponential backoff)
-      const waitTime = Math.pow(2, attempt) * 1000;
-      console.log(`Waiting ${waitTime}ms before retry...`);
-      await delay(waitTime);
-    }
+// Fetch an API resource. Rejects with an AbortError once the signal aborts.
+const makeApiCall = async (url, { signal } = {}) => {
+  const { data } = await scheduler.request(url, { signal });
+  return data;
+};
+
+// Line registry, rebuilt only when the routes data it came from changes
+let lineRegistryCache = null;
+
+// Build (or reuse) the line registry for a routes response
+const getLineRegistry = (routesData) => {
+  if (lineRegistryCache && lineRegistryCache.routesData === routesData) {
+    return lineRegistryCache.registry;
   }
+
+  const registry = buildLineRegistry(routesData, {
+    modes: provider.modes,
+    getRouteMode: provider.getRouteMode,
+    fallback: provider.lines
+  });
+  lineRegistryCache = { routesData, registry };
+  return registry;
 };
 
-// Calculate distance between two points using Haversine formula
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distanceKm = R * c; // Distance in kilometers
-  return distanceKm * 0.621371; // Convert to miles
-};
-
-// Get line information from route data
-const getLineInfo = (route) => {
-  if (!route || !route.attributes) {
-    console.log('Invalid route object:', route);
-    return null;
+// Fetch the line registry for every route of the active data source (route ID -> line).
+// Subway lines missing from the data keep their fallback entries.
+export const fetchLineRegistry = async () => {
+  const routesData = staticFeed ? staticFeed.routesData : await getRoutesData();
+  return { ...FALLBACK_LINES, ...getLineRegistry(routesData) };
+};
+
+// Fetch a catalog resource, sending If-Modified-Since so unchanged data costs only a 304
+const makeCatalogApiCall = async (url, lastModified) => {
+  const headers = lastModified ? { 'If-Modified-Since': lastModified } : {};
+  const response = await scheduler.request(url, { headers });
+  if (response.status === 304) {
+    console.log(`Catalog unchanged: ${url}`);
+    return { notModified: true };
+  }
+  return { data: response.data, lastModified: response.lastModified };
+};
+
+// Get cached routes of every supported mode or fetch new ones
+const getRoutesData = () => {
+  return loadCatalog(
+    'routes',
+    (lastModified) => makeCatalogApiCall(`${API_BASE_URL}/routes?filter[type]=${ROUTE_TYPES.join(',')}`, lastModified),
+    CACHE_DURATION
+  );
+};
+
+// Subway keeps the original catalog keys; other modes get their own entries
+const getModeCatalogKey = (key, modeId) => (modeId === 'subway' ? key : `${key}-${modeId}`);
+
+// Route IDs belonging to a mode
+const getModeRouteIds = async (modeId) => {
+  if (modeId === 'subway') return SUBWAY_ROUTE_IDS;
+  const routesData = await getRoutesData();
+  return (routesData.data || [])
+    .filter(route => provider.getRouteMode(route) === modeId)
+    .map(route => route.id);
+};
+
+// Get cached subway stops, with their parent stations, or fetch new ones
+const getStopsData = async () => {
+  const stopsData = await loadCatalog(
+    'stops',
+    (lastModified) => makeCatalogApiCall(`${API_BASE_URL}/stops?filter[route_type]=0,1&include=parent_station`, lastModified),
+    CACHE_DURATION
+  );
+
+  if (!stopsData.data) {
+    throw new Error('No station data received');
   }
-  
-  const routeName = route.attributes.long_name || route.attributes.short_name || '';
-  const routeId = route.id || '';
-  
-  // Map route names to line colors
-  if (routeName.includes('Red') || routeId.includes('Red')) {
-    return MBTA_LINES['Red'];
+
+  return stopsData;
+};
+
+// Fetch (or load from cache) every station entrance (location_type 2)
+const getEntrancesData = () => loadCatalog(
+  'entrances',
+  (lastModified) => makeCatalogApiCall(
+    `${API_BASE_URL}/stops?filter[location_type]=2&fields[stop]=name,description,latitude,longitude,wheelchair_boarding`,
+    lastModified
+  ),
+  CACHE_DURATION
+);
+
+// Station ID -> entrances, rebuilt only when the entrances data changes
+let entranceIndexCache = null;
+
+// Entrances by station for the active data source, or null when they can't be loaded
+// (distances then fall back to the station's own coordinates)
+const getEntranceIndex = async () => {
+  let entrancesData;
+  try {
+    if (!staticFeed && provider.apiStyle === 'gtfs') {
+      await loadProviderFeed();
+    }
+    entrancesData = staticFeed ? staticFeed.entrancesData : await getEntrancesData();
+  } catch (error) {
+    console.error('Station entrances unavailable, measuring to station centers:', error);
+    return null;
   }
-  if (routeName.includes('Orange') || routeId.includes('Orange')) {
-    return MBTA_LINES['Orange'];
+  if (!entrancesData) return null;
+
+  if (!entranceIndexCache || entranceIndexCache.entrancesData !== entrancesData) {
+    entranceIndexCache = { entrancesData, index: groupEntrancesByStation(entrancesData) };
   }
-  if (routeName.includes('Blue') || routeId.includes('Blue')) {
-    return MBTA_LINES['Blue'];
+  return entranceIndexCache.index;
+};
+
+// Stop ID -> routes index per mode, rebuilt only when the catalog data it came from changes
+const stopRouteIndexCache = new Map();
+
+// Build (or reuse) an index of every platform and parent station of a mode to the routes serving it.
+// Uses batched requests (route patterns and their representative trips' stops) instead of
+// one /routes request per stop.
+const getStopRouteIndex = async (modeId = 'subway') => {
+  const [routesData, patterns, patternTrips] = await Promise.all([
+    getRoutesData(),
+    getRoutePatterns(modeId),
+    getPatternTrips(modeId)
+  ]);
+
+  const cached = stopRouteIndexCache.get(modeId);
+  if (
+    cached &&
+    cached.routesData === routesData &&
+    cached.patterns === patterns &&
+    cached.patternTrips === patternTrips
+  ) {
+    console.log(`Using cached ${modeId} stop-to-route index`);
+    return cached.index;
   }
-  if (routeName.includes('Green') && routeName.includes('B')) {
-    return MBTA_LINES['Green-B'];
+
+  console.log(`Building ${modeId} stop-to-route index`);
+  const routeLineMap = buildRouteLineMap(routesData);
+
+  const index = new Map();
+  const addRoute = (stopId, route) => {
+    if (!stopId) return;
+    if (!index.has(stopId)) index.set(stopId, new Map());
+    index.get(stopId).set(route.id, route);
+  };
+
+  patterns.forEach(pattern => {
+    const route = routeLineMap[pattern.routeId];
+    if (!route) return;
+
+    (patternTrips.tripStops[pattern.representativeTripId] || []).forEach(stopId => {
+      addRoute(stopId, route);
+      addRoute(patternTrips.parentStations[stopId], route);
+    });
+  });
+
+  stopRouteIndexCache.set(modeId, { routesData, patterns, patternTrips, index });
+  return index;
+};
+
+// Stops catalogs for modes other than subway, derived from their pattern trips
+const modeStopsCache = new Map();
+
+// Get the stops of a mode. Subway uses the full /stops catalog; other modes use the stops
+// their representative trips serve, which avoids downloading every stop in the system.
+const getModeStops = async (modeId) => {
+  if (modeId === 'subway') return getStopsData();
+
+  const patternTrips = await getPatternTrips(modeId);
+  const cached = modeStopsCache.get(modeId);
+  if (cached && cached.patternTrips === patternTrips) {
+    return cached.stopsData;
   }
-  if (routeName.includes('Green') && routeName.includes('C')) {
-    return MBTA_LINES['Green-C'];
+
+  const stopsData = { data: Object.values(patternTrips.stops) };
+  modeStopsCache.set(modeId, { patternTrips, stopsData });
+  return stopsData;
+};
+
+// Stops, stop-to-route index and platforms (from the pattern trips) for one mode
+const getModeCatalog = async (modeId) => {
+  const [stopsData, stopRouteIndex, patternTrips] = await Promise.all([
+    getModeStops(modeId),
+    getStopRouteIndex(modeId),
+    getPatternTrips(modeId)
+  ]);
+  return { modeId, stopsData, stopRouteIndex, platformStops: patternTrips.stops };
+};
+
+// Active GTFS static feed (see ./gtfs). While set, station lookups read stops and routes
+// from the feed instead of the JSON:API catalog.
+let staticFeed = null;
+
+export const setStaticFeed = (feed) => {
+  staticFeed = feed;
+};
+
+export const getStaticFeed = () => staticFeed;
+
+let providerFeedPromise = null;
+
+// Load the provider's configured GTFS feed (once) and make it the active static feed
+export const loadProviderFeed = () => {
+  if (!provider.gtfsUrl) {
+    return Promise.reject(new Error(`${provider.name} has no GTFS feed configured`));
   }
-  if (routeName.includes('Green') && routeName.includes('D')) {
-    return MBTA_LINES['Green-D'];
+  if (providerFeedPromise) return providerFeedPromise;
+
+  providerFeedPromise = loadGtfsFromUrl(provider.gtfsUrl, { routeTypes: ROUTE_TYPES }).then(feed => {
+    staticFeed = feed;
+    return feed;
+  });
+
+  // Allow a later retry if loading failed
+  providerFeedPromise.catch(() => {
+    providerFeedPromise = null;
+  });
+
+  return providerFeedPromise;
+};
+
+// Stop ID -> routes index for a GTFS feed, in the same shape as getStopRouteIndex
+let staticFeedIndexCache = null;
+
+const getStaticFeedRouteIndex = (feed) => {
+  if (staticFeedIndexCache && staticFeedIndexCache.feed === feed) {
+    return staticFeedIndexCache.index;
   }
-  if (routeName.includes('Green') && routeName.includes('E')) {
-    return MBTA_LINES['Green-E'];
+
+  console.log(`Building stop-to-route index for GTFS feed ${feed.name}`);
+  const routeLineMap = buildRouteLineMap(feed.routesData);
+
+  const index = new Map();
+  Object.entries(feed.stopRouteIds).forEach(([stopId, routeIds]) => {
+    const routes = new Map();
+    routeIds
+      .filter(routeId => routeLineMap[routeId])
+      .forEach(routeId => routes.set(routeId, routeLineMap[routeId]));
+    index.set(stopId, routes);
+  });
+
+  staticFeedIndexCache = { feed, index };
+  return index;
+};
+
+// Build a map of route IDs to line information from the routes response
+const buildRouteLineMap = (routesData) => {
+  const routeLineMap = {};
+  if (routesData.data) {
+    const registry = getLineRegistry(routesData);
+    routesData.data.forEach(route => {
+      const line = registry[route.id];
+      if (line) {
+        routeLineMap[route.id] = {
+          ...line,
+          directionDestinations: route.attributes.direction_destinations || []
+        };
+      }
+    });
   }
-  if (routeName.includes('Mattapan') || routeId.includes('Mattapan')) {
-    return MBTA_LINES['Mattapan'];
+  return routeLineMap;
+};
+
+// How many upcoming arrivals to keep for each route/direction pair
+export const MAX_ARRIVALS_PER_DIRECTION = 3;
+
+// Stop ID -> station ID for every stop (platforms included) of the given stations
+const mapStopsToStations = (stations) => {
+  const stopToStation = new Map();
+  stations.forEach(station => {
+    (station.stopIds || [station.id]).forEach(stopId => {
+      stopToStation.set(stopId, station.id);
+    });
+  });
+  return stopToStation;
+};
+
+// Route filter for arrival requests: only the routes shown for these stations, so a subway
+// station doesn't list every bus passing by
+const getStationRouteFilter = (stations) => {
+  const routeIds = Array.from(new Set(stations.flatMap(station => (station.routes || []).map(route => route.id))));
+  return routeIds.length > 0
+    ? `filter[route]=${routeIds.join(',')}`
+    : `filter[route_type]=${ROUTE_TYPES.join(',')}`;
+};
+
+// Fetch real-time predictions for the given stations, grouped by route and direction (see ./predictions).
+// Returns a map of station ID -> array of { routeId, directionId, destination, arrivals }
+export const fetchStationPredictions = async (stations, { signal } = {}) => {
+  const stopToStation = mapStopsToStations(stations);
+
+  const predictionsByStation = {};
+  stations.forEach(station => {
+    predictionsByStation[station.id] = [];
+  });
+
+  if (stopToStation.size === 0) {
+    return predictionsByStation;
   }
-  
-  // Default for Green line without specific branch
-  if (routeName.includes('Green') || routeId.includes('Green')) {
-    return MBTA_LINES['Green-B'];
+
+  const routeLineMap = buildRouteLineMap(await getRoutesData());
+  const stopIds = Array.from(stopToStation.keys()).join(',');
+  const data = await makeApiCall(
+    `${API_BASE_URL}/predictions?filter[stop]=${stopIds}&${getStationRouteFilter(stations)}&include=trip&sort=arrival_time`,
+    { signal }
+  );
+
+  return {
+    ...predictionsByStation,
+    ...parseStationPredictions(data, { stopToStation, routeLineMap, now: Date.now(), limit: MAX_ARRIVALS_PER_DIRECTION })
+  };
+};
+
+// Fetch the timetable for the given stations (see ./schedules): every departure of the service
+// day `time` falls in (today by default) by route and direction, for scheduled times, first and
+// last trains. Returns a map of station ID -> schedule groups
+export const fetchStationSchedules = async (stations, { signal, time = Date.now() } = {}) => {
+  const stopToStation = mapStopsToStations(stations);
+  if (stopToStation.size === 0) {
+    return {};
   }
-  
-  return null;
-};
-
-// Get cached routes or fetch new ones
-const getRoutesData = async () => {
-  const now = Date.now();
-  
-  // Check if we have valid cached data
-  if (routesCache && (now - routesCacheTimestamp) < CACHE_DURATION) {
-    console.log('Using cached routes data');
-    return routesCache;
+
+  const routeLineMap = buildRouteLineMap(await getRoutesData());
+  const stopIds = Array.from(stopToStation.keys()).join(',');
+  const data = await makeApiCall(
+    `${API_BASE_URL}/schedules?filter[stop]=${stopIds}&${getStationRouteFilter(stations)}` +
+      `&filter[date]=${getServiceDate(time)}&include=trip&sort=departure_time` +
+      '&fields[schedule]=departure_time,direction_id,pickup_type&fields[trip]=headsign',
+    { signal }
+  );
+  return parseStationSchedules(data, { stopToStation, routeLineMap });
+};
+
+// Describe the service pattern (weekday, weekend or holiday service) the given stations' routes
+// run on the service day `time` falls in. Falls back on the day of the week if the services
+// can't be loaded; never rejects, unless cancelled.
+export const fetchServicePattern = async (stations, time, { signal } = {}) => {
+  const serviceDate = getServiceDate(time);
+  const routeIds = Array.from(new Set(stations.flatMap(station => (station.routes || []).map(route => route.id))));
+  if (routeIds.length === 0) {
+    return describeServicePattern(null, serviceDate);
   }
-  
-  console.log('Fetching fresh routes data');
-  const routesData = await makeApiCall(`${MBTA_BASE_URL}/routes?filter[type]=0,1`);
-  
-  // Cache the data
-  routesCache = routesData;
-  routesCacheTimestamp = now;
-  
-  return routesData;
-};
-
-// Fetch nearby MBTA stations
-export const fetchNearbyStations = async (latitude, longitude, radius = 1.25) => {
+
   try {
-    console.log('Starting optimized MBTA API calls...');
-    
-    // Get routes data (cached if possible)
-    const routesData = await getRoutesData();
-    
-    console.log('Routes API Response:', routesData);
-    
-    // Create a map of route IDs to line information
-    const routeLineMap = {};
-    if (routesData.data) {
-      console.log('Processing routes data:', routesData.data.length, 'routes');
-      routesData.data.forEach((route, index) => {
-        const lineInfo = getLineInfo(route);
-        if (lineInfo) {
-          routeLineMap[route.id] = {
-            id: route.id,
-            name: route.attributes.long_name || route.attributes.short_name,
-            ...lineInfo
-          };
-        }
-      });
-    }
-    
-    console.log('Route Line Map:', routeLineMap);
-
-    // Get all stops with rate limiting
-    const data = await makeApiCall(`${MBTA_BASE_URL}/stops?filter[route_type]=0,1`);
-    
-    if (!data.data) {
-      throw new Error('No station data received');
+    const data = await makeApiCall(`${API_BASE_URL}/services?filter[route]=${routeIds.join(',')}`, { signal });
+    return describeServicePattern(data, serviceDate);
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.error('Error fetching service pattern:', error);
+    return describeServicePattern(null, serviceDate);
+  }
+};
+
+// Fetch active service alerts and elevator/escalator outages for the given stations (see ./alerts).
+// time: a moment to get the alerts in effect at (closures announced ahead of time included),
+// or null for now.
+// Returns a map of station ID -> array of alerts affecting that station or its lines
+export const fetchStationAlerts = async (stations, { signal, time = null } = {}) => {
+  const alertsByStation = {};
+  stations.forEach(station => {
+    alertsByStation[station.id] = [];
+  });
+
+  const stopIds = new Set();
+  const routeIds = new Set();
+  stations.forEach(station => {
+    (station.stopIds || [station.id]).forEach(stopId => stopIds.add(stopId));
+    if (station.parentStationId) stopIds.add(station.parentStationId);
+    (station.routes || []).forEach(route => routeIds.add(route.id));
+  });
+
+  if (stopIds.size === 0) {
+    return alertsByStation;
+  }
+
+  // Station-level alerts (closures, elevators) are informed by stop, line-wide ones
+  // (delays, shuttles) by route only, so query both and merge by alert ID
+  const datetimeFilter = time ? `&filter[datetime]=${new Date(time).toISOString()}` : '';
+  const requests = [
+    makeApiCall(`${API_BASE_URL}/alerts?filter[stop]=${Array.from(stopIds).join(',')}&filter[activity]=ALL${datetimeFilter}`, { signal })
+  ];
+  if (routeIds.size > 0) {
+    requests.push(
+      makeApiCall(`${API_BASE_URL}/alerts?filter[route]=${Array.from(routeIds).join(',')}&filter[activity]=ALL${datetimeFilter}`, { signal })
+    );
+  }
+  const responses = await Promise.all(requests);
+
+  // The same alert can come back from both queries
+  const alerts = new Map();
+  responses.forEach(response => {
+    (response.data || []).forEach(alert => alerts.set(alert.id, alert));
+  });
+
+  return matchAlertsToStations(Array.from(alerts.values()), stations, time ?? Date.now());
+};
+
+// Apply alerts to a station and assess its step-free access (see ./accessibility), so the static
+// wheelchair_boarding is downgraded when an elevator at the station is out of service
+export const applyStationAlerts = (station, alerts) => {
+  const elevatorOutages = alerts.filter(alert => alert.category === 'elevator');
+  const access = assessStepFreeAccess({
+    wheelchairBoarding: station.wheelchairBoarding,
+    platforms: station.platforms || [],
+    elevatorOutages
+  });
+
+  return {
+    ...station,
+    alerts,
+    elevatorOutages,
+    access,
+    wheelchair_accessible: access.status === 'step-free'
+  };
+};
+
+// Station groups and their spatial index, rebuilt only when the catalogs, modes or line filter change
+let stationIndexCache = null;
+
+const isSameCatalogs = (sources, cachedSources) => (
+  sources.length === cachedSources.length &&
+  sources.every((source, i) => (
+    source.stopsData === cachedSources[i].stopsData &&
+    source.stopRouteIndex === cachedSources[i].stopRouteIndex &&
+    source.platformStops === cachedSources[i].platformStops
+  ))
+);
+
+// Group stops into stations (see ./stationGroups) and index them for nearest-neighbor queries.
+// lines: route IDs to keep, or null for every line of the enabled modes.
+const getStationIndex = (sources, modes, lines) => {
+  const modesKey = modes.join(',');
+  const linesKey = lines ? lines.join(',') : '';
+  if (
+    stationIndexCache &&
+    stationIndexCache.modesKey === modesKey &&
+    stationIndexCache.linesKey === linesKey &&
+    isSameCatalogs(sources, stationIndexCache.sources)
+  ) {
+    return stationIndexCache.index;
+  }
+
+  console.log(`Building station spatial index for ${modesKey}`);
+
+  const index = createSpatialIndex(
+    groupStopsByStation(sources, { modes, lines }),
+    stationGroup => [stationGroup.latitude, stationGroup.longitude]
+  );
+
+  stationIndexCache = { sources, modesKey, linesKey, index };
+  return index;
+};
+
+// Snapshot stations and their spatial index, built once per session
+let snapshotIndexCache = null;
+
+// Answer a nearby-station query from the bundled offline snapshot.
+// Stations come back without live predictions or alerts.
+const fetchNearbyStationsFromSnapshot = async (latitude, longitude, options) => {
+  const { lines, signal } = options;
+  const snapshot = await loadStationSnapshot();
+  throwIfAborted(signal);
+  const linesKey = lines ? lines.join(',') : '';
+
+  if (!snapshotIndexCache || snapshotIndexCache.snapshot !== snapshot || snapshotIndexCache.linesKey !== linesKey) {
+    snapshotIndexCache = {
+      snapshot,
+      linesKey,
+      index: createSpatialIndex(
+        snapshot.stations.filter(station => !lines || station.routes.some(route => lines.includes(route.id))),
+        station => [station.latitude, station.longitude]
+      )
+    };
+  }
+
+  const { stationsWithDistance, searchRadius } = selectClosestStations(
+    snapshotIndexCache.index,
+    latitude,
+    longitude,
+    { ...options, candidateCount: getWalkCandidateCount(options) }
+  );
+
+  const stations = await attachWalks(stationsWithDistance.map(({ stationGroup, distance }) => applyStationAlerts({
+    id: stationGroup.id,
+    name: stationGroup.name,
+    latitude: stationGroup.latitude,
+    longitude: stationGroup.longitude,
+    parentStationId: stationGroup.parentStationId,
+    distance,
+    // The snapshot only records whether a station is accessible
+    wheelchairBoarding: stationGroup.wheelchair_accessible ? 'accessible' : 'unknown',
+    platforms: [],
+    stopIds: stationGroup.stopIds,
+    routes: stationGroup.routes
+      .filter(route => FALLBACK_LINES[route.id] && (!lines || lines.includes(route.id)))
+      .map(route => ({ ...route, ...FALLBACK_LINES[route.id] })),
+    modes: ['subway'],
+    nearestEntrance: null,
+    entrances: [],
+    predictions: null,
+    schedule: null
+  }, [])), latitude, longitude, getCandidateCount(options));
+  throwIfAborted(signal);
+
+  return {
+    ...selectAccessibleStations(stations, options),
+    radius: searchRadius,
+    dataStatus: { source: 'snapshot', savedAt: snapshot.generatedAt, offline: true },
+    plan: null
+  };
+};
+
+// Default search settings for fetchNearbyStations
+export const DEFAULT_SEARCH_RADIUS = 1.25; // miles
+export const DEFAULT_MAX_RESULTS = 3;
+export const MAX_EXPANDED_RADIUS = 10; // miles
+const RADIUS_EXPANSION_STEP = 0.25; // miles
+
+// Entrances can be closer to the pin than the station's own coordinates, so stations up to this
+// much further away are considered when measuring to entrances
+const ENTRANCE_SEARCH_MARGIN = 0.25; // miles
+
+// Pick the closest stations from a spatial index: up to candidateCount (at least maxResults) of
+// them, so callers that drop some later still have maxResults. Expand mode widens the radius only
+// until maxResults stations fall inside it; extra candidates must be within that radius too.
+// measureDistance(stationGroup, centerDistance), if given, returns { distance, ...extra } to
+// measure to something other than the station's coordinates (its nearest entrance).
+// Returns { stationsWithDistance: [{ stationGroup, distance, ...extra }], searchRadius }
+const selectClosestStations = (
+  stationIndex,
+  latitude,
+  longitude,
+  { radius, maxResults, candidateCount = maxResults, expandUntilFound },
+  measureDistance = null
+) => {
+  const margin = measureDistance ? ENTRANCE_SEARCH_MARGIN : 0;
+
+  // Only measure distances to stations near the pin; expand mode searches outward
+  // until enough stations are found
+  const allStationsByDistance = (expandUntilFound
+    ? stationIndex.nearest(latitude, longitude, Math.max(maxResults, candidateCount), MAX_EXPANDED_RADIUS + margin)
+    : stationIndex.within(latitude, longitude, radius + margin)
+  )
+    .map(({ item, distance }) => ({
+      stationGroup: item,
+      distance,
+      ...(measureDistance ? measureDistance(item, distance) : {})
+    }))
+    .sort((a, b) => a.distance - b.distance);
+
+  // In expand mode, grow the radius in steps until enough stations fall inside it
+  let searchRadius = radius;
+  if (expandUntilFound) {
+    const nthStation = allStationsByDistance[maxResults - 1];
+    const neededRadius = nthStation
+      ? Math.ceil(nthStation.distance / RADIUS_EXPANSION_STEP) * RADIUS_EXPANSION_STEP
+      : MAX_EXPANDED_RADIUS;
+    searchRadius = Math.min(MAX_EXPANDED_RADIUS, Math.max(radius, neededRadius));
+    console.log(`Expanded search radius to ${searchRadius} miles`);
+  }
+
+  const stationsWithDistance = allStationsByDistance
+    .filter(station => station.distance <= searchRadius) // Filter by radius (in miles)
+    .slice(0, Math.max(maxResults, candidateCount));
+
+  return { stationsWithDistance, searchRadius };
+};
+
+// In accessible-only mode a few more stations are considered, since some may be excluded.
+// They don't widen the expand-mode radius, which is set by maxResults alone.
+const ACCESSIBLE_EXTRA_CANDIDATES = 3;
+
+const getCandidateCount = ({ maxResults, accessibleOnly }) => (
+  accessibleOnly ? maxResults + ACCESSIBLE_EXTRA_CANDIDATES : maxResults
+);
+
+// With a walking router a few more of the nearest stations are routed than are kept, so one a
+// little further in a straight line but quicker to walk to can still make the list. Stations
+// further out than these are never routed: the walk-time ordering is approximate.
+const WALK_EXTRA_CANDIDATES = 2;
+
+const getWalkCandidateCount = (options) => (
+  getCandidateCount(options) + (WALKING_ROUTER ? WALK_EXTRA_CANDIDATES : 0)
+);
+
+// Final station list for the search: every station, or in accessible-only mode the stations with
+// a step-free path and the nearer ones left out. Returns { stations, excludedStations }
+const selectAccessibleStations = (stations, { maxResults, accessibleOnly }) => (
+  accessibleOnly ? applyAccessibleOnly(stations, maxResults) : { stations, excludedStations: [] }
+);
+
+// Platforms of stations whose catalog stops are parent stations, from their (cached) station
+// details, for platform-level accessibility. Returns station ID -> platforms; never rejects
+// (after the signal aborts, stations just have no platforms).
+const fetchStationPlatforms = async (stations, modes, { signal } = {}) => {
+  const entries = await Promise.all(stations.map(async station => {
+    if (station.platforms.length > 0 || !station.parentStationId) return [station.id, null];
+    try {
+      const details = await getStationDetails(station.parentStationId, { modes, signal });
+      return [station.id, details.platforms];
+    } catch (error) {
+      if (!isAbortError(error)) console.error(`Platforms of ${station.name} unavailable:`, error);
+      return [station.id, null];
     }
+  }));
+  return Object.fromEntries(entries.filter(([, platforms]) => platforms));
+};
+
+// Attach a walk from the pin to each station (to its nearest entrance when known), order the
+// stations by walk time rather than straight-line distance and keep the `keep` quickest.
+// getWalkingRoute never rejects.
+const attachWalks = async (stations, latitude, longitude, keep) => {
+  const walks = await Promise.all(stations.map(station => {
+    const destination = station.nearestEntrance || station;
+    return getWalkingRoute([latitude, longitude], [destination.latitude, destination.longitude]);
+  }));
+  return stations
+    .map((station, index) => ({ ...station, walk: walks[index] }))
+    .sort((a, b) => a.walk.duration - b.walk.duration)
+    .slice(0, keep);
+};
 
-    console.log('Stops API Response:', data);
+// The stop catalogs to search for the enabled modes: [{ modeId, stopsData, stopRouteIndex }].
+// Stops and the stop-to-route index are cached, so repeat searches make no catalog requests.
+// Each enabled mode has its own catalog; a static feed holds every mode in one.
+const getStationSources = async (modes) => {
+  // GTFS-only providers have no JSON:API catalog to fall back on
+  if (!staticFeed && provider.apiStyle === 'gtfs') {
+    await loadProviderFeed();
+  }
 
-    // Helper function to create a unique key for a station
-    const createStationKey = (stop) => {
-      const lat = stop.attributes.latitude.toFixed(6);
-      const lon = stop.attributes.longitude.toFixed(6);
-      return `${stop.attributes.name}_${lat}_${lon}`;
+  if (staticFeed) {
+    return [{ modeId: null, stopsData: staticFeed.stopsData, stopRouteIndex: getStaticFeedRouteIndex(staticFeed) }];
+  }
+  return Promise.all(modes.map(getModeCatalog));
+};
+
+// Station name index for the search box, rebuilt when the catalogs or modes change
+let stationNameIndexCache = null;
+
+const getStationNameIndex = (sources, modes) => {
+  const modesKey = modes.join(',');
+  if (
+    stationNameIndexCache &&
+    stationNameIndexCache.modesKey === modesKey &&
+    isSameCatalogs(sources, stationNameIndexCache.sources)
+  ) {
+    return stationNameIndexCache.index;
+  }
+
+  const index = createStationNameIndex(groupStopsByStation(sources, { modes }));
+  stationNameIndexCache = { sources, modesKey, index };
+  return index;
+};
+
+// Snapshot stations by name, for searching offline before any catalog has been saved
+let snapshotNameIndexCache = null;
+
+const getSnapshotNameIndex = async () => {
+  const snapshot = await loadStationSnapshot();
+  if (!snapshotNameIndexCache || snapshotNameIndexCache.snapshot !== snapshot) {
+    snapshotNameIndexCache = {
+      snapshot,
+      index: createStationNameIndex(snapshot.stations.map(station => ({
+        ...station,
+        routes: station.routes
+          .filter(route => FALLBACK_LINES[route.id])
+          .map(route => ({ ...route, ...FALLBACK_LINES[route.id] })),
+        modes: ['subway']
+      })))
     };
+  }
+  return snapshotNameIndexCache.index;
+};
 
-    // Group stops by location and name to deduplicate
-    const stationGroups = new Map();
-    
-    data.data
-      .filter(stop => stop.attributes.latitude && stop.attributes.longitude)
-      .forEach(stop => {
-        const stationKey = createStationKey(stop);
-        
-        if (!stationGroups.has(stationKey)) {
-          stationGroups.set(stationKey, {
-            stops: [],
-            name: stop.attributes.name,
-            latitude: stop.attributes.latitude,
-            longitude: stop.attributes.longitude,
-            wheelchair_accessible: stop.attributes.wheelchair_boarding === 1
-          });
-        }
-        
-        stationGroups.get(stationKey).stops.push(stop);
-      });
+// Stations of the enabled modes whose names match a search query, best match first.
+// Returns [{ id, name, detail, latitude, longitude, routes, modes }] (see ./stationSearch).
+export const searchStations = async (query, { modes = DEFAULT_MODES, limit } = {}) => {
+  let index;
+  try {
+    index = getStationNameIndex(await getStationSources(modes), modes);
+  } catch (catalogError) {
+    if (staticFeed || !provider.hasSnapshot) throw catalogError;
+    console.error('Station catalog unavailable, searching the offline snapshot:', catalogError);
+    index = await getSnapshotNameIndex();
+  }
+  return searchStationNames(index, query, limit);
+};
 
-    // Process each unique station
-    const stationsWithDistance = Array.from(stationGroups.values())
-      .map(stationGroup => {
-        const distance = calculateDistance(
-          latitude, 
-          longitude, 
-          stationGroup.latitude, 
-          stationGroup.longitude
-        );
-        
-        return {
-          stationGroup,
-          distance
-        };
-      })
-      .filter(station => station.distance <= radius) // Filter by radius (in miles)
-      .sort((a, b) => a.distance - b.distance) // Sort by distance
-      .slice(0, 3); // Limit to 3 closest stations
-
-    // Optimized approach: Use individual requests for accurate route mapping
-    console.log('Getting routes for all stops efficiently...');
-    
-    // Since we're only showing 3 stations, fetch routes for all of them
-    const maxStationsToFetch = 3; // Only fetch routes for the 3 closest stations
-    const limitedStations = stationsWithDistance.slice(0, maxStationsToFetch);
-    
-    console.log(`Limiting to ${maxStationsToFetch} closest stations to reduce API calls`);
-    
-    // Collect stop IDs from only the closest stations
-    const allStopIds = [];
-    limitedStations.forEach(({ stationGroup }) => {
-      stationGroup.stops.forEach(stop => {
-        allStopIds.push(stop.id);
-      });
-    });
-    
-    console.log('Stop IDs to fetch routes for (limited):', allStopIds);
-    
-    // Use individual requests for accurate route mapping
-    const stopRoutesMap = new Map();
-    
-    for (const stopId of allStopIds) {
+// Fetch nearby stations.
+// Options:
+//   radius - search radius in miles
+//   maxResults - maximum number of stations to return
+//   expandUntilFound - widen the radius (up to MAX_EXPANDED_RADIUS) until maxResults stations are found
+//   modes - IDs of the transit modes to include (see MODES)
+//   lines - route IDs to restrict the results to, or null for every line
+//   accessibleOnly - leave out stations with no step-free path right now and list those with
+//     limited access last (see ./accessibility)
+//   time - target time (epoch ms) to plan for, or null for now. A future time reports that
+//     day's timetable, the alerts in effect then and its service pattern instead of live predictions
+//   signal - AbortSignal; once it aborts the lookup rejects with an AbortError rather than
+//     returning stations for a position the user has moved away from
+// Returns { stations, excludedStations, radius, dataStatus, plan } where radius is the radius
+// actually searched, excludedStations are the stations accessible-only mode left out, with their
+// reasons, and plan is { time, servicePattern } for a future target time (else null).
+// Uses the active GTFS static feed, if one is set with setStaticFeed.
+export const fetchNearbyStations = async (latitude, longitude, options = {}) => {
+  const {
+    radius = DEFAULT_SEARCH_RADIUS,
+    maxResults = DEFAULT_MAX_RESULTS,
+    expandUntilFound = false,
+    modes = DEFAULT_MODES,
+    lines = null,
+    accessibleOnly = false,
+    time = null,
+    signal = null
+  } = options;
+  const planned = isPlannedTime(time);
+
+  try {
+    console.log(`Starting ${provider.name} station lookup...`);
+
+    // Entrances load alongside the stops; getEntranceIndex never rejects
+    const entranceIndexPromise = getEntranceIndex();
+
+    let sources;
+    try {
+      sources = await getStationSources(modes);
+    } catch (catalogError) {
+      if (staticFeed || !provider.hasSnapshot) throw catalogError;
+
+      // No saved catalog and no network: answer from the bundled snapshot instead
+      console.error('Station catalog unavailable, trying offline snapshot:', catalogError);
       try {
-        console.log(`Fetching routes for stop: ${stopId}`);
-        
-        // Add delay between requests to avoid rate limiting
-        if (stopId !== allStopIds[0]) {
-          await delay(500); // Reduced delay for faster performance
-        }
-        
-        const stopRoutesData = await makeApiCall(`${MBTA_BASE_URL}/routes?filter[stop]=${stopId}&filter[type]=0,1`);
-        
-        console.log(`Routes for stop ${stopId}:`, stopRoutesData);
-        
-        if (stopRoutesData.data) {
-          const routes = [];
-          stopRoutesData.data.forEach(route => {
-            const lineInfo = getLineInfo(route);
-            if (lineInfo) {
-              const routeInfo = {
-                id: route.id,
-                name: route.attributes.long_name || route.attributes.short_name,
-                ...lineInfo
-              };
-              routes.push(routeInfo);
-            }
-          });
-          stopRoutesMap.set(stopId, routes);
-        } else {
-          stopRoutesMap.set(stopId, []);
-        }
-        
-      } catch (error) {
-        console.error(`Error fetching routes for stop ${stopId}:`, error);
-        stopRoutesMap.set(stopId, []);
+        return await fetchNearbyStationsFromSnapshot(latitude, longitude, { radius, maxResults, expandUntilFound, lines, accessibleOnly, signal });
+      } catch (snapshotError) {
+        if (isAbortError(snapshotError)) throw snapshotError;
+        console.error('Offline snapshot unavailable:', snapshotError);
+        throw catalogError;
       }
     }
-    
-    console.log('Stop routes map:', stopRoutesMap);
-
-    // Process stations with their routes
-    const stationsWithRoutes = stationsWithDistance.map((stationData) => {
-      const { stationGroup, distance } = stationData;
-      
-      // Collect all routes from all stops in this station group
-      const allRoutes = new Map(); // Use Map to avoid duplicates by route ID
-      
-      console.log(`Processing station group: ${stationGroup.name} with ${stationGroup.stops.length} stops`);
-      
-      // Check if this station is in our limited set (has route data)
-      const hasRouteData = stationGroup.stops.some(stop => stopRoutesMap.has(stop.id));
-      
-      if (hasRouteData) {
-        // Get routes for each stop in the station group
-        stationGroup.stops.forEach(stop => {
-          const stopRoutes = stopRoutesMap.get(stop.id) || [];
-          console.log(`Routes for stop ${stop.id}:`, stopRoutes);
-          
-          stopRoutes.forEach(route => {
-            allRoutes.set(route.id, route);
-          });
+    throwIfAborted(signal);
+
+    // Measure to each station's closest entrance where its entrances are known
+    const entranceIndex = await entranceIndexPromise;
+    const getGroupEntrances = (stationGroup) => entranceIndex?.get(stationGroup.id) || [];
+    const measureToEntrance = (stationGroup, centerDistance) => {
+      const nearestEntrance = findNearestEntrance(getGroupEntrances(stationGroup), latitude, longitude);
+      return nearestEntrance
+        ? { distance: nearestEntrance.distance, nearestEntrance }
+        : { distance: centerDistance, nearestEntrance: null };
+    };
+
+    const { stationsWithDistance, searchRadius } = selectClosestStations(
+      getStationIndex(sources, modes, lines),
+      latitude,
+      longitude,
+      { radius, maxResults, candidateCount: getWalkCandidateCount({ maxResults, accessibleOnly }), expandUntilFound },
+      entranceIndex ? measureToEntrance : null
+    );
+
+    // Platforms and routes were attached to each station when the index was built
+    const stations = stationsWithDistance.map(({ stationGroup, distance, nearestEntrance = null }) => ({
+      ...stationGroup,
+      distance,
+      // distance is measured to this entrance when there is one
+      nearestEntrance,
+      entrances: getGroupEntrances(stationGroup)
+    }));
+
+    const finalStations = await attachWalks(stations, latitude, longitude, getCandidateCount({ maxResults, accessibleOnly }));
+    throwIfAborted(signal);
+
+    // A static feed has no real-time data, and the API may be unreachable when one is in use
+    if (staticFeed) {
+      return {
+        ...selectAccessibleStations(
+          finalStations.map(station => applyStationAlerts({ ...station, predictions: null, schedule: null }, [])),
+          { maxResults, accessibleOnly }
+        ),
+        radius: searchRadius,
+        dataStatus: { source: 'gtfs', feedName: staticFeed.name, savedAt: staticFeed.loadedAt, offline: false },
+        plan: null
+      };
+    }
+
+    // Attach real-time arrivals, the timetable and alerts; a failure in any of them shouldn't hide
+    // the stations. Accessible-only mode also needs each station's platforms. Planning for a future
+    // time has no predictions: the timetable, alerts and service pattern are those of that time.
+    const [predictionsResult, alertsResult, platformsResult, schedulesResult, servicePatternResult] = await Promise.allSettled([
+      planned ? null : fetchStationPredictions(finalStations, { signal }),
+      fetchStationAlerts(finalStations, { signal, time: planned ? time : null }),
+      accessibleOnly ? fetchStationPlatforms(finalStations, modes, { signal }) : {},
+      fetchStationSchedules(finalStations, { signal, time: planned ? time : Date.now() }),
+      planned ? fetchServicePattern(finalStations, time, { signal }) : null
+    ]);
+    throwIfAborted(signal);
+
+    if (predictionsResult.status === 'rejected') {
+      console.error('Error fetching predictions:', predictionsResult.reason);
+    }
+    if (alertsResult.status === 'rejected') {
+      console.error('Error fetching alerts:', alertsResult.reason);
+    }
+    if (schedulesResult.status === 'rejected') {
+      console.error('Error fetching schedules:', schedulesResult.reason);
+    }
+
+    const predictionsByStation = predictionsResult.value || {};
+    const alertsByStation = alertsResult.value || {};
+    const platformsByStation = platformsResult.value || {};
+    const schedulesByStation = schedulesResult.value || null;
+
+    const stationsWithLiveData = finalStations.map(station => applyStationAlerts(
+      {
+        ...station,
+        platforms: platformsByStation[station.id] || station.platforms,
+        predictions: planned ? null : predictionsByStation[station.id] || [],
+        // null when the timetable couldn't be loaded, [] when nothing is scheduled today
+        schedule: schedulesByStation ? schedulesByStation[station.id] || [] : null
+      },
+      alertsByStation[station.id] || []
+    ));
+
+    // A network failure for live data means we're offline and showing saved catalog data
+    const liveDataUnreachable = [predictionsResult, alertsResult].some(result => (
+      result.status === 'rejected' && result.reason instanceof NetworkError
+    ));
+    const catalogSavedAt = getCatalogSavedAt('stops') ?? Date.now();
+
+    const dataStatus = {
+      source: Date.now() - catalogSavedAt > CACHE_DURATION ? 'cached' : 'live',
+      savedAt: catalogSavedAt,
+      offline: liveDataUnreachable || (typeof navigator !== 'undefined' && navigator.onLine === false)
+    };
+
+    console.log('Final stations with routes:', stationsWithLiveData);
+    return {
+      ...selectAccessibleStations(stationsWithLiveData, { maxResults, accessibleOnly }),
+      radius: searchRadius,
+      dataStatus,
+      plan: planned ? { time, servicePattern: servicePatternResult.value } : null
+    };
+  } catch (error) {
+    if (!isAbortError(error)) console.error('Error fetching stations:', error);
+    throw error;
+  }
+};
+
+// Station details by station ID and modes, fetched once per session (platforms, entrances and
+// facilities rarely change). The modes decide which routes are listed per platform, so they are
+// part of the key. Only loaded details are kept: callers asking while a request is in flight
+// share it through the scheduler, and each caller's signal cancels only its own wait.
+const stationDetailsCache = new Map();
+
+// Get a station's details for the detail drawer: child platforms with their directions and routes,
+// entrances, facilities, address and accessibility notes (see ./stationDetails).
+// stationId should be the parent station's ID; modes are the modes whose routes to list per platform.
+// Rejects with an AbortError once the signal aborts.
+export const getStationDetails = (stationId, { modes = DEFAULT_MODES, signal } = {}) => {
+  const cacheKey = `${stationId}|${[...modes].sort().join(',')}`;
+  if (stationDetailsCache.has(cacheKey)) {
+    return stationDetailsCache.get(cacheKey);
+  }
+
+  const detailsPromise = (async () => {
+    try {
+      const [stopResponse, facilitiesResponse] = await Promise.all([
+        makeApiCall(`${API_BASE_URL}/stops/${stationId}?include=child_stops`, { signal }),
+        makeApiCall(`${API_BASE_URL}/facilities?filter[stop]=${stationId}`, { signal })
+      ]);
+      const details = parseStationDetails(stopResponse, facilitiesResponse);
+
+      // Routes per platform come from the stop-route indexes already built for the station search
+      const indexes = await Promise.all(modes.map(modeId => getStopRouteIndex(modeId).catch(() => null)));
+      details.platforms.forEach(platform => {
+        const routes = new Map();
+        indexes.filter(Boolean).forEach(index => {
+          (index.get(platform.id) || new Map()).forEach((route, routeId) => routes.set(routeId, route));
         });
-      } else {
-        // For stations beyond our limit, show a placeholder message
-        console.log(`Station ${stationGroup.name} is beyond the ${maxStationsToFetch} closest stations - no route data fetched`);
-      }
-      
-      console.log(`Final allRoutes for ${stationGroup.name}:`, Array.from(allRoutes.values()));
-      
-      const station = {
-        id: stationGroup.stops[0].id, // Use the first stop's ID as the station ID
-        name: stationGroup.name,
-        latitude: stationGroup.latitude,
-        longitude: stationGroup.longitude,
-        distance: distance,
-        wheelchair_accessible: stationGroup.wheelchair_accessible,
-        routes: Array.from(allRoutes.values()),
-        hasRouteData: hasRouteData // Flag to indicate if we have route data for this station
+        platform.routes = Array.from(routes.values());
+      });
+
+      throwIfAborted(signal);
+      return details;
+    } catch (error) {
+      if (!isAbortError(error)) console.error('Error fetching station details:', error);
+      throw error;
+    }
+  })();
+
+  // Failed or aborted loads aren't kept, so a later call retries
+  detailsPromise
+    .then(details => stationDetailsCache.set(cacheKey, Promise.resolve(details)))
+    .catch(() => {});
+  return detailsPromise;
+};
+
+// Convert a vehicle resource into the flat shape used by the map
+export const parseVehicle = (vehicle) => ({
+  id: vehicle.id,
+  label: vehicle.attributes.label,
+  latitude: vehicle.attributes.latitude,
+  longitude: vehicle.attributes.longitude,
+  bearing: vehicle.attributes.bearing,
+  currentStatus: vehicle.attributes.current_status,
+  directionId: vehicle.attributes.direction_id,
+  updatedAt: vehicle.attributes.updated_at,
+  routeId: vehicle.relationships?.route?.data?.id || null,
+  stopId: vehicle.relationships?.stop?.data?.id || null,
+  tripId: vehicle.relationships?.trip?.data?.id || null
+});
+
+const getVehiclesUrl = (routeIds) => `${API_BASE_URL}/vehicles?filter[route]=${routeIds.join(',')}`;
+
+// URL for the server-sent events stream of vehicle positions on the given routes. EventSource
+// can't send headers, so the API key goes in the query string.
+export const getVehicleStreamUrl = (routeIds = SUBWAY_ROUTE_IDS) => {
+  const url = getVehiclesUrl(routeIds);
+  return provider.apiKey ? `${url}&api_key=${encodeURIComponent(provider.apiKey)}` : url;
+};
+
+// Fetch current vehicle positions once (used when streaming is unavailable)
+export const fetchVehicles = async (routeIds = SUBWAY_ROUTE_IDS) => {
+  const data = await makeApiCall(getVehiclesUrl(routeIds));
+  return (data.data || []).map(parseVehicle);
+};
+
+// Cache of trip/stop details for vehicle popups, keyed by trip and stop ID
+const vehicleDetailsCache = new Map();
+
+// Get the destination and next stop name for a vehicle
+export const getVehicleDetails = async (vehicle) => {
+  const cacheKey = `${vehicle.tripId}_${vehicle.stopId}`;
+  if (vehicleDetailsCache.has(cacheKey)) {
+    return vehicleDetailsCache.get(cacheKey);
+  }
+
+  const [tripData, stopData] = await Promise.all([
+    vehicle.tripId ? makeApiCall(`${API_BASE_URL}/trips/${vehicle.tripId}`) : null,
+    vehicle.stopId ? makeApiCall(`${API_BASE_URL}/stops/${vehicle.stopId}`) : null
+  ]);
+
+  const details = {
+    destination: tripData?.data?.attributes?.headsign || null,
+    nextStop: stopData?.data?.attributes?.name || null
+  };
+
+  vehicleDetailsCache.set(cacheKey, details);
+  return details;
+};
+
+// Derived data, rebuilt only when the catalog data it came from is refreshed
+let lineShapesCache = null;
+let subwayNetworkCache = null;
+
+// Typicality 1 is regular service; higher values are rare detours and turnback patterns
+const isTypicalPattern = (pattern) => pattern.typicality === 1;
+
+// Flatten the route patterns response into one object per pattern of the given routes
+const parseRoutePatterns = (data, routeIds) => {
+  const trips = {};
+  const shapes = {};
+  (data.included || []).forEach(item => {
+    if (item.type === 'trip') trips[item.id] = item;
+    if (item.type === 'shape') shapes[item.id] = item;
+  });
+
+  return (data.data || [])
+    .map(pattern => {
+      const tripId = pattern.relationships?.representative_trip?.data?.id;
+      const trip = trips[tripId];
+      const shapeId = trip?.relationships?.shape?.data?.id;
+
+      return {
+        id: pattern.id,
+        name: pattern.attributes.name,
+        routeId: pattern.relationships?.route?.data?.id,
+        directionId: pattern.attributes.direction_id,
+        typicality: pattern.attributes.typicality,
+        representativeTripId: tripId,
+        headsign: trip?.attributes?.headsign || null,
+        shapeId,
+        polyline: shapes[shapeId]?.attributes?.polyline || null
       };
-      
-      console.log(`Final station data for ${station.name}:`, station);
-      
-      return station;
-    });
+    })
+    .filter(pattern => routeIds.includes(pattern.routeId));
+};
+
+// Fetch the route patterns for every route of a mode, with their representative trips.
+// Subway patterns also include shapes, used to draw the lines.
+const getRoutePatterns = async (modeId = 'subway') => {
+  const routeIds = await getModeRouteIds(modeId);
+  const include = modeId === 'subway' ? 'representative_trip.shape' : 'representative_trip';
+
+  return loadCatalog(
+    getModeCatalogKey('routePatterns', modeId),
+    async (lastModified) => {
+      const result = await makeCatalogApiCall(
+        `${API_BASE_URL}/route_patterns?filter[route]=${routeIds.join(',')}&include=${include}`,
+        lastModified
+      );
+      return result.notModified ? result : { ...result, data: parseRoutePatterns(result.data, routeIds) };
+    },
+    CACHE_DURATION
+  );
+};
+
+// Representative trips are fetched in batches to keep request URLs a reasonable length
+const TRIPS_PER_REQUEST = 100;
+
+// Fetch the ordered stops of every pattern's representative trip in as few requests as possible
+// (one for subway; a handful for bus).
+// Returns { tripIds, tripStops: trip ID -> platform IDs, stops: platform ID -> stop, parentStations: platform ID -> parent ID }
+const getPatternTrips = async (modeId = 'subway') => {
+  const patterns = await getRoutePatterns(modeId);
+  const tripIdList = patterns.map(pattern => pattern.representativeTripId).filter(Boolean);
+  const tripIds = tripIdList.join(',');
+
+  return loadCatalog(
+    getModeCatalogKey('patternTrips', modeId),
+    async () => {
+      const stops = {};
+      const parentStations = {};
+      const tripStops = {};
 
-    // Remove duplicates by station name
-    const finalStations = stationsWithRoutes.reduce((unique, station) => {
-      // Remove duplicates by station name (case-insensitive)
-      const stationNameLower = station.name.toLowerCase().trim();
-      const existingStation = unique.find(s => s.name.toLowerCase().trim() === stationNameLower);
-      
-      if (!existingStation) {
-        // Add new station
-        unique.push(station);
-      } else {
-        // Merge routes from duplicate station into existing one
-        const existingRoutes = new Map();
-        existingStation.routes.forEach(route => existingRoutes.set(route.id, route));
-        
-        station.routes.forEach(route => {
-          if (!existingRoutes.has(route.id)) {
-            existingRoutes.set(route.id, route);
-          }
+      // One batch at a time, to stay within the API's rate limit
+      for (let start = 0; start < tripIdList.length; start += TRIPS_PER_REQUEST) {
+        const batch = tripIdList.slice(start, start + TRIPS_PER_REQUEST).join(',');
+        const data = await makeApiCall(`${API_BASE_URL}/trips?filter[id]=${batch}&include=stops`);
+
+        (data.included || [])
+          .filter(item => item.type === 'stop')
+          .forEach(stop => {
+            stops[stop.id] = stop;
+            parentStations[stop.id] = stop.relationships?.parent_station?.data?.id || null;
+          });
+
+        (data.data || []).forEach(trip => {
+          tripStops[trip.id] = (trip.relationships?.stops?.data || []).map(stop => stop.id);
         });
-        
-        existingStation.routes = Array.from(existingRoutes.values());
-        
-        // Keep the closer station if distances are different
-        if (station.distance < existingStation.distance) {
-          existingStation.distance = station.distance;
-          existingStation.latitude = station.latitude;
-          existingStation.longitude = station.longitude;
-        }
-        
-        // Update wheelchair accessibility if either station has it
-        if (station.wheelchair_accessible) {
-          existingStation.wheelchair_accessible = true;
-        }
       }
-      
-      return unique;
-    }, []);
 
-    console.log('Final stations with routes:', finalStations);
-    return finalStations;
-  } catch (error) {
-    console.error('Error fetching MBTA stations:', error);
-    throw error;
+      return { data: { tripIds, tripStops, stops, parentStations } };
+    },
+    CACHE_DURATION,
+    // Trips cached for an older set of patterns must be refetched
+    (cached) => cached.tripIds === tripIds
+  );
+};
+
+// Fetch the track geometry for every subway line.
+// Returns a map of route ID -> array of shapes, each an array of [latitude, longitude] points
+export const fetchLineShapes = async () => {
+  const patterns = await getRoutePatterns();
+
+  if (lineShapesCache && lineShapesCache.patterns === patterns) {
+    console.log('Using cached line shapes');
+    return lineShapesCache.shapesByRoute;
   }
+
+  const shapesByRoute = {};
+  SUBWAY_ROUTE_IDS.forEach(routeId => {
+    shapesByRoute[routeId] = [];
+  });
+
+  const seenShapeIds = new Set();
+
+  patterns.filter(isTypicalPattern).forEach(pattern => {
+    if (!pattern.polyline || seenShapeIds.has(pattern.shapeId)) return;
+    seenShapeIds.add(pattern.shapeId);
+
+    shapesByRoute[pattern.routeId].push(decodePolyline(pattern.polyline));
+  });
+
+  lineShapesCache = { patterns, shapesByRoute };
+  return shapesByRoute;
 };
 
-// Get station details including routes
-export const getStationDetails = async (stationId) => {
-  try {
-    const data = await makeApiCall(`${MBTA_BASE_URL}/stops/${stationId}?include=route`);
-    return data.data;
-  } catch (error) {
-    console.error('Error fetching station details:', error);
-    throw error;
+// Fetch the subway network used by the trip planner: every station (by parent station)
+// and the ordered list of stations served by each route pattern
+export const fetchSubwayNetwork = async () => {
+  const [patterns, patternTrips] = await Promise.all([getRoutePatterns(), getPatternTrips()]);
+
+  if (subwayNetworkCache && subwayNetworkCache.patternTrips === patternTrips) {
+    console.log('Using cached subway network');
+    return subwayNetworkCache.network;
   }
+
+  // Platforms are grouped under their parent station so transfers happen at shared stations
+  const stations = {};
+  Object.values(patternTrips.stops).forEach(stop => {
+    const stationId = patternTrips.parentStations[stop.id] || stop.id;
+
+    if (!stations[stationId]) {
+      stations[stationId] = {
+        id: stationId,
+        name: stop.attributes.name,
+        latitude: stop.attributes.latitude,
+        longitude: stop.attributes.longitude
+      };
+    }
+  });
+
+  const toStationId = (stopId) => patternTrips.parentStations[stopId] || (patternTrips.stops[stopId] ? stopId : null);
+
+  const networkPatterns = patterns
+    .filter(isTypicalPattern)
+    .map(pattern => ({
+      id: pattern.id,
+      routeId: pattern.routeId,
+      directionId: pattern.directionId,
+      headsign: pattern.headsign,
+      stationIds: (patternTrips.tripStops[pattern.representativeTripId] || []).map(toStationId).filter(Boolean)
+    }))
+    .filter(pattern => pattern.stationIds.length > 1);
+
+  const network = { stations, patterns: networkPatterns };
+  subwayNetworkCache = { patternTrips, network };
+  return network;
 };
@@ -0,0 +1,210 @@
+import { fetchNearbyStations, getStationDetails, MAX_EXPANDED_RADIUS } from './mbtaApi';
+import { loadStationSnapshot } from './offlineSnapshot';
+import { loadCatalog, getCatalogSavedAt } from './catalogCache';
+import { calculateDistance } from './geo';
+
+jest.mock('./catalogCache', () => ({
+  loadCatalog: jest.fn(),
+  getCatalogSavedAt: jest.fn(),
+  clearCatalogCache: jest.fn()
+}));
+jest.mock('./offlineSnapshot', () => ({
+  loadStationSnapshot: jest.fn()
+}));
+// API responses by request, set per test
+const mockApiRequest = jest.fn();
+jest.mock('./requestScheduler', () => ({
+  ...jest.requireActual('./requestScheduler'),
+  createRequestScheduler: () => ({ request: (url, options) => mockApiRequest(url, options) })
+}));
+
+const PIN = [42.3564, -71.0624];
+
+const snapshotStation = (id, name, latitude, longitude, routeIds, wheelchairAccessible = true) => ({
+  id,
+  name,
+  latitude,
+  longitude,
+  parentStationId: id,
+  wheelchair_accessible: wheelchairAccessible,
+  stopIds: [id],
+  routes: routeIds.map(routeId => ({ id: routeId, name: routeId }))
+});
+
+const SNAPSHOT = {
+  generatedAt: new Date(2025, 9, 1).getTime(),
+  stations: [
+    snapshotStation('place-pktrm', 'Park Street', 42.3564, -71.0624, ['Red', 'Green-B']),
+    snapshotStation('place-dwnxg', 'Downtown Crossing', 42.3555, -71.0602, ['Red', 'Orange']),
+    snapshotStation('place-gover', 'Government Center', 42.3597, -71.0592, ['Blue', 'Green-B']),
+    snapshotStation('place-harsq', 'Harvard', 42.3734, -71.1190, ['Red'])
+  ]
+};
+
+beforeEach(() => {
+  // No saved catalog and no network: every catalog load fails
+  loadCatalog.mockRejectedValue(new TypeError('Failed to fetch'));
+  getCatalogSavedAt.mockReturnValue(null);
+  loadStationSnapshot.mockResolvedValue(SNAPSHOT);
+});
+
+test('answers from the bundled snapshot when no catalog is available', async () => {
+  const result = await fetchNearbyStations(PIN[0], PIN[1], { radius: 0.5, maxResults: 5 });
+
+  expect(result.stations.map(station => station.id)).toEqual(['place-pktrm', 'place-dwnxg', 'place-gover']);
+  expect(result.radius).toBe(0.5);
+  expect(result.dataStatus).toEqual({ source: 'snapshot', savedAt: SNAPSHOT.generatedAt, offline: true });
+  expect(result.stations[0]).toMatchObject({ predictions: null, schedule: null, alerts: [], modes: ['subway'] });
+  expect(result.stations[0].walk.estimated).toBe(true);
+});
+
+test('filters the snapshot by radius, result count and line', async () => {
+  const closest = await fetchNearbyStations(PIN[0], PIN[1], { radius: 0.5, maxResults: 2 });
+  expect(closest.stations.map(station => station.id)).toEqual(['place-pktrm', 'place-dwnxg']);
+
+  const blue = await fetchNearbyStations(PIN[0], PIN[1], { radius: 0.5, maxResults: 5, lines: ['Blue'] });
+  expect(blue.stations.map(station => station.id)).toEqual(['place-gover']);
+  expect(blue.stations[0].routes.map(route => route.id)).toEqual(['Blue']);
+});
+
+test('expands the snapshot search until enough stations are found', async () => {
+  const result = await fetchNearbyStations(PIN[0], PIN[1], { radius: 0.5, maxResults: 4, expandUntilFound: true });
+
+  expect(result.stations.map(station => station.id)).toContain('place-harsq');
+  const harvardDistance = calculateDistance(PIN[0], PIN[1], 42.3734, -71.1190);
+  expect(result.radius).toBe(Math.ceil(harvardDistance / 0.25) * 0.25);
+});
+
+test('stops expanding at the maximum radius when too few stations exist', async () => {
+  const result = await fetchNearbyStations(PIN[0], PIN[1], { radius: 0.5, maxResults: 10, expandUntilFound: true });
+
+  expect(result.stations).toHaveLength(SNAPSHOT.stations.length);
+  expect(result.radius).toBe(MAX_EXPANDED_RADIUS);
+});
+
+test('keeps the radius when enough stations are already inside it', async () => {
+  const result = await fetchNearbyStations(PIN[0], PIN[1], { radius: 1.25, maxResults: 2, expandUntilFound: true });
+
+  expect(result.stations.map(station => station.id)).toEqual(['place-pktrm', 'place-dwnxg']);
+  expect(result.radius).toBe(1.25);
+});
+
+test('sizes the expanded radius by the result count, not the accessible-only extra candidates', async () => {
+  const result = await fetchNearbyStations(PIN[0], PIN[1], {
+    radius: 0.25,
+    maxResults: 3,
+    expandUntilFound: true,
+    accessibleOnly: true
+  });
+
+  const governmentCenterDistance = calculateDistance(PIN[0], PIN[1], 42.3597, -71.0592);
+  expect(result.radius).toBe(Math.ceil(governmentCenterDistance / 0.25) * 0.25);
+  expect(result.stations.map(station => station.id)).toEqual(['place-pktrm', 'place-dwnxg', 'place-gover']);
+});
+
+test('stops a snapshot lookup once its signal aborts', async () => {
+  const request = new AbortController();
+  request.abort();
+
+  await expect(fetchNearbyStations(PIN[0], PIN[1], { radius: 0.5, signal: request.signal }))
+    .rejects.toMatchObject({ name: 'AbortError' });
+});
+
+describe('with the live API', () => {
+  const route = (id, type, shortName, lineId) => ({
+    id,
+    type: 'route',
+    attributes: { type, long_name: `${id} Line`, short_name: shortName, direction_destinations: ['Outbound', 'Inbound'] },
+    relationships: { line: { data: { id: lineId } } }
+  });
+  const stop = (id, name, parentId, latitude, longitude) => ({
+    id,
+    type: 'stop',
+    attributes: { name, latitude, longitude, location_type: parentId ? 0 : 1 },
+    relationships: { parent_station: { data: parentId ? { id: parentId } : null } }
+  });
+  const pattern = (id, routeId, tripId) => ({
+    id,
+    type: 'route_pattern',
+    attributes: { name: id, direction_id: 0, typicality: 1 },
+    relationships: { route: { data: { id: routeId } }, representative_trip: { data: { id: tripId } } }
+  });
+  const trip = (id, stopIds) => ({
+    id,
+    type: 'trip',
+    relationships: { stops: { data: stopIds.map(stopId => ({ id: stopId })) } }
+  });
+
+  // Park Street has a Red Line platform and a Green Line platform shared by the B and C branches,
+  // which both continue to Government Center
+  const PARK_STREET = stop('place-pktrm', 'Park Street', null, 42.3564, -71.0624);
+  const GOVERNMENT_CENTER = stop('place-gover', 'Government Center', null, 42.3597, -71.0592);
+  const PLATFORMS = [
+    stop('70075', 'Park Street', 'place-pktrm', 42.3564, -71.0624),
+    stop('70200', 'Park Street', 'place-pktrm', 42.3563, -71.0622),
+    stop('70202', 'Government Center', 'place-gover', 42.3597, -71.0592)
+  ];
+  const RESPONSES = {
+    '/routes?': { data: [route('Red', 1, '', 'line-Red'), route('Green-B', 0, 'B', 'line-Green'), route('Green-C', 0, 'C', 'line-Green')] },
+    '/stops?filter[route_type]': { data: PLATFORMS, included: [PARK_STREET, GOVERNMENT_CENTER] },
+    '/route_patterns?': {
+      data: [pattern('Red-1-0', 'Red', 'trip-red'), pattern('Green-B-1-0', 'Green-B', 'trip-b'), pattern('Green-C-1-0', 'Green-C', 'trip-c')]
+    },
+    '/trips?': {
+      data: [trip('trip-red', ['70075']), trip('trip-b', ['70200', '70202']), trip('trip-c', ['70200', '70202'])],
+      included: PLATFORMS
+    }
+  };
+
+  beforeEach(() => {
+    mockApiRequest.mockImplementation(async (url) => {
+      const path = Object.keys(RESPONSES).find(key => url.includes(key));
+      return { data: path ? RESPONSES[path] : { data: [] }, status: 200, lastModified: null };
+    });
+    // Every catalog is fetched once per test through the (mocked) scheduler
+    const catalogs = {};
+    loadCatalog.mockImplementation((key, fetchFresh) => {
+      catalogs[key] = catalogs[key] || fetchFresh(null).then(result => result.data);
+      return catalogs[key];
+    });
+  });
+
+  test('lists the routes serving each platform and station in the stop-to-route index', async () => {
+    const { stations } = await fetchNearbyStations(PIN[0], PIN[1], { radius: 0.5, maxResults: 5 });
+    const routeIds = (item) => item.routes.map(({ id }) => id).sort();
+    const parkStreet = stations.find(station => station.id === 'place-pktrm');
+    const governmentCenter = stations.find(station => station.id === 'place-gover');
+    const platform = (station, id) => station.platforms.find(candidate => candidate.id === id);
+
+    expect(routeIds(parkStreet)).toEqual(['Green-B', 'Green-C', 'Red']);
+    expect(routeIds(platform(parkStreet, '70075'))).toEqual(['Red']);
+    expect(routeIds(platform(parkStreet, '70200'))).toEqual(['Green-B', 'Green-C']);
+    expect(routeIds(governmentCenter)).toEqual(['Green-B', 'Green-C']);
+  });
+
+  test('fetches the trips of every pattern in one request', async () => {
+    await fetchNearbyStations(PIN[0], PIN[1], { radius: 0.5, maxResults: 5 });
+    const tripRequests = mockApiRequest.mock.calls.map(([url]) => url).filter(url => url.includes('/trips?'));
+
+    expect(tripRequests).toHaveLength(1);
+    expect(tripRequests[0]).toContain('filter[id]=trip-red,trip-b,trip-c');
+  });
+
+  test('passes the signal to station details requests and retries after an abort', async () => {
+    const request = new AbortController();
+    mockApiRequest.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+
+    const aborted = getStationDetails('place-dwnxg', { signal: request.signal });
+    request.abort();
+    await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+    expect(mockApiRequest.mock.calls.every(([, options]) => options.signal === request.signal)).toBe(true);
+
+    mockApiRequest.mockImplementation(async (url) => ({
+      data: url.includes('/facilities') ? { data: [] } : { data: { id: 'place-dwnxg', attributes: {} }, included: [] },
+      status: 200
+    }));
+    await expect(getStationDetails('place-dwnxg')).resolves.toMatchObject({ platforms: [] });
+  });
+});
@@ -0,0 +1,41 @@
+// Bundled snapshot of subway stations, lines and accessibility, used to answer
+// nearby-station queries when the MBTA API is unreachable and no catalog has been saved.
+// Regenerate it with `npm run update-snapshot`.
+
+const SNAPSHOT_URL = `${process.env.PUBLIC_URL || ''}/data/subway-snapshot.json`;
+
+// Must match the version written by scripts/update-snapshot.js
+export const SNAPSHOT_VERSION = 1;
+
+let snapshotPromise = null;
+
+// Load the bundled snapshot once per session.
+// Resolves to { generatedAt, stations } where each station has
+// { id, name, latitude, longitude, parentStationId, wheelchair_accessible, stopIds, routes: [{ id, name }] }
+export const loadStationSnapshot = () => {
+  if (snapshotPromise) return snapshotPromise;
+
+  snapshotPromise = (async () => {
+    const response = await fetch(SNAPSHOT_URL);
+    if (!response.ok) {
+      throw new Error(`Station snapshot unavailable (status ${response.status})`);
+    }
+
+    const snapshot = await response.json();
+    if (snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.stations) || snapshot.stations.length === 0) {
+      throw new Error('Station snapshot is empty or from an unsupported version');
+    }
+
+    return {
+      generatedAt: new Date(snapshot.generatedAt).getTime(),
+      stations: snapshot.stations
+    };
+  })();
+
+  // Allow a later retry if loading failed
+  snapshotPromise.catch(() => {
+    snapshotPromise = null;
+  });
+
+  return snapshotPromise;
+};
@@ -0,0 +1,34 @@
+// Decoder for Google's encoded polyline format, used by MBTA shapes
+// See https://developers.google.com/maps/documentation/utilities/polylinealgorithm
+
+// Decode an encoded polyline string into an array of [latitude, longitude] pairs
+export const decodePolyline = (encoded, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  const coordinates = [];
+  let index = 0;
+  let latitude = 0;
+  let longitude = 0;
+
+  // Read one zigzag-encoded, variable-length value starting at the current index
+  const readValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < encoded.length);
+
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    latitude += readValue();
+    longitude += readValue();
+    coordinates.push([latitude / factor, longitude / factor]);
+  }
+
+  return coordinates;
+};
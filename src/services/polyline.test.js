@@ -0,0 +1,13 @@
+import { decodePolyline } from './polyline';
+
+test('decodes the reference polyline from the format documentation', () => {
+  expect(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@')).toEqual([
+    [38.5, -120.2],
+    [40.7, -120.95],
+    [43.252, -126.453]
+  ]);
+});
+
+test('decodes an empty polyline to no points', () => {
+  expect(decodePolyline('')).toEqual([]);
+});
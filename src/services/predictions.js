@@ -0,0 +1,70 @@
+// Real-time arrivals from the /predictions endpoint, grouped by station, route and direction.
+
+// Group a /predictions response (with included trips) by station, route and direction.
+// stopToStation: stop ID -> station ID; routeLineMap: route ID -> line (see buildRouteLineMap).
+// Predictions without a time, and trains that left before `now`, are left out; each group keeps
+// its next `limit` arrivals.
+// Returns station ID -> [{ routeId, routeName, color, textColor, bullet, directionId, destination, arrivals }]
+// with arrivals [{ time, status }] in time order.
+export const parseStationPredictions = (data, { stopToStation, routeLineMap, now, limit }) => {
+  // Trip headsigns give a better destination than the route's direction name
+  // (e.g. "Ashmont" vs "Braintree" on the Red Line)
+  const tripHeadsigns = {};
+  (data.included || [])
+    .filter(item => item.type === 'trip')
+    .forEach(trip => {
+      tripHeadsigns[trip.id] = trip.attributes.headsign;
+    });
+
+  const groups = new Map();
+
+  (data.data || []).forEach(prediction => {
+    const stopId = prediction.relationships?.stop?.data?.id;
+    const routeId = prediction.relationships?.route?.data?.id;
+    const tripId = prediction.relationships?.trip?.data?.id;
+    const stationId = stopToStation.get(stopId);
+    const route = routeLineMap[routeId];
+    const time = prediction.attributes.arrival_time || prediction.attributes.departure_time;
+
+    if (!stationId || !route || !time) return;
+
+    const timestamp = new Date(time).getTime();
+    if (timestamp < now - 30 * 1000) return; // Skip trains that have already left
+
+    const directionId = prediction.attributes.direction_id;
+    const groupKey = `${stationId}_${routeId}_${directionId}`;
+
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        stationId,
+        routeId,
+        routeName: route.name,
+        color: route.color,
+        textColor: route.textColor,
+        bullet: route.bullet,
+        directionId,
+        destination: tripHeadsigns[tripId] || route.directionDestinations[directionId] || '',
+        arrivals: []
+      });
+    }
+
+    groups.get(groupKey).arrivals.push({
+      time: timestamp,
+      status: prediction.attributes.status
+    });
+  });
+
+  const predictionsByStation = {};
+  groups.forEach(({ stationId, ...group }) => {
+    group.arrivals = group.arrivals
+      .sort((a, b) => a.time - b.time)
+      .slice(0, limit);
+    (predictionsByStation[stationId] = predictionsByStation[stationId] || []).push(group);
+  });
+
+  Object.values(predictionsByStation).forEach(stationGroups => {
+    stationGroups.sort((a, b) => a.routeName.localeCompare(b.routeName) || a.directionId - b.directionId);
+  });
+
+  return predictionsByStation;
+};
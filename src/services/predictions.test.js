@@ -0,0 +1,74 @@
+import { parseStationPredictions } from './predictions';
+
+const RED = { name: 'Red Line', color: '#DA291C', textColor: '#FFFFFF', bullet: null, directionDestinations: ['Ashmont/Braintree', 'Alewife'] };
+const ORANGE = { name: 'Orange Line', color: '#ED8B00', textColor: '#FFFFFF', bullet: null, directionDestinations: ['Forest Hills', 'Oak Grove'] };
+
+const NOW = new Date(2025, 9, 17, 12, 0).getTime();
+const inMinutes = (minutes) => new Date(NOW + minutes * 60 * 1000).toISOString();
+
+const prediction = (id, stopId, routeId, directionId, { arrival = null, departure = null, tripId = null, status = null } = {}) => ({
+  id,
+  type: 'prediction',
+  attributes: { arrival_time: arrival, departure_time: departure, direction_id: directionId, status },
+  relationships: {
+    stop: { data: { id: stopId } },
+    route: { data: { id: routeId } },
+    trip: { data: tripId ? { id: tripId } : null }
+  }
+});
+
+const response = {
+  data: [
+    prediction('p1', '70076', 'Red', 1, { arrival: inMinutes(6) }),
+    prediction('p2', '70075', 'Red', 0, { arrival: inMinutes(4), tripId: 'braintree' }),
+    prediction('p3', '70075', 'Red', 0, { arrival: inMinutes(2), tripId: 'ashmont', status: 'Approaching' }),
+    // First stops of a trip only have a departure time
+    prediction('p4', '70076', 'Red', 1, { departure: inMinutes(1) }),
+    prediction('p5', '70014', 'Orange', 0, { arrival: inMinutes(3) }),
+    // No time (skipped stop), a train that already left, and a stop of another station
+    prediction('p6', '70075', 'Red', 0),
+    prediction('p7', '70076', 'Red', 1, { arrival: inMinutes(-2) }),
+    prediction('p8', '70061', 'Red', 0, { arrival: inMinutes(5) })
+  ],
+  included: [
+    { id: 'ashmont', type: 'trip', attributes: { headsign: 'Ashmont' } },
+    { id: 'braintree', type: 'trip', attributes: { headsign: 'Braintree' } }
+  ]
+};
+
+const stopToStation = new Map([['70075', 'place-pktrm'], ['70076', 'place-pktrm'], ['70014', 'place-bbsta']]);
+const parse = (limit = 3) => parseStationPredictions(response, {
+  stopToStation,
+  routeLineMap: { Red: RED, Orange: ORANGE },
+  now: NOW,
+  limit
+});
+
+test('groups predictions by station, route and direction', () => {
+  const predictions = parse();
+  expect(Object.keys(predictions).sort()).toEqual(['place-bbsta', 'place-pktrm']);
+  expect(predictions['place-pktrm'].map(group => [group.routeId, group.directionId, group.color])).toEqual([
+    ['Red', 0, '#DA291C'],
+    ['Red', 1, '#DA291C']
+  ]);
+  expect(predictions['place-bbsta'].map(group => [group.routeName, group.directionId])).toEqual([['Orange Line', 0]]);
+});
+
+test('names the destination after the first trip\'s headsign, or the direction', () => {
+  const [southbound, northbound] = parse()['place-pktrm'];
+  expect(southbound.destination).toBe('Braintree');
+  expect(northbound.destination).toBe('Alewife');
+});
+
+test('keeps the next arrivals in time order and drops those without times', () => {
+  const [southbound, northbound] = parse()['place-pktrm'];
+  expect(southbound.arrivals).toEqual([
+    { time: new Date(inMinutes(2)).getTime(), status: 'Approaching' },
+    { time: new Date(inMinutes(4)).getTime(), status: null }
+  ]);
+  expect(northbound.arrivals.map(arrival => arrival.time)).toEqual([
+    new Date(inMinutes(1)).getTime(),
+    new Date(inMinutes(6)).getTime()
+  ]);
+  expect(parse(1)['place-pktrm'][1].arrivals).toHaveLength(1);
+});
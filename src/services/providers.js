@@ -0,0 +1,163 @@
+// Transit providers: everything agency-specific the finder needs, so the same app can point at
+// another city's JSON:API or GTFS feed through configuration instead of a fork.
+//
+// A provider has:
+//   id, name        - identifier and display name ("MBTA")
+//   apiStyle        - 'jsonapi' (an MBTA V3-compatible API at baseUrl) or 'gtfs' (a static feed at gtfsUrl)
+//   baseUrl         - JSON:API base URL, or null
+//   apiKey          - key sent with JSON:API requests, or null for anonymous (rate limited harder)
+//   gtfsUrl         - GTFS static feed URL (.zip, or a directory URL ending in "/"), or null
+//   lines           - fallback line registry for the lines drawn on the map, used until route data
+//                     loads or when it can't (see ./lineRegistry for the entry shape)
+//   modes           - mode registry: mode ID -> { label, emoji, color, routeTypes, numberedRoutes }
+//   getRouteMode    - (route resource) -> mode ID, or null for routes of no supported mode
+//   defaultCenter   - [latitude, longitude] used when the user's location is unknown
+//   defaultCenterName - label for defaultCenter ("Boston")
+//   serviceArea     - { south, west, north, east } bounds of the area the provider serves
+//   hasSnapshot     - whether the bundled offline station snapshot belongs to this provider
+//   averageWaitMinutes - route ID -> average wait for a train, for the trip planner's estimates
+//   lightRailRoutes - route IDs the trip planner times at light-rail speed
+
+// The MBTA's API address, subway lines (with the colors and sort order the API publishes for
+// them) and trip planner timings. They live in JSON so scripts/update-snapshot.js can read them
+// too; the snapshot covers these lines.
+import MBTA from './mbtaProvider.json';
+
+// Transit modes, in the order they're offered. Routes of modes with numberedRoutes are known by
+// their number (bus 39), so it's drawn in their line bullets.
+const MBTA_MODES = {
+  subway: { label: 'Subway', emoji: '🚇', color: '#ff6b35', routeTypes: [0, 1] },
+  commuterRail: { label: 'Commuter Rail', emoji: '🚆', color: '#80276C', routeTypes: [2] },
+  silverLine: { label: 'Silver Line', emoji: '🚍', color: '#7C878E', routeTypes: [3], numberedRoutes: true },
+  bus: { label: 'Bus', emoji: '🚌', color: '#FFC72C', routeTypes: [3], numberedRoutes: true },
+  ferry: { label: 'Ferry', emoji: '⛴️', color: '#008EAA', routeTypes: [4] }
+};
+
+// Silver Line routes are bus routes (type 3) with an "SL" short name
+const getMbtaRouteMode = (route) => {
+  const type = route.attributes.type;
+  if (type === 0 || type === 1) return 'subway';
+  if (type === 2) return 'commuterRail';
+  if (type === 3) return (route.attributes.short_name || '').startsWith('SL') ? 'silverLine' : 'bus';
+  if (type === 4) return 'ferry';
+  return null;
+};
+
+export const createMbtaProvider = ({ baseUrl = MBTA.baseUrl, apiKey = null, gtfsUrl = null } = {}) => ({
+  id: 'mbta',
+  name: 'MBTA',
+  apiStyle: 'jsonapi',
+  baseUrl,
+  apiKey,
+  gtfsUrl,
+  lines: MBTA.lines,
+  modes: MBTA_MODES,
+  getRouteMode: getMbtaRouteMode,
+  defaultCenter: [42.3601, -71.0589],
+  defaultCenterName: 'Boston',
+  serviceArea: { south: 42.2, west: -71.3, north: 42.5, east: -70.9 },
+  hasSnapshot: true,
+  averageWaitMinutes: MBTA.averageWaitMinutes,
+  lightRailRoutes: MBTA.lightRailRoutes
+});
+
+// Modes for a generic GTFS feed, by GTFS route_type
+const GTFS_MODES = {
+  subway: { label: 'Subway', emoji: '🚇', color: '#ff6b35', routeTypes: [0, 1] },
+  rail: { label: 'Rail', emoji: '🚆', color: '#80276C', routeTypes: [2] },
+  bus: { label: 'Bus', emoji: '🚌', color: '#FFC72C', routeTypes: [3], numberedRoutes: true },
+  ferry: { label: 'Ferry', emoji: '⛴️', color: '#008EAA', routeTypes: [4] }
+};
+
+const getGtfsRouteMode = (route) => (
+  Object.keys(GTFS_MODES).find(modeId => GTFS_MODES[modeId].routeTypes.includes(route.attributes.type)) || null
+);
+
+// Generic provider backed by any agency's GTFS static feed. Lines take their colors from
+// routes.txt; a configured line registry only fills in for routes without them.
+export const createGtfsProvider = ({
+  name = 'Transit',
+  gtfsUrl,
+  lines = {},
+  defaultCenter,
+  defaultCenterName = 'default location',
+  serviceArea = null
+}) => ({
+  id: 'gtfs',
+  name,
+  apiStyle: 'gtfs',
+  baseUrl: null,
+  apiKey: null,
+  gtfsUrl,
+  lines,
+  modes: GTFS_MODES,
+  getRouteMode: getGtfsRouteMode,
+  defaultCenter,
+  defaultCenterName,
+  serviceArea,
+  hasSnapshot: false,
+  // No per-route timings: every route gets the trip planner's defaults
+  averageWaitMinutes: {},
+  lightRailRoutes: []
+});
+
+// Parse "a,b,c" into numbers, or null when missing or malformed
+const parseNumberList = (value, length) => {
+  if (!value) return null;
+  const numbers = value.split(',').map(Number);
+  return numbers.length === length && numbers.every(Number.isFinite) ? numbers : null;
+};
+
+// Pick the provider from REACT_APP_* settings:
+//   REACT_APP_TRANSIT_PROVIDER  - 'mbta' (default) or 'gtfs'
+//   REACT_APP_API_BASE_URL      - MBTA V3-compatible API to use instead of api-v3.mbta.com
+//   REACT_APP_API_KEY           - API key for the V3 API
+//   REACT_APP_GTFS_URL          - GTFS feed; required for 'gtfs', an optional alternative source for 'mbta'
+//   REACT_APP_PROVIDER_NAME     - display name for 'gtfs'
+//   REACT_APP_DEFAULT_CENTER    - "lat,lon" for 'gtfs'
+//   REACT_APP_DEFAULT_CENTER_NAME - label for the default center
+//   REACT_APP_SERVICE_AREA      - "south,west,north,east" for 'gtfs'
+export const selectProvider = (env) => {
+  if (env.REACT_APP_TRANSIT_PROVIDER === 'gtfs') {
+    if (!env.REACT_APP_GTFS_URL) {
+      throw new Error('REACT_APP_GTFS_URL is required when REACT_APP_TRANSIT_PROVIDER is "gtfs"');
+    }
+    const defaultCenter = parseNumberList(env.REACT_APP_DEFAULT_CENTER, 2);
+    if (!defaultCenter) {
+      throw new Error('REACT_APP_DEFAULT_CENTER must be "latitude,longitude" when REACT_APP_TRANSIT_PROVIDER is "gtfs"');
+    }
+    const bounds = parseNumberList(env.REACT_APP_SERVICE_AREA, 4);
+
+    return createGtfsProvider({
+      name: env.REACT_APP_PROVIDER_NAME || undefined,
+      gtfsUrl: env.REACT_APP_GTFS_URL,
+      defaultCenter,
+      defaultCenterName: env.REACT_APP_DEFAULT_CENTER_NAME || undefined,
+      serviceArea: bounds && { south: bounds[0], west: bounds[1], north: bounds[2], east: bounds[3] }
+    });
+  }
+
+  return createMbtaProvider({
+    baseUrl: env.REACT_APP_API_BASE_URL || undefined,
+    apiKey: env.REACT_APP_API_KEY || null,
+    gtfsUrl: env.REACT_APP_GTFS_URL || null
+  });
+};
+
+// Whether a position falls inside the provider's service area (always true when none is set)
+export const isInServiceArea = (provider, [latitude, longitude]) => {
+  const area = provider.serviceArea;
+  if (!area) return true;
+  return latitude >= area.south && latitude <= area.north && longitude >= area.west && longitude <= area.east;
+};
+
+let activeProvider = null;
+
+// The provider selected by this build's configuration
+export const getProvider = () => {
+  if (!activeProvider) {
+    activeProvider = selectProvider(process.env);
+    console.log(`Using transit provider ${activeProvider.name} (${activeProvider.apiStyle})`);
+  }
+  return activeProvider;
+};
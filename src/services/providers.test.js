@@ -0,0 +1,72 @@
+import { selectProvider, isInServiceArea } from './providers';
+
+const route = (id, longName, attributes = {}) => ({
+  id,
+  attributes: { long_name: longName, color: '0A7D3E', ...attributes }
+});
+
+test('uses the MBTA provider by default', () => {
+  const provider = selectProvider({});
+
+  expect(provider.id).toBe('mbta');
+  expect(provider.apiStyle).toBe('jsonapi');
+  expect(provider.baseUrl).toBe('https://api-v3.mbta.com');
+  expect(provider.apiKey).toBeNull();
+  expect(provider.gtfsUrl).toBeNull();
+  expect(provider.lines.Orange).toMatchObject({ name: 'Orange Line', color: '#ED8B00' });
+});
+
+test('points the MBTA provider at another JSON:API base URL', () => {
+  expect(selectProvider({ REACT_APP_API_BASE_URL: 'https://transit.example.org' }).baseUrl)
+    .toBe('https://transit.example.org');
+  expect(selectProvider({ REACT_APP_API_KEY: 'abc123' }).apiKey).toBe('abc123');
+});
+
+test('configures a GTFS provider from the environment', () => {
+  const provider = selectProvider({
+    REACT_APP_TRANSIT_PROVIDER: 'gtfs',
+    REACT_APP_GTFS_URL: 'https://example.org/gtfs.zip',
+    REACT_APP_PROVIDER_NAME: 'Metro',
+    REACT_APP_DEFAULT_CENTER: '45.52,-122.68',
+    REACT_APP_SERVICE_AREA: '45.3,-123.0,45.7,-122.3'
+  });
+
+  expect(provider).toMatchObject({
+    id: 'gtfs',
+    name: 'Metro',
+    apiStyle: 'gtfs',
+    baseUrl: null,
+    gtfsUrl: 'https://example.org/gtfs.zip',
+    defaultCenter: [45.52, -122.68],
+    serviceArea: { south: 45.3, west: -123.0, north: 45.7, east: -122.3 },
+    hasSnapshot: false
+  });
+  expect(provider.getRouteMode(route('MAX-G', 'MAX Green Line', { type: 0 }))).toBe('subway');
+});
+
+test('rejects an incomplete GTFS provider configuration', () => {
+  expect(() => selectProvider({ REACT_APP_TRANSIT_PROVIDER: 'gtfs' })).toThrow('REACT_APP_GTFS_URL');
+  expect(() => selectProvider({
+    REACT_APP_TRANSIT_PROVIDER: 'gtfs',
+    REACT_APP_GTFS_URL: 'https://example.org/gtfs/',
+    REACT_APP_DEFAULT_CENTER: 'downtown'
+  })).toThrow('REACT_APP_DEFAULT_CENTER');
+});
+
+test('checks positions against the service area', () => {
+  const provider = selectProvider({});
+
+  expect(isInServiceArea(provider, [42.3554, -71.0605])).toBe(true);
+  expect(isInServiceArea(provider, [40.7128, -74.006])).toBe(false);
+});
+
+test('classifies MBTA routes by mode, telling the Silver Line apart from other buses', () => {
+  const provider = selectProvider({});
+
+  expect(provider.getRouteMode(route('Red', 'Red Line', { type: 1 }))).toBe('subway');
+  expect(provider.getRouteMode(route('CR-Fitchburg', 'Fitchburg Line', { type: 2 }))).toBe('commuterRail');
+  expect(provider.getRouteMode(route('741', 'Logan Airport Terminals - South Station', { type: 3, short_name: 'SL1' })))
+    .toBe('silverLine');
+  expect(provider.getRouteMode(route('39', 'Forest Hills - Back Bay Station', { type: 3, short_name: '39' }))).toBe('bus');
+  expect(provider.getRouteMode(route('Boat-F4', 'Charlestown Ferry', { type: 4 }))).toBe('ferry');
+});
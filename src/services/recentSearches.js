@@ -0,0 +1,41 @@
+// Recent search-box selections, kept in localStorage so they survive reloads
+
+const STORAGE_KEY = 'recentSearches';
+export const MAX_RECENT_SEARCHES = 8;
+
+// Saved searches, newest first, as { type, name, detail, latitude, longitude }
+export const loadRecentSearches = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error('Unable to read recent searches:', error);
+    return [];
+  }
+};
+
+const writeRecentSearches = (searches) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(searches));
+  } catch (error) {
+    // Storage can be full or disabled (private browsing); history just won't persist
+    console.error('Unable to save recent searches:', error);
+  }
+};
+
+// Move a selection to the front of the history and return the updated list
+export const saveRecentSearch = ({ type, name, detail = '', latitude, longitude }) => {
+  const entry = { type, name, detail, latitude, longitude };
+  const searches = [
+    entry,
+    ...loadRecentSearches().filter(search => !(search.type === type && search.name === name && search.detail === detail))
+  ].slice(0, MAX_RECENT_SEARCHES);
+
+  writeRecentSearches(searches);
+  return searches;
+};
+
+export const clearRecentSearches = () => {
+  writeRecentSearches([]);
+  return [];
+};
@@ -0,0 +1,251 @@
+// Request layer for the transit API. Every request goes through one scheduler, which:
+//   - sends the API key, when one is configured
+//   - spends tokens from a bucket kept in step with the server's x-ratelimit-* headers, waiting for
+//     the window to reset instead of running into 429s
+//   - shares one request between identical requests in flight at the same time
+//   - cancels requests through AbortSignals; a shared request is only cancelled once every caller
+//     waiting on it has given up
+//   - reports failures as typed errors (RateLimitError, NetworkError, HttpError, ParseError)
+
+const RETRY_BASE_DELAY = 1000; // ms, doubled on each attempt
+// Longer waits for the rate limit window are reported as a RateLimitError instead
+const MAX_RATE_LIMIT_WAIT = 10 * 1000;
+
+export class ApiError extends Error {
+  constructor(message, { url = null, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.url = url;
+    if (cause) this.cause = cause;
+  }
+}
+
+// The API's rate limit was reached. retryAt: when the window resets, in epoch milliseconds
+export class RateLimitError extends ApiError {
+  constructor(message, { retryAt = null, ...options } = {}) {
+    super(message, options);
+    this.name = 'RateLimitError';
+    this.retryAt = retryAt;
+  }
+}
+
+// The request never got a response (offline, DNS, CORS, connection reset)
+export class NetworkError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+}
+
+// The server answered with an error status
+export class HttpError extends ApiError {
+  constructor(message, { status, ...options } = {}) {
+    super(message, options);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// The response body wasn't the JSON expected
+export class ParseError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ParseError';
+  }
+}
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+const createAbortError = () => new DOMException('The request was cancelled', 'AbortError');
+
+export const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw createAbortError();
+};
+
+// Wait, giving up early with an AbortError when the signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Read x-ratelimit-limit, x-ratelimit-remaining and x-ratelimit-reset (epoch seconds) into
+// { limit, remaining, resetAt (epoch ms) }, or null when the response has none
+export const parseRateLimitHeaders = (headers) => {
+  const values = ['limit', 'remaining', 'reset'].map(name => headers?.get(`x-ratelimit-${name}`));
+  if (values.some(value => value === null || value === undefined || value === '')) return null;
+
+  const [limit, remaining, reset] = values.map(Number);
+  if (![limit, remaining, reset].every(Number.isFinite)) return null;
+  return { limit, remaining, resetAt: reset * 1000 };
+};
+
+// Token bucket mirroring the server's rate limit window: `remaining` tokens until resetAt, when it
+// refills to `limit`. Until a response reports the limit, requests are let through.
+export const createTokenBucket = ({ now = Date.now } = {}) => {
+  let limit = null;
+  let remaining = null;
+  let resetAt = 0;
+
+  return {
+    // Take a token. Returns 0 when one was available, else how long to wait before trying again.
+    take: () => {
+      if (remaining === null) return 0;
+      if (remaining <= 0 && now() >= resetAt) {
+        remaining = limit;
+      }
+      if (remaining > 0) {
+        remaining -= 1;
+        return 0;
+      }
+      return Math.max(resetAt - now(), 1);
+    },
+
+    // Sync with the headers of a response. Within one window, requests this bucket let through
+    // may not have reached the server yet, so the lower count wins.
+    update: (rateLimit) => {
+      const isNewWindow = rateLimit.resetAt !== resetAt;
+      limit = rateLimit.limit;
+      remaining = isNewWindow || remaining === null ? rateLimit.remaining : Math.min(remaining, rateLimit.remaining);
+      resetAt = rateLimit.resetAt;
+    },
+
+    // Spend every token until the given time (after a 429)
+    exhaust: (until) => {
+      remaining = 0;
+      resetAt = Math.max(resetAt, until);
+      if (limit === null) limit = 1;
+    }
+  };
+};
+
+// Create a scheduler. request(url, { signal, headers }) resolves to { status, data, lastModified },
+// with data null for a 304 Not Modified.
+//   apiKey     - sent as the x-api-key header
+//   fetch      - the fetch implementation (for tests)
+//   maxRetries - attempts for network errors, 5xx responses and short rate limit waits
+export const createRequestScheduler = ({
+  apiKey = null,
+  fetch: fetchImpl = (...args) => fetch(...args),
+  now = Date.now,
+  maxRetries = 2
+} = {}) => {
+  const bucket = createTokenBucket({ now });
+  const inFlight = new Map();
+
+  const waitForToken = async (signal) => {
+    for (let wait = bucket.take(); wait > 0; wait = bucket.take()) {
+      if (wait > MAX_RATE_LIMIT_WAIT) {
+        throw new RateLimitError('Rate limit reached', { retryAt: now() + wait });
+      }
+      console.log(`Rate limit window spent, waiting ${wait}ms`);
+      await sleep(wait, signal);
+    }
+  };
+
+  const send = async (url, headers, signal) => {
+    for (let attempt = 1; ; attempt++) {
+      const retryDelay = Math.pow(2, attempt) * RETRY_BASE_DELAY;
+      await waitForToken(signal);
+
+      let response;
+      try {
+        console.log(`Making API call (attempt ${attempt}): ${url}`);
+        response = await fetchImpl(url, { signal, headers });
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.error(`API call failed (attempt ${attempt}): ${url}`, error);
+        if (attempt < maxRetries) {
+          await sleep(retryDelay, signal);
+          continue;
+        }
+        throw new NetworkError(`Network request failed: ${url}`, { url, cause: error });
+      }
+
+      const rateLimit = parseRateLimitHeaders(response.headers);
+      if (rateLimit) bucket.update(rateLimit);
+
+      if (response.status === 429) {
+        const retryAt = rateLimit ? rateLimit.resetAt : now() + retryDelay;
+        bucket.exhaust(retryAt);
+        console.log(`Rate limit hit: ${url}`);
+        if (attempt < maxRetries && retryAt - now() <= MAX_RATE_LIMIT_WAIT) continue;
+        throw new RateLimitError(`Rate limit reached: ${url}`, { url, retryAt });
+      }
+
+      if (response.status === 304) {
+        return { status: 304, data: null, lastModified: response.headers.get('last-modified') };
+      }
+
+      if (!response.ok) {
+        if (response.status >= 500 && attempt < maxRetries) {
+          await sleep(retryDelay, signal);
+          continue;
+        }
+        throw new HttpError(`HTTP error! status: ${response.status}`, { url, status: response.status });
+      }
+
+      let data;
+      try {
+        data = await response.json();
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        throw new ParseError(`Invalid JSON from ${url}`, { url, cause: error });
+      }
+      console.log(`API call successful: ${url}`);
+      return { status: response.status, data, lastModified: response.headers.get('last-modified') };
+    }
+  };
+
+  // Wait on a shared request; the caller's signal only cancels the request once nobody else waits
+  const join = (key, entry, signal) => {
+    entry.callers += 1;
+    if (!signal) return entry.promise;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        entry.callers -= 1;
+        if (entry.callers === 0) {
+          entry.controller.abort();
+          if (inFlight.get(key) === entry) inFlight.delete(key);
+        }
+        reject(createAbortError());
+      };
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      entry.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  };
+
+  const request = (url, { signal, headers = {} } = {}) => {
+    const key = `${url} ${JSON.stringify(headers)}`;
+    let entry = inFlight.get(key);
+    if (!entry) {
+      const controller = new AbortController();
+      const requestHeaders = apiKey ? { ...headers, 'x-api-key': apiKey } : headers;
+      entry = { controller, callers: 0 };
+      entry.promise = send(url, requestHeaders, controller.signal).finally(() => {
+        if (inFlight.get(key) === entry) inFlight.delete(key);
+      });
+      inFlight.set(key, entry);
+    }
+    return join(key, entry, signal);
+  };
+
+  return { request };
+};
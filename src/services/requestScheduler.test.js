@@ -0,0 +1,161 @@
+import {
+  parseRateLimitHeaders,
+  createTokenBucket,
+  createRequestScheduler,
+  RateLimitError,
+  NetworkError,
+  HttpError,
+  ParseError,
+  isAbortError
+} from './requestScheduler';
+
+const headers = (values = {}) => ({
+  get: (name) => values[name.toLowerCase()] ?? null
+});
+
+const response = (status, body = {}, headerValues = {}) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  headers: headers(headerValues),
+  json: async () => body
+});
+
+test('reads the rate limit headers', () => {
+  expect(parseRateLimitHeaders(headers({
+    'x-ratelimit-limit': '1000',
+    'x-ratelimit-remaining': '998',
+    'x-ratelimit-reset': '1760000000'
+  }))).toEqual({ limit: 1000, remaining: 998, resetAt: 1760000000000 });
+
+  expect(parseRateLimitHeaders(headers({}))).toBeNull();
+  expect(parseRateLimitHeaders(headers({
+    'x-ratelimit-limit': '20',
+    'x-ratelimit-remaining': 'lots',
+    'x-ratelimit-reset': '1760000000'
+  }))).toBeNull();
+});
+
+test('the token bucket follows the server\'s window', () => {
+  let time = 1000;
+  const bucket = createTokenBucket({ now: () => time });
+
+  // Nothing is known until a response reports the limit
+  expect(bucket.take()).toBe(0);
+
+  bucket.update({ limit: 20, remaining: 2, resetAt: 5000 });
+  expect(bucket.take()).toBe(0);
+  expect(bucket.take()).toBe(0);
+  expect(bucket.take()).toBe(4000);
+
+  // A late response from the same window can't hand spent tokens back
+  bucket.update({ limit: 20, remaining: 1, resetAt: 5000 });
+  expect(bucket.take()).toBe(4000);
+
+  // The window resets to the full limit
+  time = 5000;
+  expect(bucket.take()).toBe(0);
+  bucket.update({ limit: 20, remaining: 19, resetAt: 65000 });
+  expect(bucket.take()).toBe(0);
+});
+
+test('sends the API key and resolves to the parsed response', async () => {
+  const fetch = jest.fn(async () => response(200, { data: [] }, { 'last-modified': 'Mon, 13 Oct 2025 00:00:00 GMT' }));
+  const scheduler = createRequestScheduler({ apiKey: 'abc123', fetch });
+
+  await expect(scheduler.request('https://api.example.org/stops', { headers: { 'If-Modified-Since': 'yesterday' } }))
+    .resolves.toEqual({ status: 200, data: { data: [] }, lastModified: 'Mon, 13 Oct 2025 00:00:00 GMT' });
+  expect(fetch.mock.calls[0][1].headers).toEqual({ 'If-Modified-Since': 'yesterday', 'x-api-key': 'abc123' });
+});
+
+test('shares one request between identical requests in flight', async () => {
+  let respond;
+  const fetch = jest.fn(() => new Promise(resolve => { respond = resolve; }));
+  const scheduler = createRequestScheduler({ fetch });
+
+  const first = scheduler.request('https://api.example.org/alerts');
+  const second = scheduler.request('https://api.example.org/alerts');
+  await new Promise(resolve => setTimeout(resolve, 0));
+  respond(response(200, { data: ['alert'] }));
+
+  const [a, b] = await Promise.all([first, second]);
+  expect(fetch).toHaveBeenCalledTimes(1);
+  expect(a.data).toBe(b.data);
+
+  // Once settled, the same URL is fetched again
+  fetch.mockImplementation(async () => response(200, { data: [] }));
+  await scheduler.request('https://api.example.org/alerts');
+  expect(fetch).toHaveBeenCalledTimes(2);
+});
+
+test('a shared request is only cancelled once every caller has aborted', async () => {
+  const requests = [];
+  const fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+    requests.push({ signal, resolve });
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  }));
+  const scheduler = createRequestScheduler({ fetch });
+  const firstCaller = new AbortController();
+  const secondCaller = new AbortController();
+
+  const first = scheduler.request('https://api.example.org/predictions', { signal: firstCaller.signal });
+  const second = scheduler.request('https://api.example.org/predictions', { signal: secondCaller.signal });
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  firstCaller.abort();
+  const firstError = await first.catch(error => error);
+  expect(isAbortError(firstError)).toBe(true);
+  expect(requests[0].signal.aborted).toBe(false);
+
+  secondCaller.abort();
+  const secondError = await second.catch(error => error);
+  expect(isAbortError(secondError)).toBe(true);
+  expect(requests[0].signal.aborted).toBe(true);
+
+  // The cancelled request is forgotten, so the next caller starts a new one
+  scheduler.request('https://api.example.org/predictions');
+  await new Promise(resolve => setTimeout(resolve, 0));
+  expect(fetch).toHaveBeenCalledTimes(2);
+});
+
+test('reports failures as typed errors', async () => {
+  const failWith = (implementation) => createRequestScheduler({ fetch: implementation, maxRetries: 1 })
+    .request('https://api.example.org/stops');
+
+  await expect(failWith(async () => { throw new TypeError('Failed to fetch'); })).rejects.toBeInstanceOf(NetworkError);
+
+  const httpError = await failWith(async () => response(404)).catch(error => error);
+  expect(httpError).toBeInstanceOf(HttpError);
+  expect(httpError.status).toBe(404);
+
+  const rateLimitError = await failWith(async () => response(429, {}, {
+    'x-ratelimit-limit': '20',
+    'x-ratelimit-remaining': '0',
+    'x-ratelimit-reset': '1760000060'
+  })).catch(error => error);
+  expect(rateLimitError).toBeInstanceOf(RateLimitError);
+  expect(rateLimitError.retryAt).toBe(1760000060000);
+
+  await expect(failWith(async () => ({
+    ...response(200),
+    json: async () => { throw new SyntaxError('Unexpected token <'); }
+  }))).rejects.toBeInstanceOf(ParseError);
+});
+
+test('waits out a spent rate limit window rather than sending a request bound to fail', async () => {
+  let time = 0;
+  const fetch = jest.fn(async () => response(200, { data: [] }, {
+    'x-ratelimit-limit': '20',
+    'x-ratelimit-remaining': '0',
+    'x-ratelimit-reset': '60'
+  }));
+  const scheduler = createRequestScheduler({ fetch, now: () => time });
+
+  await scheduler.request('https://api.example.org/stops');
+  // The next window is further off than the scheduler will wait
+  await expect(scheduler.request('https://api.example.org/routes')).rejects.toBeInstanceOf(RateLimitError);
+  expect(fetch).toHaveBeenCalledTimes(1);
+
+  time = 60000;
+  await scheduler.request('https://api.example.org/routes');
+  expect(fetch).toHaveBeenCalledTimes(2);
+});
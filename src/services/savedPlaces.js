@@ -0,0 +1,61 @@
+// Named places (Home, Work, ...) the user saved, kept in localStorage so they survive reloads
+
+const STORAGE_KEY = 'savedPlaces';
+export const MAX_SAVED_PLACES = 10;
+
+// Saved places in the order they were added, as { id, name, latitude, longitude }
+export const loadSavedPlaces = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error('Unable to read saved places:', error);
+    return [];
+  }
+};
+
+const writeSavedPlaces = (places) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(places));
+  } catch (error) {
+    // Storage can be full or disabled (private browsing); places just won't persist
+    console.error('Unable to save places:', error);
+  }
+};
+
+const findPlaceByName = (places, name) => (
+  places.find(place => place.name.toLowerCase() === name.trim().toLowerCase())
+);
+
+// Whether a place can be saved under `name`: always when it moves an existing place, otherwise
+// only while there is room for another
+export const canSavePlace = (places, name) => (
+  Boolean(findPlaceByName(places, name)) || places.length < MAX_SAVED_PLACES
+);
+
+// Save a place and return the updated list. Saving under an existing name (ignoring case)
+// moves that place instead of adding a second one. A new place is refused once MAX_SAVED_PLACES
+// are saved (the list comes back unchanged); one has to be forgotten first.
+export const savePlace = ({ name, latitude, longitude }) => {
+  const trimmedName = name.trim();
+  const places = loadSavedPlaces();
+  if (!canSavePlace(places, trimmedName)) return places;
+  const existing = findPlaceByName(places, trimmedName);
+
+  let updated;
+  if (existing) {
+    updated = places.map(place => (place === existing ? { ...place, name: trimmedName, latitude, longitude } : place));
+  } else {
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    updated = [...places, { id, name: trimmedName, latitude, longitude }];
+  }
+
+  writeSavedPlaces(updated);
+  return updated;
+};
+
+export const removeSavedPlace = (id) => {
+  const updated = loadSavedPlaces().filter(place => place.id !== id);
+  writeSavedPlaces(updated);
+  return updated;
+};
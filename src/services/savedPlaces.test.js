@@ -0,0 +1,42 @@
+import { loadSavedPlaces, savePlace, removeSavedPlace, canSavePlace, MAX_SAVED_PLACES } from './savedPlaces';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('saves, reloads and removes named places', () => {
+  savePlace({ name: ' Home ', latitude: 42.35, longitude: -71.06 });
+  const places = savePlace({ name: 'Work', latitude: 42.36, longitude: -71.09 });
+
+  expect(places.map(place => place.name)).toEqual(['Home', 'Work']);
+  expect(loadSavedPlaces()).toEqual(places);
+  expect(removeSavedPlace(places[0].id).map(place => place.name)).toEqual(['Work']);
+});
+
+test('moves a place saved again under the same name', () => {
+  const [home] = savePlace({ name: 'Home', latitude: 42.35, longitude: -71.06 });
+  const places = savePlace({ name: 'home', latitude: 42.4, longitude: -71.1 });
+
+  expect(places).toEqual([{ id: home.id, name: 'home', latitude: 42.4, longitude: -71.1 }]);
+});
+
+test('refuses a new place once the limit is reached, but still moves saved ones', () => {
+  for (let i = 0; i < MAX_SAVED_PLACES; i++) {
+    savePlace({ name: `Place ${i}`, latitude: 42, longitude: -71 });
+  }
+  const full = loadSavedPlaces();
+
+  expect(canSavePlace(full, 'Gym')).toBe(false);
+  expect(canSavePlace(full, 'place 0')).toBe(true);
+  expect(savePlace({ name: 'Gym', latitude: 42.3, longitude: -71.1 })).toEqual(full);
+  expect(loadSavedPlaces()).toEqual(full);
+
+  const moved = savePlace({ name: 'Place 0', latitude: 42.3, longitude: -71.1 });
+  expect(moved).toHaveLength(MAX_SAVED_PLACES);
+  expect(moved[0]).toMatchObject({ name: 'Place 0', latitude: 42.3, longitude: -71.1 });
+});
+
+test('treats unreadable storage as no places', () => {
+  localStorage.setItem('savedPlaces', '{not json');
+  expect(loadSavedPlaces()).toEqual([]);
+});
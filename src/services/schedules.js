@@ -0,0 +1,203 @@
+// Timetables from the /schedules endpoint: the departures scheduled at each station over one
+// service day, grouped by route and direction. Groups keep the whole day, so the upcoming
+// departures, the first and last trains and whether service has ended can be read off for any
+// moment without another request.
+
+// A service day runs past midnight: trips before this hour belong to the previous day's service
+const SERVICE_DAY_START_HOUR = 3;
+
+// Target times closer than this are treated as now, with live predictions
+const PLANNING_THRESHOLD = 60 * 1000;
+
+// Whether a target time (epoch ms, or null for now) is far enough ahead to plan for rather than
+// show live data
+export const isPlannedTime = (time, now = Date.now()) => (
+  typeof time === 'number' && time - now > PLANNING_THRESHOLD
+);
+
+// How soon before the last departure of a direction to warn about it
+export const LAST_TRAIN_WARNING = 30 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// The service date (YYYY-MM-DD, local time) a moment falls in; 1:30 AM is still the night before
+export const getServiceDate = (time) => {
+  const date = new Date(time - SERVICE_DAY_START_HOUR * 60 * 60 * 1000);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Group a /schedules response (with included trips) by station, route and direction.
+// stopToStation: stop ID -> station ID; routeLineMap: route ID -> line (see buildRouteLineMap).
+// Departures you can't board (no pickup, or arrivals at the end of the line) are left out.
+// Returns station ID -> [{ routeId, routeName, color, textColor, bullet, directionId, departures }]
+// with departures [{ time, destination }] in time order.
+export const parseStationSchedules = (data, { stopToStation, routeLineMap }) => {
+  const tripHeadsigns = {};
+  (data.included || [])
+    .filter(item => item.type === 'trip')
+    .forEach(trip => {
+      tripHeadsigns[trip.id] = trip.attributes.headsign;
+    });
+
+  const groups = new Map();
+  (data.data || []).forEach(schedule => {
+    const stopId = schedule.relationships?.stop?.data?.id;
+    const routeId = schedule.relationships?.route?.data?.id;
+    const tripId = schedule.relationships?.trip?.data?.id;
+    const stationId = stopToStation.get(stopId);
+    const route = routeLineMap[routeId];
+    const { departure_time: departureTime, direction_id: directionId, pickup_type: pickupType } = schedule.attributes;
+
+    if (!stationId || !route || !departureTime || pickupType === 1) return;
+
+    const groupKey = `${stationId}_${routeId}_${directionId}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        stationId,
+        routeId,
+        routeName: route.name,
+        color: route.color,
+        textColor: route.textColor,
+        bullet: route.bullet,
+        directionId,
+        departures: []
+      });
+    }
+    groups.get(groupKey).departures.push({
+      time: new Date(departureTime).getTime(),
+      destination: tripHeadsigns[tripId] || route.directionDestinations?.[directionId] || ''
+    });
+  });
+
+  const schedulesByStation = {};
+  groups.forEach(({ stationId, ...group }) => {
+    group.departures.sort((a, b) => a.time - b.time);
+    (schedulesByStation[stationId] = schedulesByStation[stationId] || []).push(group);
+  });
+  Object.values(schedulesByStation).forEach(stationGroups => {
+    stationGroups.sort((a, b) => a.routeName.localeCompare(b.routeName) || a.directionId - b.directionId);
+  });
+  return schedulesByStation;
+};
+
+// The next `limit` departures of a group at or after `now` (a train leaving this minute still counts)
+export const getUpcomingDepartures = (group, now, limit) => (
+  group.departures.filter(departure => departure.time >= now - 30 * 1000).slice(0, limit)
+);
+
+// First and last departures of a group's service day, or null when it has none
+export const getServiceHours = (group) => {
+  if (group.departures.length === 0) return null;
+  return { first: group.departures[0], last: group.departures[group.departures.length - 1] };
+};
+
+// The earliest first departure across a station's groups, or null when nothing is scheduled
+export const getFirstDeparture = (groups) => (
+  (groups || [])
+    .map(getServiceHours)
+    .filter(Boolean)
+    .reduce((earliest, { first }) => (!earliest || first.time < earliest.time ? first : earliest), null)
+);
+
+// Where a station's service day stands at `now`:
+//   'none'        - nothing scheduled this service day
+//   'not-started' - the first departure is still ahead
+//   'running'     - departures remain
+//   'ended'       - every direction has had its last departure
+export const getServiceStatus = (groups, now) => {
+  const hours = (groups || []).map(getServiceHours).filter(Boolean);
+  if (hours.length === 0) return 'none';
+  if (hours.every(({ last }) => last.time < now - 30 * 1000)) return 'ended';
+  if (hours.every(({ first }) => first.time > now)) return 'not-started';
+  return 'running';
+};
+
+// Directions whose last departure is coming up within LAST_TRAIN_WARNING
+export const getLastTrainWarnings = (groups, now) => (
+  (groups || [])
+    .map(group => ({ group, hours: getServiceHours(group) }))
+    .filter(({ hours }) => hours && hours.last.time >= now - 30 * 1000 && hours.last.time - now <= LAST_TRAIN_WARNING)
+    .map(({ group, hours }) => ({ ...group, last: hours.last }))
+);
+
+// Arrival groups to show for a station: live predictions, plus scheduled departures (marked
+// `scheduled`) for each route and direction with no predictions. Returns null when there is
+// neither, so the caller can tell "no data" from "no trains".
+export const mergeScheduledDepartures = (predictions, scheduleGroups, now, limit) => {
+  if (!predictions && !scheduleGroups) return null;
+
+  const predicted = new Set((predictions || []).map(group => `${group.routeId}_${group.directionId}`));
+  const scheduled = (scheduleGroups || [])
+    .filter(group => !predicted.has(`${group.routeId}_${group.directionId}`))
+    .map(group => {
+      const departures = getUpcomingDepartures(group, now, limit);
+      const { departures: allDepartures, ...line } = group;
+      return {
+        ...line,
+        destination: departures[0]?.destination || '',
+        arrivals: departures.map(departure => ({ time: departure.time })),
+        scheduled: true
+      };
+    })
+    .filter(group => group.arrivals.length > 0);
+
+  return [...(predictions || []), ...scheduled]
+    .sort((a, b) => a.routeName.localeCompare(b.routeName) || a.directionId - b.directionId);
+};
+
+const DAY_TYPE_LABELS = { weekday: 'Weekday', saturday: 'Saturday', sunday: 'Sunday' };
+
+// Typicality of services that replace regular service on holidays
+const HOLIDAY_TYPICALITY = 3;
+
+// Describe the service pattern running on a service date (YYYY-MM-DD) from a /services response:
+// weekday, Saturday or Sunday service, and the holiday when one changes it. Without services data
+// the pattern follows the day of the week.
+// Returns { serviceDate, dayType, holiday, scheduleType, label }
+export const describeServicePattern = (servicesData, serviceDate) => {
+  const [year, month, day] = serviceDate.split('-').map(Number);
+  const weekday = new Date(year, month - 1, day).getDay();
+  const dayType = weekday === 0 ? 'sunday' : weekday === 6 ? 'saturday' : 'weekday';
+  // GTFS valid_days run from 1 (Monday) to 7 (Sunday)
+  const validDay = weekday === 0 ? 7 : weekday;
+
+  let holiday = null;
+  let scheduleType = null;
+  (servicesData?.data || []).forEach(service => {
+    const attributes = service.attributes;
+    const addedIndex = (attributes.added_dates || []).indexOf(serviceDate);
+    const removedIndex = (attributes.removed_dates || []).indexOf(serviceDate);
+
+    // Regular service removed for the day names the holiday it makes way for
+    if (removedIndex !== -1) {
+      holiday = holiday || attributes.removed_dates_notes?.[removedIndex] || null;
+      return;
+    }
+
+    const runs = addedIndex !== -1 || (
+      attributes.start_date <= serviceDate &&
+      serviceDate <= attributes.end_date &&
+      (attributes.valid_days || []).includes(validDay)
+    );
+    if (!runs) return;
+
+    // Service added for the day (or holiday-only service) is what runs in place of the regular one
+    const note = addedIndex !== -1 ? attributes.added_dates_notes?.[addedIndex] : null;
+    const holidayService = attributes.schedule_typicality === HOLIDAY_TYPICALITY;
+    if (note || holidayService) {
+      holiday = note || holiday || attributes.description || attributes.schedule_name || 'Holiday';
+    }
+    if (addedIndex !== -1 || holidayService) {
+      scheduleType = attributes.schedule_type || scheduleType;
+    }
+  });
+
+  const runsAs = scheduleType && scheduleType !== 'Other' && scheduleType.toLowerCase() !== dayType
+    ? ` (${scheduleType} schedule)`
+    : '';
+  const label = holiday
+    ? `Holiday service: ${holiday}${runsAs}`
+    : `${DAY_TYPE_LABELS[dayType]} service`;
+
+  return { serviceDate, dayType, holiday, scheduleType, label };
+};
@@ -0,0 +1,164 @@
+import {
+  getServiceDate,
+  parseStationSchedules,
+  getUpcomingDepartures,
+  getServiceHours,
+  getServiceStatus,
+  getFirstDeparture,
+  getLastTrainWarnings,
+  mergeScheduledDepartures,
+  isPlannedTime,
+  describeServicePattern
+} from './schedules';
+
+const RED = { name: 'Red Line', color: '#DA291C', textColor: '#FFFFFF', bullet: null, directionDestinations: ['Ashmont/Braintree', 'Alewife'] };
+
+const at = (hours, minutes) => new Date(2025, 9, 17, hours, minutes).getTime();
+
+const schedule = (id, stopId, directionId, time, { tripId = null, pickupType = 0 } = {}) => ({
+  id,
+  type: 'schedule',
+  attributes: { departure_time: time && new Date(time).toISOString(), direction_id: directionId, pickup_type: pickupType },
+  relationships: {
+    stop: { data: { id: stopId } },
+    route: { data: { id: 'Red' } },
+    trip: { data: tripId ? { id: tripId } : null }
+  }
+});
+
+const response = {
+  data: [
+    schedule('s1', '70076', 1, at(23, 40)),
+    schedule('s2', '70075', 0, at(23, 35), { tripId: 'ashmont-late' }),
+    schedule('s3', '70075', 0, at(5, 20)),
+    schedule('s4', '70076', 1, at(5, 16)),
+    // Past midnight, still today's service
+    schedule('s5', '70075', 0, at(24, 30), { tripId: 'braintree-last' }),
+    // Arrivals at the end of the line and drop-off only stops can't be boarded
+    schedule('s6', '70076', 1, null),
+    schedule('s7', '70076', 1, at(23, 59), { pickupType: 1 }),
+    // Stops of other stations are ignored
+    schedule('s8', '70061', 0, at(23, 50))
+  ],
+  included: [
+    { id: 'ashmont-late', type: 'trip', attributes: { headsign: 'Ashmont' } },
+    { id: 'braintree-last', type: 'trip', attributes: { headsign: 'Braintree' } }
+  ]
+};
+
+const stopToStation = new Map([['70075', 'place-pktrm'], ['70076', 'place-pktrm']]);
+const { 'place-pktrm': parkStreet } = parseStationSchedules(response, { stopToStation, routeLineMap: { Red: RED } });
+
+test('service dates run past midnight', () => {
+  expect(getServiceDate(at(12, 0))).toBe('2025-10-17');
+  expect(getServiceDate(at(25, 30))).toBe('2025-10-17');
+  expect(getServiceDate(at(27, 30))).toBe('2025-10-18');
+});
+
+test('groups the departures you can board by route and direction', () => {
+  expect(parkStreet.map(group => [group.routeId, group.directionId, group.routeName])).toEqual([
+    ['Red', 0, 'Red Line'],
+    ['Red', 1, 'Red Line']
+  ]);
+  expect(parkStreet[0].departures).toEqual([
+    { time: at(5, 20), destination: 'Ashmont/Braintree' },
+    { time: at(23, 35), destination: 'Ashmont' },
+    { time: at(24, 30), destination: 'Braintree' }
+  ]);
+  expect(parkStreet[1].departures.map(departure => departure.time)).toEqual([at(5, 16), at(23, 40)]);
+});
+
+test('reads the next departures and the first and last trains off the day\'s timetable', () => {
+  expect(getUpcomingDepartures(parkStreet[0], at(23, 0), 2).map(departure => departure.time)).toEqual([at(23, 35), at(24, 30)]);
+  expect(getServiceHours(parkStreet[0])).toEqual({
+    first: { time: at(5, 20), destination: 'Ashmont/Braintree' },
+    last: { time: at(24, 30), destination: 'Braintree' }
+  });
+  expect(getServiceHours({ departures: [] })).toBeNull();
+});
+
+test('tells when service has ended for the night', () => {
+  expect(getServiceStatus(parkStreet, at(4, 0))).toBe('not-started');
+  expect(getServiceStatus(parkStreet, at(12, 0))).toBe('running');
+  // One direction is done, the other still runs
+  expect(getServiceStatus(parkStreet, at(23, 50))).toBe('running');
+  expect(getServiceStatus(parkStreet, at(24, 45))).toBe('ended');
+  expect(getServiceStatus([], at(12, 0))).toBe('none');
+});
+
+test('finds when service starts at a station', () => {
+  expect(getFirstDeparture(parkStreet)).toEqual({ time: at(5, 16), destination: 'Alewife' });
+  expect(getFirstDeparture([])).toBeNull();
+});
+
+test('warns about last trains leaving soon', () => {
+  expect(getLastTrainWarnings(parkStreet, at(22, 0))).toEqual([]);
+  expect(getLastTrainWarnings(parkStreet, at(23, 20)).map(warning => [warning.directionId, warning.last.time]))
+    .toEqual([[1, at(23, 40)]]);
+  expect(getLastTrainWarnings(parkStreet, at(24, 10)).map(warning => [warning.directionId, warning.last.destination]))
+    .toEqual([[0, 'Braintree']]);
+});
+
+test('fills directions without predictions with scheduled departures', () => {
+  const predictions = [{ routeId: 'Red', routeName: 'Red Line', directionId: 1, destination: 'Alewife', arrivals: [{ time: at(23, 41) }] }];
+
+  const groups = mergeScheduledDepartures(predictions, parkStreet, at(23, 0), 3);
+  expect(groups.map(group => [group.directionId, group.scheduled || false, group.destination])).toEqual([
+    [0, true, 'Ashmont'],
+    [1, false, 'Alewife']
+  ]);
+  expect(groups[0].arrivals).toEqual([{ time: at(23, 35) }, { time: at(24, 30) }]);
+
+  // No data at all is not the same as no trains
+  expect(mergeScheduledDepartures(null, null, at(23, 0), 3)).toBeNull();
+  expect(mergeScheduledDepartures([], parkStreet, at(25, 0), 3)).toEqual([]);
+});
+
+test('only plans for times that are actually ahead', () => {
+  expect(isPlannedTime(null, at(12, 0))).toBe(false);
+  expect(isPlannedTime(at(12, 0), at(12, 0))).toBe(false);
+  expect(isPlannedTime(at(11, 0), at(12, 0))).toBe(false);
+  expect(isPlannedTime(at(13, 0), at(12, 0))).toBe(true);
+});
+
+const service = (id, attributes) => ({
+  id,
+  type: 'service',
+  attributes: {
+    start_date: '2025-09-01',
+    end_date: '2025-12-31',
+    valid_days: [],
+    added_dates: [],
+    added_dates_notes: [],
+    removed_dates: [],
+    removed_dates_notes: [],
+    schedule_typicality: 1,
+    ...attributes
+  }
+});
+
+const services = {
+  data: [
+    service('weekday', { valid_days: [1, 2, 3, 4, 5], schedule_type: 'Weekday', removed_dates: ['2025-10-13'], removed_dates_notes: ['Indigenous Peoples Day'] }),
+    service('saturday', { valid_days: [6], schedule_type: 'Saturday' }),
+    service('sunday', { valid_days: [7], schedule_type: 'Sunday', added_dates: ['2025-10-13'], added_dates_notes: [null] })
+  ]
+};
+
+test('describes the service pattern running on a date', () => {
+  // 2025-10-17 is a Friday
+  expect(describeServicePattern(services, '2025-10-17')).toMatchObject({ dayType: 'weekday', holiday: null, label: 'Weekday service' });
+  expect(describeServicePattern(services, '2025-10-18').label).toBe('Saturday service');
+  expect(describeServicePattern(services, '2025-10-19').label).toBe('Sunday service');
+
+  // A Monday holiday running on the Sunday timetable
+  expect(describeServicePattern(services, '2025-10-13')).toMatchObject({
+    dayType: 'weekday',
+    holiday: 'Indigenous Peoples Day',
+    scheduleType: 'Sunday',
+    label: 'Holiday service: Indigenous Peoples Day (Sunday schedule)'
+  });
+
+  // Without services data, the day of the week decides
+  expect(describeServicePattern(null, '2025-10-18').label).toBe('Saturday service');
+});
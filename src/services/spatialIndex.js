@@ -0,0 +1,65 @@
+// Grid-based spatial index for nearest-neighbor and radius queries over stations.
+// Points are bucketed into fixed-size latitude/longitude cells, so a query only measures
+// distances to points in the cells that can overlap the search circle.
+import { calculateDistance } from './geo';
+
+const MILES_PER_DEGREE_LATITUDE = 69.0;
+const DEFAULT_CELL_SIZE = 0.01; // degrees, roughly 0.7 miles of latitude
+
+// Build an index over items; getPosition returns [latitude, longitude] for an item
+export const createSpatialIndex = (items, getPosition, cellSize = DEFAULT_CELL_SIZE) => {
+  const cells = new Map();
+
+  const cellKey = (row, column) => `${row}:${column}`;
+  const toCell = (latitude, longitude) => [
+    Math.floor(latitude / cellSize),
+    Math.floor(longitude / cellSize)
+  ];
+
+  items.forEach(item => {
+    const [latitude, longitude] = getPosition(item);
+    const [row, column] = toCell(latitude, longitude);
+    const key = cellKey(row, column);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push({ item, latitude, longitude });
+  });
+
+  // Every item within radiusMiles of the point, closest first, as { item, distance }
+  const within = (latitude, longitude, radiusMiles) => {
+    const latitudeDelta = radiusMiles / MILES_PER_DEGREE_LATITUDE;
+    const longitudeDelta = radiusMiles / (MILES_PER_DEGREE_LATITUDE * Math.max(0.01, Math.cos(latitude * Math.PI / 180)));
+    const [minRow, minColumn] = toCell(latitude - latitudeDelta, longitude - longitudeDelta);
+    const [maxRow, maxColumn] = toCell(latitude + latitudeDelta, longitude + longitudeDelta);
+
+    const results = [];
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let column = minColumn; column <= maxColumn; column++) {
+        (cells.get(cellKey(row, column)) || []).forEach(entry => {
+          const distance = calculateDistance(latitude, longitude, entry.latitude, entry.longitude);
+          if (distance <= radiusMiles) {
+            results.push({ item: entry.item, distance });
+          }
+        });
+      }
+    }
+
+    return results.sort((a, b) => a.distance - b.distance);
+  };
+
+  // The closest items to the point, widening the search until count distinct items are found
+  // or maxRadiusMiles is reached. getKey decides which items count as the same (e.g. by name).
+  const nearest = (latitude, longitude, count, maxRadiusMiles, getKey = item => item) => {
+    let radius = cellSize * MILES_PER_DEGREE_LATITUDE;
+    for (;;) {
+      const searchRadius = Math.min(radius, maxRadiusMiles);
+      const results = within(latitude, longitude, searchRadius);
+      const distinct = new Set(results.map(result => getKey(result.item)));
+      if (distinct.size >= count || searchRadius >= maxRadiusMiles) {
+        return results;
+      }
+      radius *= 2;
+    }
+  };
+
+  return { within, nearest, size: items.length };
+};
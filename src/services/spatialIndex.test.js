@@ -0,0 +1,41 @@
+import { createSpatialIndex } from './spatialIndex';
+import { calculateDistance } from './geo';
+
+// A loose grid of points around downtown Boston, two of which share a name
+const points = [
+  { name: 'Park Street', latitude: 42.3564, longitude: -71.0624 },
+  { name: 'Park Street', latitude: 42.3565, longitude: -71.0623 },
+  { name: 'Downtown Crossing', latitude: 42.3555, longitude: -71.0602 },
+  { name: 'Kendall/MIT', latitude: 42.3625, longitude: -71.0862 },
+  { name: 'Harvard', latitude: 42.3734, longitude: -71.1190 },
+  { name: 'Alewife', latitude: 42.3954, longitude: -71.1425 },
+  { name: 'Braintree', latitude: 42.2074, longitude: -71.0011 }
+];
+
+const buildIndex = () => createSpatialIndex(points, point => [point.latitude, point.longitude]);
+
+test('finds every point within a radius, closest first', () => {
+  const origin = [42.3560, -71.0610];
+  const results = buildIndex().within(origin[0], origin[1], 2);
+
+  const expected = points
+    .map(point => ({ point, distance: calculateDistance(origin[0], origin[1], point.latitude, point.longitude) }))
+    .filter(({ distance }) => distance <= 2)
+    .sort((a, b) => a.distance - b.distance);
+
+  expect(results.map(result => result.item)).toEqual(expected.map(({ point }) => point));
+  expect(results[0].distance).toBeCloseTo(expected[0].distance, 10);
+});
+
+test('widens a nearest search until enough distinct items are found', () => {
+  const results = buildIndex().nearest(42.3560, -71.0610, 3, 10, point => point.name);
+  const names = new Set(results.map(result => result.item.name));
+
+  expect(names.size).toBeGreaterThanOrEqual(3);
+  expect(names.has('Braintree')).toBe(false);
+});
+
+test('stops widening at the maximum radius', () => {
+  const results = buildIndex().nearest(42.3560, -71.0610, 50, 3);
+  results.forEach(result => expect(result.distance).toBeLessThanOrEqual(3));
+});
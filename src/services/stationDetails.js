@@ -0,0 +1,130 @@
+// Station details for the detail drawer, parsed from a /stops/{id} response (with its child
+// stops included) and the station's /facilities.
+import { parseEntrance, parseWheelchairBoarding } from './entrances';
+
+// GTFS location_type values of a station's children
+const LOCATION_TYPE_PLATFORM = 0;
+const LOCATION_TYPE_ENTRANCE = 2;
+
+// Facility types shown in the drawer, in display order; other types are listed after them
+export const FACILITY_TYPES = {
+  ELEVATOR: { label: 'Elevator', icon: '🛗' },
+  ESCALATOR: { label: 'Escalator', icon: '↗️' },
+  PARKING_AREA: { label: 'Parking', icon: '🅿️' },
+  BIKE_STORAGE: { label: 'Bike storage', icon: '🚲' }
+};
+
+// Facility properties worth showing, by property name
+const FACILITY_PROPERTY_LABELS = {
+  'capacity': 'spaces',
+  'capacity-accessible': 'accessible spaces',
+  'enclosed': 'enclosed',
+  'fee-daily': 'daily fee',
+  'operator': 'operated by'
+};
+
+// "BIKE_STORAGE" -> "Bike storage"
+const formatFacilityType = (type) => {
+  const words = type.toLowerCase().split('_');
+  return [words[0].charAt(0).toUpperCase() + words[0].slice(1), ...words.slice(1)].join(' ');
+};
+
+// Convert a platform stop resource into { id, name, direction, platformCode, description, wheelchairBoarding, routes }
+export const parsePlatform = (stop) => ({
+  id: stop.id,
+  name: stop.attributes.name,
+  // Where trains from this platform head, e.g. "Ashmont/Braintree"
+  direction: stop.attributes.platform_name || null,
+  platformCode: stop.attributes.platform_code || null,
+  description: stop.attributes.description || null,
+  wheelchairBoarding: parseWheelchairBoarding(stop.attributes.wheelchair_boarding),
+  routes: []
+});
+
+const parseFacility = (facility) => {
+  const { type, long_name: longName, short_name: shortName, properties = [] } = facility.attributes;
+  const known = FACILITY_TYPES[type];
+  return {
+    id: facility.id,
+    type,
+    label: known?.label || formatFacilityType(type || 'OTHER'),
+    icon: known?.icon || '🏷️',
+    name: shortName || longName || '',
+    details: properties
+      .filter(property => FACILITY_PROPERTY_LABELS[property.name] && property.value !== '' && property.value !== null)
+      .map(property => (
+        property.name === 'enclosed'
+          ? (property.value === 1 || property.value === '1' || property.value === true ? 'enclosed' : 'open')
+          : `${FACILITY_PROPERTY_LABELS[property.name]}: ${property.value}`
+      ))
+  };
+};
+
+// Accessibility notes gathered from the station, its platforms and its facilities
+const buildAccessibilityNotes = (station, platforms, entrances, facilities) => {
+  const notes = [];
+
+  if (station.wheelchairBoarding === 'accessible') {
+    notes.push('The station is wheelchair accessible.');
+  } else if (station.wheelchairBoarding === 'inaccessible') {
+    notes.push('The station is not wheelchair accessible.');
+  }
+
+  const inaccessiblePlatforms = platforms.filter(platform => platform.wheelchairBoarding === 'inaccessible');
+  if (inaccessiblePlatforms.length > 0 && inaccessiblePlatforms.length < platforms.length) {
+    notes.push(`Not every platform is accessible: ${inaccessiblePlatforms.map(platform => platform.direction || platform.name).join(', ')}.`);
+  }
+
+  const accessibleEntrances = entrances.filter(entrance => entrance.wheelchairBoarding === 'accessible');
+  if (entrances.length > 0) {
+    notes.push(accessibleEntrances.length > 0
+      ? `Accessible entrances: ${accessibleEntrances.map(entrance => entrance.name).join(', ')}.`
+      : 'No entrance is marked accessible.');
+  }
+
+  const elevators = facilities.filter(facility => facility.type === 'ELEVATOR').length;
+  if (elevators > 0) {
+    notes.push(`${elevators} elevator${elevators === 1 ? '' : 's'} serve${elevators === 1 ? 's' : ''} the station.`);
+  }
+
+  return notes;
+};
+
+// Build the drawer's details from a /stops/{id}?include=child_stops response and a /facilities response.
+// Returns { id, name, address, municipality, wheelchairBoarding, platforms, entrances, facilities,
+// accessibilityNotes }.
+export const parseStationDetails = (stopResponse, facilitiesResponse) => {
+  const stop = stopResponse.data;
+  const childIds = new Set((stop.relationships?.child_stops?.data || []).map(child => child.id));
+  const children = (stopResponse.included || []).filter(resource => resource.type === 'stop' && childIds.has(resource.id));
+
+  const station = {
+    id: stop.id,
+    name: stop.attributes.name,
+    address: stop.attributes.address || null,
+    municipality: stop.attributes.municipality || null,
+    wheelchairBoarding: parseWheelchairBoarding(stop.attributes.wheelchair_boarding)
+  };
+
+  const platforms = children
+    .filter(child => child.attributes.location_type === LOCATION_TYPE_PLATFORM)
+    .map(parsePlatform)
+    .sort((a, b) => (a.direction || a.name).localeCompare(b.direction || b.name));
+  const entrances = children
+    .filter(child => child.attributes.location_type === LOCATION_TYPE_ENTRANCE)
+    .map(parseEntrance);
+
+  const typeOrder = Object.keys(FACILITY_TYPES);
+  const rank = (type) => (typeOrder.includes(type) ? typeOrder.indexOf(type) : typeOrder.length);
+  const facilities = (facilitiesResponse?.data || [])
+    .map(parseFacility)
+    .sort((a, b) => rank(a.type) - rank(b.type) || a.name.localeCompare(b.name));
+
+  return {
+    ...station,
+    platforms,
+    entrances,
+    facilities,
+    accessibilityNotes: buildAccessibilityNotes(station, platforms, entrances, facilities)
+  };
+};
@@ -0,0 +1,64 @@
+import { parseStationDetails } from './stationDetails';
+
+const child = (id, attributes) => ({ type: 'stop', id, attributes: { wheelchair_boarding: 1, ...attributes } });
+
+const stopResponse = {
+  data: {
+    type: 'stop',
+    id: 'place-pktrm',
+    attributes: { name: 'Park Street', address: '120 Tremont St, Boston, MA 02108', municipality: 'Boston', wheelchair_boarding: 1 },
+    relationships: { child_stops: { data: ['70075', '70076', 'door-pktrm-tremont', 'door-pktrm-winter', 'node-1'].map(id => ({ type: 'stop', id })) } }
+  },
+  included: [
+    child('70075', { name: 'Park Street', location_type: 0, platform_name: 'Alewife', platform_code: null }),
+    child('70076', { name: 'Park Street', location_type: 0, platform_name: 'Ashmont/Braintree', wheelchair_boarding: 2 }),
+    child('door-pktrm-tremont', { name: 'Park Street - Tremont St', location_type: 2, latitude: 42.3564, longitude: -71.0624, description: 'Elevator entrance' }),
+    child('door-pktrm-winter', { name: 'Park Street - Winter St', location_type: 2, latitude: 42.3560, longitude: -71.0620, wheelchair_boarding: 2 }),
+    child('node-1', { name: 'Park Street - Mezzanine', location_type: 3 }),
+    { type: 'route', id: 'Red', attributes: {} }
+  ]
+};
+
+const facilitiesResponse = {
+  data: [
+    { id: 'park-1', attributes: { type: 'BIKE_STORAGE', short_name: 'Bike rack', properties: [{ name: 'capacity', value: 12 }, { name: 'enclosed', value: 2 }] } },
+    { id: 'esc-1', attributes: { type: 'ESCALATOR', short_name: 'Lobby to Red', properties: [] } },
+    { id: 'elev-1', attributes: { type: 'ELEVATOR', short_name: 'Tremont St to lobby', properties: [{ name: 'building', value: 'x' }] } },
+    { id: 'tvm-1', attributes: { type: 'FARE_VENDING_MACHINE', long_name: 'Fare machine', properties: [] } }
+  ]
+};
+
+test('splits child stops into platforms by direction and entrances', () => {
+  const details = parseStationDetails(stopResponse, facilitiesResponse);
+
+  expect(details).toMatchObject({ id: 'place-pktrm', name: 'Park Street', address: '120 Tremont St, Boston, MA 02108', wheelchairBoarding: 'accessible' });
+  expect(details.platforms.map(platform => [platform.direction, platform.wheelchairBoarding]))
+    .toEqual([['Alewife', 'accessible'], ['Ashmont/Braintree', 'inaccessible']]);
+  expect(details.entrances).toEqual([
+    { id: 'door-pktrm-tremont', name: 'Tremont St', description: 'Elevator entrance', latitude: 42.3564, longitude: -71.0624, wheelchairBoarding: 'accessible' },
+    { id: 'door-pktrm-winter', name: 'Winter St', description: null, latitude: 42.3560, longitude: -71.0620, wheelchairBoarding: 'inaccessible' }
+  ]);
+});
+
+test('orders facilities by type and keeps their useful properties', () => {
+  const { facilities } = parseStationDetails(stopResponse, facilitiesResponse);
+
+  expect(facilities.map(facility => facility.label)).toEqual(['Elevator', 'Escalator', 'Bike storage', 'Fare vending machine']);
+  expect(facilities[0].details).toEqual([]);
+  expect(facilities[2].details).toEqual(['spaces: 12', 'open']);
+});
+
+test('collects accessibility notes from platforms, entrances and elevators', () => {
+  expect(parseStationDetails(stopResponse, facilitiesResponse).accessibilityNotes).toEqual([
+    'The station is wheelchair accessible.',
+    'Not every platform is accessible: Ashmont/Braintree.',
+    'Accessible entrances: Tremont St.',
+    '1 elevator serves the station.'
+  ]);
+});
+
+test('handles a stop with no children or facilities', () => {
+  const details = parseStationDetails({ data: { id: '1', attributes: { name: 'Washington St @ Essex St', wheelchair_boarding: 0 } } }, null);
+
+  expect(details).toMatchObject({ platforms: [], entrances: [], facilities: [], accessibilityNotes: [], wheelchairBoarding: 'unknown' });
+});
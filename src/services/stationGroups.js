@@ -0,0 +1,120 @@
+// Stations built from stops by the parent_station hierarchy: platforms join their parent station,
+// and stops without one (parent stations themselves, or standalone stops such as most bus stops)
+// are stations of their own. Stops sharing a name are never merged, and each station lists its
+// platforms with the direction, accessibility and routes of each.
+import { parsePlatform } from './stationDetails';
+import { parseWheelchairBoarding } from './entrances';
+import { combineWheelchairBoarding } from './accessibility';
+
+// GTFS location_type of a parent station
+const LOCATION_TYPE_STATION = 1;
+
+// Group stops into stations. Routes are kept for the enabled modes and, when lines is set, only
+// for those route IDs.
+// sources: [{ modeId, stopsData, stopRouteIndex, platformStops }]
+//   modeId         - the mode assumed for stops with no known routes
+//   stopsData      - the catalog; its included resources may hold the parent stations
+//   stopRouteIndex - stop ID -> Map of route ID -> route
+//   platformStops  - platform ID -> stop, to fill in platforms for catalogs listing only parent stations
+// Returns [{ id, name, latitude, longitude, municipality, parentStationId, wheelchairBoarding,
+// platforms, stopIds, routes, modes }] where platforms are [{ id, name, direction, platformCode,
+// description, wheelchairBoarding, routes }] and parentStationId is the station's ID when it is a
+// parent station.
+export const groupStopsByStation = (sources, { modes, lines = null }) => {
+  const isShown = (route) => modes.includes(route.mode) && (!lines || lines.includes(route.id));
+  const parents = new Map();
+  const stations = new Map();
+
+  // Gather each station's own stop (when listed), platforms and every route known to serve it
+  const addStop = (stop, modeId, stopRouteIndex, { platformsOnly = false } = {}) => {
+    if (!stop.attributes.latitude || !stop.attributes.longitude) return;
+
+    const parentId = stop.relationships?.parent_station?.data?.id || null;
+    const stationId = parentId || stop.id;
+    if (!stations.has(stationId)) {
+      if (platformsOnly) return;
+      stations.set(stationId, {
+        stop: null,
+        firstStop: stop,
+        isParentStation: false,
+        platforms: new Map(),
+        routes: new Map(),
+        modeIds: new Set()
+      });
+    }
+
+    const station = stations.get(stationId);
+    const stopRoutes = Array.from(stopRouteIndex.get(stop.id)?.values() || []);
+    stopRoutes.forEach(route => station.routes.set(route.id, route));
+    if (modeId) station.modeIds.add(modeId);
+
+    if (!parentId) station.stop = stop;
+    if (parentId || stop.attributes.location_type === LOCATION_TYPE_STATION) station.isParentStation = true;
+    if (parentId || stop.attributes.location_type !== LOCATION_TYPE_STATION) {
+      const platform = station.platforms.get(stop.id) || { ...parsePlatform(stop), allRoutes: new Map() };
+      stopRoutes.forEach(route => platform.allRoutes.set(route.id, route));
+      station.platforms.set(stop.id, platform);
+    }
+  };
+
+  sources.forEach(({ stopsData }) => {
+    (stopsData.included || [])
+      .filter(resource => resource.type === 'stop')
+      .forEach(parent => parents.set(parent.id, parent));
+  });
+  sources.forEach(({ modeId, stopsData, stopRouteIndex }) => {
+    stopsData.data.forEach(stop => addStop(stop, modeId, stopRouteIndex));
+  });
+  sources.forEach(({ modeId, stopRouteIndex, platformStops }) => {
+    Object.values(platformStops || {}).forEach(stop => addStop(stop, modeId, stopRouteIndex, { platformsOnly: true }));
+  });
+
+  return Array.from(stations.entries()).map(([stationId, station]) => {
+    // Parent stations are indexed with the routes of all their platforms
+    const parentRoutes = sources.flatMap(({ stopRouteIndex }) => Array.from(stopRouteIndex.get(stationId)?.values() || []));
+    parentRoutes.forEach(route => station.routes.set(route.id, route));
+
+    const allRoutes = Array.from(station.routes.values());
+    const routes = allRoutes.filter(isShown);
+
+    // A station served only by disabled modes (e.g. a bus stop in a static feed) or by lines
+    // outside the filter isn't shown
+    if ((allRoutes.length > 0 || lines) && routes.length === 0) return null;
+
+    // Platforms of hidden routes are left out; those no known route serves are kept
+    const platforms = Array.from(station.platforms.values())
+      .filter(platform => (platform.allRoutes.size === 0 ? !lines : Array.from(platform.allRoutes.values()).some(isShown)))
+      .map(({ allRoutes: platformRoutes, ...platform }) => ({
+        ...platform,
+        routes: Array.from(platformRoutes.values()).filter(isShown)
+      }))
+      .sort((a, b) => (a.direction || a.name).localeCompare(b.direction || b.name));
+
+    // The station's own name, position and accessibility, else its first platform's when the
+    // parent station isn't in the catalog
+    const stationStop = station.stop || parents.get(stationId);
+    const source = stationStop || station.firstStop;
+    const stationBoarding = stationStop
+      ? parseWheelchairBoarding(stationStop.attributes.wheelchair_boarding)
+      : 'unknown';
+
+    return {
+      id: stationId,
+      name: source.attributes.name,
+      latitude: source.attributes.latitude,
+      longitude: source.attributes.longitude,
+      municipality: source.attributes.municipality || null,
+      parentStationId: station.isParentStation ? stationId : null,
+      // Platforms speak for stations that don't say
+      wheelchairBoarding: stationBoarding !== 'unknown'
+        ? stationBoarding
+        : combineWheelchairBoarding(platforms.map(platform => platform.wheelchairBoarding)),
+      platforms,
+      stopIds: Array.from(new Set([stationId, ...platforms.map(platform => platform.id)])),
+      routes,
+      modes: routes.length > 0
+        ? Array.from(new Set(routes.map(route => route.mode)))
+        : Array.from(station.modeIds)
+    };
+  }).filter(Boolean);
+};
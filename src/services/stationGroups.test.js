@@ -0,0 +1,101 @@
+import { groupStopsByStation } from './stationGroups';
+
+const RED = { id: 'Red', mode: 'subway' };
+const GREEN = { id: 'Green-B', mode: 'subway' };
+const BUS = { id: '43', mode: 'bus' };
+
+const stop = (id, name, attributes = {}, parentId = null) => ({
+  id,
+  type: 'stop',
+  attributes: { name, latitude: 42.3564, longitude: -71.0624, location_type: 0, wheelchair_boarding: 0, ...attributes },
+  relationships: { parent_station: { data: parentId ? { id: parentId, type: 'stop' } : null } }
+});
+
+const routeIndex = (entries) => new Map(entries.map(([stopId, routes]) => [
+  stopId,
+  new Map(routes.map(route => [route.id, route]))
+]));
+
+// A catalog of parent stations, with platforms from pattern trips, and a bus stop sharing a name
+const sources = [
+  {
+    modeId: 'subway',
+    stopsData: { data: [stop('place-pktrm', 'Park Street', { location_type: 1, wheelchair_boarding: 1 })] },
+    stopRouteIndex: routeIndex([
+      ['place-pktrm', [RED, GREEN]],
+      ['70075', [RED]],
+      ['70076', [RED]],
+      ['70200', [GREEN]]
+    ]),
+    platformStops: {
+      70075: stop('70075', 'Park Street', { platform_name: 'Ashmont/Braintree', wheelchair_boarding: 1 }, 'place-pktrm'),
+      70076: stop('70076', 'Park Street', { platform_name: 'Alewife', wheelchair_boarding: 2 }, 'place-pktrm'),
+      70200: stop('70200', 'Park Street', { platform_name: 'Green Line (C) (D) (E)', wheelchair_boarding: 1 }, 'place-pktrm'),
+      // Platforms of stations outside the catalog don't add stations
+      70061: stop('70061', 'Alewife', { platform_name: 'Ashmont/Braintree' }, 'place-alfcl')
+    }
+  },
+  {
+    modeId: 'bus',
+    stopsData: { data: [stop('8279', 'Park Street', { latitude: 42.3566, wheelchair_boarding: 1 })] },
+    stopRouteIndex: routeIndex([['8279', [BUS]]])
+  }
+];
+
+test('groups platforms under their parent station with their direction, accessibility and routes', () => {
+  const [parkStreet] = groupStopsByStation(sources, { modes: ['subway'] });
+
+  expect(parkStreet).toMatchObject({
+    id: 'place-pktrm',
+    name: 'Park Street',
+    parentStationId: 'place-pktrm',
+    wheelchairBoarding: 'accessible',
+    routes: [RED, GREEN],
+    modes: ['subway']
+  });
+  expect(parkStreet.platforms.map(platform => [platform.id, platform.direction, platform.wheelchairBoarding, platform.routes])).toEqual([
+    ['70076', 'Alewife', 'inaccessible', [RED]],
+    ['70075', 'Ashmont/Braintree', 'accessible', [RED]],
+    ['70200', 'Green Line (C) (D) (E)', 'accessible', [GREEN]]
+  ]);
+  expect(parkStreet.stopIds).toEqual(['place-pktrm', '70076', '70075', '70200']);
+});
+
+test('keeps stops that share a name but not a parent station apart', () => {
+  const stations = groupStopsByStation(sources, { modes: ['subway', 'bus'] });
+
+  expect(stations.map(station => [station.id, station.name, station.parentStationId])).toEqual([
+    ['place-pktrm', 'Park Street', 'place-pktrm'],
+    ['8279', 'Park Street', null]
+  ]);
+  // A standalone stop is its own only platform
+  expect(stations[1].platforms.map(platform => platform.id)).toEqual(['8279']);
+  expect(stations[1].routes).toEqual([BUS]);
+});
+
+test('leaves out platforms and stations of lines outside the filter', () => {
+  const stations = groupStopsByStation(sources, { modes: ['subway', 'bus'], lines: ['Green-B'] });
+
+  expect(stations.map(station => station.id)).toEqual(['place-pktrm']);
+  expect(stations[0].routes).toEqual([GREEN]);
+  expect(stations[0].platforms.map(platform => platform.id)).toEqual(['70200']);
+});
+
+test('describes a station missing from the catalog from its parent resource or its platforms', () => {
+  const platforms = [
+    stop('70075', 'Park Street', { platform_name: 'Ashmont/Braintree', wheelchair_boarding: 1 }, 'place-pktrm'),
+    stop('70076', 'Park Street', { platform_name: 'Alewife', wheelchair_boarding: 2 }, 'place-pktrm')
+  ];
+  const feedSource = (included) => [{
+    modeId: null,
+    stopsData: { data: platforms, included },
+    stopRouteIndex: routeIndex([['70075', [RED]], ['70076', [RED]]])
+  }];
+
+  const [fromPlatforms] = groupStopsByStation(feedSource(undefined), { modes: ['subway'] });
+  expect(fromPlatforms).toMatchObject({ id: 'place-pktrm', name: 'Park Street', parentStationId: 'place-pktrm', wheelchairBoarding: 'partial' });
+
+  const parent = stop('place-pktrm', 'Park Street Station', { location_type: 1, latitude: 42.35639, wheelchair_boarding: 1 });
+  const [fromParent] = groupStopsByStation(feedSource([parent]), { modes: ['subway'] });
+  expect(fromParent).toMatchObject({ name: 'Park Street Station', latitude: 42.35639, wheelchairBoarding: 'accessible' });
+});
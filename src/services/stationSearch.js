@@ -0,0 +1,84 @@
+// Station name search for the search box's autocomplete. Stations are matched on whole-name and
+// word prefixes first, then anywhere in the name, ignoring case and punctuation.
+
+const normalizeName = (name) => (
+  name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+);
+
+// How to tell apart stations that share a name: their lines, and the town they're in
+const describeStation = (station) => (
+  [
+    (station.routes || []).map(route => route.name || route.id).join(', '),
+    station.municipality
+  ].filter(Boolean).join(' · ')
+);
+
+// Build a name index over stations ({ id, name, latitude, longitude, routes, modes, municipality }),
+// one entry per station ID (see ./stationGroups). Stations sharing a name, like a bus stop and a
+// commuter rail station, stay separate entries at their own positions; they carry a detail
+// naming their lines and town so they can be told apart.
+export const createStationNameIndex = (stations) => {
+  const entries = new Map();
+  const stationsPerName = new Map();
+
+  stations.forEach(station => {
+    const key = normalizeName(station.name);
+    if (!key) return;
+
+    const id = station.parentStationId || station.id;
+    if (entries.has(id)) return;
+    entries.set(id, {
+      id,
+      key,
+      words: key.split(' '),
+      name: station.name,
+      latitude: station.latitude,
+      longitude: station.longitude,
+      routes: station.routes || [],
+      modes: station.modes || [],
+      detail: describeStation(station)
+    });
+    stationsPerName.set(key, (stationsPerName.get(key) || 0) + 1);
+  });
+
+  return Array.from(entries.values()).map(entry => ({
+    ...entry,
+    detail: stationsPerName.get(entry.key) > 1 ? entry.detail : ''
+  }));
+};
+
+// How well a station name matches the query: lower is better, null for no match
+const scoreMatch = (entry, query) => {
+  if (entry.key === query) return 0;
+  if (entry.key.startsWith(query)) return 1;
+  if (entry.words.some(word => word.startsWith(query))) return 2;
+  if (entry.key.includes(query)) return 3;
+  return null;
+};
+
+// The best-matching stations for a query, as { id, name, detail, latitude, longitude, routes, modes }.
+// detail is empty unless another station has the same name.
+export const searchStationNames = (index, query, limit = 6) => {
+  const normalizedQuery = normalizeName(query);
+  if (!normalizedQuery) return [];
+
+  return index
+    .map(entry => ({ entry, score: scoreMatch(entry, normalizedQuery) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => (
+      a.score - b.score ||
+      a.entry.name.length - b.entry.name.length ||
+      a.entry.name.localeCompare(b.entry.name) ||
+      a.entry.detail.localeCompare(b.entry.detail)
+    ))
+    .slice(0, limit)
+    .map(({ entry }) => ({
+      id: entry.id,
+      name: entry.name,
+      detail: entry.detail,
+      latitude: entry.latitude,
+      longitude: entry.longitude,
+      routes: entry.routes,
+      modes: entry.modes
+    }));
+};
@@ -0,0 +1,53 @@
+import { createStationNameIndex, searchStationNames } from './stationSearch';
+
+const station = (id, name, routes = [], { modes = ['subway'], latitude = 42.35, longitude = -71.06, municipality = 'Boston' } = {}) => ({
+  id,
+  name,
+  latitude,
+  longitude,
+  municipality,
+  routes: routes.map(routeId => ({ id: routeId, name: `${routeId} Line` })),
+  modes
+});
+
+const index = createStationNameIndex([
+  station('place-pktrm', 'Park Street', ['Red', 'Green-B']),
+  station('place-dwnxg', 'Downtown Crossing', ['Red', 'Orange']),
+  station('place-sstat', 'South Station', ['Red', 'CR-Worcester'], { modes: ['subway', 'commuterRail'] }),
+  station('place-harsq', 'Harvard', ['Red']),
+  station('place-stpul', "St. Paul Street", ['Green-B'])
+]);
+
+test('keeps one result per station with every route and mode', () => {
+  const [result] = searchStationNames(index, 'south station');
+
+  expect(result).toMatchObject({ id: 'place-sstat', name: 'South Station', detail: '' });
+  expect(result.routes.map(route => route.id)).toEqual(['Red', 'CR-Worcester']);
+  expect(result.modes).toEqual(['subway', 'commuterRail']);
+  expect(searchStationNames(index, 'park').map(result => result.name)).toEqual(['Park Street']);
+});
+
+test('keeps same-named stations apart, each at its own position', () => {
+  const sameNames = createStationNameIndex([
+    station('place-unsqu', 'Union Square', ['Green-D'], { latitude: 42.3773, longitude: -71.0940, municipality: 'Somerville' }),
+    station('1234', 'Union Square', ['57'], { modes: ['bus'], latitude: 42.3503, longitude: -71.1500 })
+  ]);
+
+  expect(searchStationNames(sameNames, 'union square')).toEqual([
+    expect.objectContaining({ id: '1234', latitude: 42.3503, longitude: -71.1500, detail: '57 Line · Boston' }),
+    expect.objectContaining({ id: 'place-unsqu', latitude: 42.3773, longitude: -71.0940, detail: 'Green-D Line · Somerville' })
+  ]);
+});
+
+test('ranks name prefixes ahead of word prefixes and substrings', () => {
+  expect(searchStationNames(index, 'st').map(result => result.name))
+    .toEqual(["St. Paul Street", 'Park Street', 'South Station']);
+  expect(searchStationNames(index, 'arvar').map(result => result.name)).toEqual(['Harvard']);
+});
+
+test('ignores case and punctuation and limits the results', () => {
+  expect(searchStationNames(index, 'ST PAUL')[0].name).toBe("St. Paul Street");
+  expect(searchStationNames(index, 'st', 1)).toHaveLength(1);
+  expect(searchStationNames(index, '  ')).toEqual([]);
+  expect(searchStationNames(index, 'kendall')).toEqual([]);
+});
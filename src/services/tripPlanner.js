@@ -0,0 +1,305 @@
+// Station-to-station trip planner over the subway network.
+// The network comes from fetchSubwayNetwork: stations keyed by parent station ID and
+// route patterns listing the stations each pattern serves in order.
+import { fetchSubwayNetwork } from './mbtaApi';
+import { calculateDistance, WALK_SPEED_MPH } from './geo';
+import { WALK_DETOUR_FACTOR } from './walkingRouter';
+import { getProvider } from './providers';
+
+const provider = getProvider();
+
+// Travel time assumptions, in minutes or miles per hour. Per-route waits and which routes are
+// light rail come from the provider.
+const MAX_WALK_TO_STATION_MILES = 1;
+const DWELL_MINUTES = 0.5;
+const DEFAULT_WAIT_MINUTES = 5;
+const LIGHT_RAIL_SPEED_MPH = 12;
+const HEAVY_RAIL_SPEED_MPH = 22;
+
+// Extra minutes charged per transfer when ranking itineraries
+const TRANSFER_RANK_PENALTY = 3;
+const MAX_ORIGIN_STATIONS = 3;
+const MAX_ITINERARIES = 3;
+
+export const estimateWalkMinutes = (distanceMiles) => {
+  return (distanceMiles * WALK_DETOUR_FACTOR / WALK_SPEED_MPH) * 60;
+};
+
+const estimateRideMinutes = (routeId, fromStation, toStation) => {
+  const distance = calculateDistance(fromStation.latitude, fromStation.longitude, toStation.latitude, toStation.longitude);
+  const speed = provider.lightRailRoutes.includes(routeId) ? LIGHT_RAIL_SPEED_MPH : HEAVY_RAIL_SPEED_MPH;
+  return (distance / speed) * 60 + DWELL_MINUTES;
+};
+
+const stationNode = (stationId) => `S:${stationId}`;
+const rideNode = (patternId, index) => `P:${patternId}:${index}`;
+
+// Build a directed graph with a node per station and a node per (pattern, stop index).
+// Boarding a pattern from a station costs the average wait; alighting is free, so a transfer
+// is an alight at a shared parent station followed by another boarding.
+export const buildNetworkGraph = (network) => {
+  const edges = new Map();
+
+  const addEdge = (from, to, edge) => {
+    if (!edges.has(from)) edges.set(from, []);
+    edges.get(from).push({ to, ...edge });
+  };
+
+  network.patterns.forEach(pattern => {
+    const waitMinutes = provider.averageWaitMinutes[pattern.routeId] ?? DEFAULT_WAIT_MINUTES;
+
+    pattern.stationIds.forEach((stationId, index) => {
+      const node = rideNode(pattern.id, index);
+
+      if (index < pattern.stationIds.length - 1) {
+        addEdge(stationNode(stationId), node, { type: 'board', minutes: waitMinutes, pattern });
+        addEdge(node, rideNode(pattern.id, index + 1), {
+          type: 'ride',
+          minutes: estimateRideMinutes(
+            pattern.routeId,
+            network.stations[stationId],
+            network.stations[pattern.stationIds[index + 1]]
+          ),
+          pattern
+        });
+      }
+
+      if (index > 0) {
+        addEdge(node, stationNode(stationId), { type: 'alight', minutes: 0, pattern });
+      }
+    });
+  });
+
+  return { edges, stations: network.stations };
+};
+
+// Minimal binary heap keyed on cost, for Dijkstra
+const createQueue = () => {
+  const items = [];
+
+  const push = (item) => {
+    items.push(item);
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = Math.floor((index - 1) / 2);
+      if (items[parent].cost <= items[index].cost) break;
+      [items[parent], items[index]] = [items[index], items[parent]];
+      index = parent;
+    }
+  };
+
+  const pop = () => {
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && items[left].cost < items[smallest].cost) smallest = left;
+        if (right < items.length && items[right].cost < items[smallest].cost) smallest = right;
+        if (smallest === index) break;
+        [items[smallest], items[index]] = [items[index], items[smallest]];
+        index = smallest;
+      }
+    }
+    return top;
+  };
+
+  return { push, pop, size: () => items.length };
+};
+
+// Find the cheapest path from one station to every other station.
+// transferPenalty is added to every boarding after the first, to find options with fewer transfers.
+const shortestPaths = (graph, originStationId, transferPenalty) => {
+  const start = stationNode(originStationId);
+  const best = new Map([[start, { cost: 0, boardings: 0, previous: null, edge: null }]]);
+  const queue = createQueue();
+  queue.push({ node: start, cost: 0 });
+
+  while (queue.size() > 0) {
+    const { node, cost } = queue.pop();
+    const current = best.get(node);
+    if (cost > current.cost) continue;
+
+    (graph.edges.get(node) || []).forEach(edge => {
+      const isBoarding = edge.type === 'board';
+      const penalty = isBoarding && current.boardings > 0 ? transferPenalty : 0;
+      const nextCost = cost + edge.minutes + penalty;
+      const existing = best.get(edge.to);
+
+      if (!existing || nextCost < existing.cost) {
+        best.set(edge.to, {
+          cost: nextCost,
+          boardings: current.boardings + (isBoarding ? 1 : 0),
+          previous: node,
+          edge
+        });
+        queue.push({ node: edge.to, cost: nextCost });
+      }
+    });
+  }
+
+  return best;
+};
+
+// Turn the chain of graph edges ending at a station into ride legs
+const collectRideLegs = (graph, best, destinationStationId) => {
+  const edges = [];
+  let node = stationNode(destinationStationId);
+  while (best.get(node)?.edge) {
+    edges.unshift(best.get(node).edge);
+    node = best.get(node).previous;
+  }
+
+  const legs = [];
+  let currentLeg = null;
+  let stationIndex = null;
+
+  edges.forEach(edge => {
+    if (edge.type === 'board') {
+      const boardIndex = Number(edge.to.split(':').pop());
+      stationIndex = boardIndex;
+      currentLeg = {
+        type: 'ride',
+        routeId: edge.pattern.routeId,
+        directionId: edge.pattern.directionId,
+        headsign: edge.pattern.headsign,
+        waitMinutes: edge.minutes,
+        minutes: 0,
+        stationIds: [edge.pattern.stationIds[boardIndex]]
+      };
+    } else if (edge.type === 'ride') {
+      stationIndex += 1;
+      currentLeg.minutes += edge.minutes;
+      currentLeg.stationIds.push(edge.pattern.stationIds[stationIndex]);
+    } else if (edge.type === 'alight') {
+      legs.push(currentLeg);
+      currentLeg = null;
+    }
+  });
+
+  return legs.map(leg => {
+    const stations = leg.stationIds.map(stationId => graph.stations[stationId]);
+    return {
+      ...leg,
+      from: stations[0],
+      to: stations[stations.length - 1],
+      stops: stations.length - 1,
+      path: stations.map(station => [station.latitude, station.longitude])
+    };
+  });
+};
+
+const walkLeg = (from, to) => {
+  const distance = calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+  return {
+    type: 'walk',
+    from,
+    to,
+    distance,
+    minutes: estimateWalkMinutes(distance),
+    path: [[from.latitude, from.longitude], [to.latitude, to.longitude]]
+  };
+};
+
+// Stations within walking distance of a point, closest first
+const stationsNear = (graph, point, limit) => {
+  return Object.values(graph.stations)
+    .map(station => ({
+      station,
+      distance: calculateDistance(point.latitude, point.longitude, station.latitude, station.longitude)
+    }))
+    .filter(({ distance }) => distance <= MAX_WALK_TO_STATION_MILES)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+};
+
+const summarizeItinerary = (legs) => {
+  const totalMinutes = legs.reduce((total, leg) => total + leg.minutes + (leg.waitMinutes || 0), 0);
+  const rideLegs = legs.filter(leg => leg.type === 'ride');
+  const transfers = Math.max(0, rideLegs.length - 1);
+  return {
+    legs,
+    totalMinutes,
+    transfers,
+    rankScore: totalMinutes + transfers * TRANSFER_RANK_PENALTY,
+    signature: rideLegs.map(leg => `${leg.routeId}:${leg.from.id}-${leg.to.id}`).join('|') || 'walk'
+  };
+};
+
+// Plan itineraries between two points ({ latitude, longitude }).
+// Tries several origin and destination stations and transfer penalties, then ranks the
+// distinct results by estimated total time and number of transfers.
+export const planTrip = (graph, origin, destination) => {
+  const originPoint = { id: 'origin', name: 'Origin', ...origin };
+  const destinationPoint = { id: 'destination', name: 'Destination', ...destination };
+
+  const originStations = stationsNear(graph, originPoint, MAX_ORIGIN_STATIONS);
+  const destinationStations = stationsNear(graph, destinationPoint, MAX_ORIGIN_STATIONS * 2);
+
+  const candidates = [summarizeItinerary([walkLeg(originPoint, destinationPoint)])];
+
+  originStations.forEach(({ station: originStation }) => {
+    [0, 10].forEach(transferPenalty => {
+      const best = shortestPaths(graph, originStation.id, transferPenalty);
+
+      // Pick the destination station that minimizes ride plus the final walk
+      let bestLegs = null;
+      let bestTotal = Infinity;
+      destinationStations.forEach(({ station: destinationStation }) => {
+        if (destinationStation.id === originStation.id) return;
+        const result = best.get(stationNode(destinationStation.id));
+        if (!result) return;
+
+        const total = result.cost + estimateWalkMinutes(
+          calculateDistance(destinationStation.latitude, destinationStation.longitude, destination.latitude, destination.longitude)
+        );
+        if (total < bestTotal) {
+          bestTotal = total;
+          bestLegs = collectRideLegs(graph, best, destinationStation.id);
+        }
+      });
+
+      if (bestLegs && bestLegs.length > 0) {
+        candidates.push(summarizeItinerary([
+          walkLeg(originPoint, bestLegs[0].from),
+          ...bestLegs,
+          walkLeg(bestLegs[bestLegs.length - 1].to, destinationPoint)
+        ]));
+      }
+    });
+  });
+
+  const unique = new Map();
+  candidates.forEach(candidate => {
+    const existing = unique.get(candidate.signature);
+    if (!existing || candidate.totalMinutes < existing.totalMinutes) {
+      unique.set(candidate.signature, candidate);
+    }
+  });
+
+  return Array.from(unique.values())
+    .sort((a, b) => a.rankScore - b.rankScore || a.transfers - b.transfers)
+    .slice(0, MAX_ITINERARIES);
+};
+
+// The graph only depends on the (session-cached) network, so build it once
+let graphCache = null;
+
+// Plan a trip between two [latitude, longitude] pins using the live subway network
+export const planSubwayTrip = async (originPosition, destinationPosition) => {
+  const network = await fetchSubwayNetwork();
+
+  if (!graphCache || graphCache.network !== network) {
+    graphCache = { network, graph: buildNetworkGraph(network) };
+  }
+
+  return planTrip(
+    graphCache.graph,
+    { latitude: originPosition[0], longitude: originPosition[1] },
+    { latitude: destinationPosition[0], longitude: destinationPosition[1] }
+  );
+};
@@ -0,0 +1,63 @@
+import { buildNetworkGraph, planTrip } from './tripPlanner';
+
+// A small slice of downtown: Red Line through Park Street and Downtown Crossing,
+// Green Line through Park Street and Orange Line through Downtown Crossing
+const network = {
+  stations: {
+    'place-chmnl': { id: 'place-chmnl', name: 'Charles/MGH', latitude: 42.3612, longitude: -71.0706 },
+    'place-pktrm': { id: 'place-pktrm', name: 'Park Street', latitude: 42.3564, longitude: -71.0624 },
+    'place-dwnxg': { id: 'place-dwnxg', name: 'Downtown Crossing', latitude: 42.3555, longitude: -71.0602 },
+    'place-boyls': { id: 'place-boyls', name: 'Boylston', latitude: 42.3529, longitude: -71.0647 },
+    'place-chncl': { id: 'place-chncl', name: 'Chinatown', latitude: 42.3524, longitude: -71.0625 },
+    'place-haecl': { id: 'place-haecl', name: 'Haymarket', latitude: 42.3630, longitude: -71.0583 },
+    'place-nubn': { id: 'place-nubn', name: 'Far South', latitude: 42.2900, longitude: -71.0800 }
+  },
+  patterns: [
+    { id: 'Red-1-0', routeId: 'Red', directionId: 0, headsign: 'Ashmont', stationIds: ['place-chmnl', 'place-pktrm', 'place-dwnxg'] },
+    { id: 'Green-E-1-0', routeId: 'Green-E', directionId: 0, headsign: 'Heath Street', stationIds: ['place-pktrm', 'place-boyls'] },
+    { id: 'Orange-1-0', routeId: 'Orange', directionId: 0, headsign: 'Forest Hills', stationIds: ['place-haecl', 'place-dwnxg', 'place-chncl', 'place-nubn'] }
+  ]
+};
+
+test('routes a trip on a single line without transfers', () => {
+  const graph = buildNetworkGraph(network);
+  const [best] = planTrip(
+    graph,
+    { latitude: 42.3613, longitude: -71.0707 },
+    { latitude: 42.3556, longitude: -71.0603 }
+  );
+
+  expect(best.transfers).toBe(0);
+  expect(best.legs.map(leg => leg.type)).toEqual(['walk', 'ride', 'walk']);
+  expect(best.legs[1]).toMatchObject({ routeId: 'Red', stops: 2, headsign: 'Ashmont' });
+  expect(best.legs[1].from.id).toBe('place-chmnl');
+  expect(best.legs[1].to.id).toBe('place-dwnxg');
+});
+
+test('transfers at a shared parent station', () => {
+  const graph = buildNetworkGraph(network);
+  const itineraries = planTrip(
+    graph,
+    { latitude: 42.3613, longitude: -71.0707 },
+    { latitude: 42.2901, longitude: -71.0801 }
+  );
+
+  const withTransfer = itineraries.find(itinerary => itinerary.transfers === 1);
+  const rides = withTransfer.legs.filter(leg => leg.type === 'ride');
+  expect(rides.map(leg => leg.routeId)).toEqual(['Red', 'Orange']);
+  expect(rides[0].to.id).toBe('place-dwnxg');
+  expect(rides[1].from.id).toBe('place-dwnxg');
+});
+
+test('ranks itineraries by total time', () => {
+  const graph = buildNetworkGraph(network);
+  const itineraries = planTrip(
+    graph,
+    { latitude: 42.3613, longitude: -71.0707 },
+    { latitude: 42.2901, longitude: -71.0801 }
+  );
+
+  const scores = itineraries.map(itinerary => itinerary.rankScore);
+  expect(scores).toEqual([...scores].sort((a, b) => a - b));
+  expect(itineraries[0].legs.some(leg => leg.type === 'ride')).toBe(true);
+});
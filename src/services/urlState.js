@@ -0,0 +1,118 @@
+// Map state <-> URL query string, so a view ("stations near the office") can be shared as a link
+// and the browser's back and forward buttons step through pin moves.
+//
+//   lat, lon  - pin position (5 decimals, about a meter)
+//   z         - map zoom
+//   stations  - "1" when the nearby-stations panel is open
+//   r, n      - search radius in miles and maximum results
+//   expand    - "1" to expand the radius until n stations are found
+//   modes     - comma-separated mode IDs
+//   lines     - comma-separated route IDs of the line filter
+//   access    - "1" for accessible stations only
+//   at        - local date and time to plan for ("2025-10-18T19:30"); absent for now
+//
+// Settings left at their defaults are omitted, so links stay short.
+
+const COORDINATE_DECIMALS = 5;
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 19;
+
+const parseNumber = (value) => {
+  if (value === null || value.trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Format a time as a local "YYYY-MM-DDTHH:MM", the format of <input type="datetime-local">
+export const formatLocalDateTime = (time) => {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Parse a local "YYYY-MM-DDTHH:MM" into epoch ms, or null when malformed
+export const parseLocalDateTime = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const [year, month, day, hours, minutes] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day, hours, minutes);
+  // Reject dates that rolled over, like February 30th
+  return date.getMonth() === month - 1 && date.getDate() === day ? date.getTime() : null;
+};
+
+const parseList = (value) => (
+  value ? value.split(',').map(item => item.trim()).filter(Boolean) : []
+);
+
+// Read map state from a query string. Only the values present and valid are returned:
+// { position: [lat, lon], zoom, showStations, settings: { radius, maxResults, expandUntilFound, modes, lines, accessibleOnly, time } }
+// modeIds: the mode IDs the provider supports; unknown modes are dropped.
+export const parseUrlState = (search, modeIds) => {
+  const params = new URLSearchParams(search);
+  const state = { settings: {} };
+
+  const latitude = parseNumber(params.get('lat'));
+  const longitude = parseNumber(params.get('lon'));
+  if (latitude !== null && longitude !== null && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+    state.position = [latitude, longitude];
+  }
+
+  const zoom = parseNumber(params.get('z'));
+  if (zoom !== null && zoom >= MIN_ZOOM && zoom <= MAX_ZOOM) {
+    state.zoom = Math.round(zoom);
+  }
+
+  if (params.has('stations')) {
+    state.showStations = params.get('stations') === '1';
+  }
+
+  const radius = parseNumber(params.get('r'));
+  if (radius !== null && radius > 0) state.settings.radius = radius;
+
+  const maxResults = parseNumber(params.get('n'));
+  if (maxResults !== null && maxResults >= 1) state.settings.maxResults = Math.round(maxResults);
+
+  if (params.has('expand')) state.settings.expandUntilFound = params.get('expand') === '1';
+
+  const modes = parseList(params.get('modes')).filter(modeId => modeIds.includes(modeId));
+  if (modes.length > 0) state.settings.modes = modeIds.filter(modeId => modes.includes(modeId));
+
+  const lines = parseList(params.get('lines'));
+  if (lines.length > 0) state.settings.lines = lines;
+
+  if (params.has('access')) state.settings.accessibleOnly = params.get('access') === '1';
+
+  const time = parseLocalDateTime(params.get('at'));
+  if (time !== null) state.settings.time = time;
+
+  return state;
+};
+
+// Build the query string (with its leading "?", or '' when empty) for a map state.
+// defaults: the search settings to leave out of the URL when unchanged.
+export const buildUrlState = ({ position, zoom, showStations, settings }, defaults) => {
+  const params = new URLSearchParams();
+
+  if (position) {
+    params.set('lat', position[0].toFixed(COORDINATE_DECIMALS));
+    params.set('lon', position[1].toFixed(COORDINATE_DECIMALS));
+  }
+  if (zoom !== undefined && zoom !== null) params.set('z', String(zoom));
+  if (showStations) params.set('stations', '1');
+
+  if (settings) {
+    if (settings.radius !== defaults.radius) params.set('r', String(settings.radius));
+    if (settings.maxResults !== defaults.maxResults) params.set('n', String(settings.maxResults));
+    if (settings.expandUntilFound !== defaults.expandUntilFound) params.set('expand', settings.expandUntilFound ? '1' : '0');
+    if (settings.modes.join(',') !== defaults.modes.join(',')) params.set('modes', settings.modes.join(','));
+    if (settings.lines && settings.lines.length > 0) params.set('lines', settings.lines.join(','));
+    if (!!settings.accessibleOnly !== !!defaults.accessibleOnly) params.set('access', settings.accessibleOnly ? '1' : '0');
+    if (settings.time) params.set('at', formatLocalDateTime(settings.time));
+  }
+
+  // Keep commas and colons readable in shared links
+  const query = params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+  return query ? `?${query}` : '';
+};
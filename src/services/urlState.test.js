@@ -0,0 +1,45 @@
+import { parseUrlState, buildUrlState } from './urlState';
+
+const MODE_IDS = ['subway', 'commuterRail', 'silverLine', 'bus', 'ferry'];
+const DEFAULTS = { radius: 1.25, maxResults: 3, expandUntilFound: false, modes: ['subway'], lines: null, accessibleOnly: false, time: null };
+
+test('round-trips the pin, zoom, panel and search settings', () => {
+  const state = {
+    position: [42.3554, -71.0605],
+    zoom: 15,
+    showStations: true,
+    settings: {
+      radius: 0.5,
+      maxResults: 5,
+      expandUntilFound: true,
+      modes: ['subway', 'bus'],
+      lines: ['Red', '39'],
+      accessibleOnly: true,
+      time: new Date(2025, 9, 18, 19, 30).getTime()
+    }
+  };
+  const query = buildUrlState(state, DEFAULTS);
+
+  expect(query).toBe('?lat=42.35540&lon=-71.06050&z=15&stations=1&r=0.5&n=5&expand=1&modes=subway,bus&lines=Red,39&access=1&at=2025-10-18T19:30');
+  expect(parseUrlState(query, MODE_IDS)).toEqual(state);
+});
+
+test('leaves default settings and a missing pin out of the URL', () => {
+  expect(buildUrlState({ position: null, zoom: 13, showStations: false, settings: DEFAULTS }, DEFAULTS)).toBe('?z=13');
+  expect(buildUrlState({}, DEFAULTS)).toBe('');
+  expect(parseUrlState('', MODE_IDS)).toEqual({ settings: {} });
+});
+
+test('ignores malformed and out-of-range values', () => {
+  expect(parseUrlState('?lat=abc&lon=-71&z=40&r=-1&n=0', MODE_IDS)).toEqual({ settings: {} });
+  expect(parseUrlState('?lat=42.3&lon=', MODE_IDS).position).toBeUndefined();
+  expect(parseUrlState('?lat=95&lon=-71', MODE_IDS).position).toBeUndefined();
+  expect(parseUrlState('?at=tomorrow', MODE_IDS).settings.time).toBeUndefined();
+  expect(parseUrlState('?at=2025-02-30T08:00', MODE_IDS).settings.time).toBeUndefined();
+});
+
+test('keeps only supported modes, in the provider order', () => {
+  expect(parseUrlState('?modes=bus,hovercraft,subway', MODE_IDS).settings.modes).toEqual(['subway', 'bus']);
+  expect(parseUrlState('?modes=hovercraft', MODE_IDS).settings.modes).toBeUndefined();
+  expect(parseUrlState('?stations=0', MODE_IDS).showStations).toBe(false);
+});
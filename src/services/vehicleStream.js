@@ -0,0 +1,134 @@
+// Live vehicle positions from the MBTA /vehicles streaming (server-sent events) interface,
+// with a polling fallback when the stream can't be kept open
+import { getVehicleStreamUrl, fetchVehicles, parseVehicle } from './mbtaApi';
+
+const POLL_INTERVAL = 15 * 1000;
+const MAX_STREAM_ERRORS = 3;
+const EVENT_SOURCE_CLOSED = 2;
+
+// Apply a single stream event to the current vehicles map, returning a new map
+export const applyVehicleEvent = (vehicles, eventType, payload) => {
+  switch (eventType) {
+    case 'reset': {
+      const next = new Map();
+      payload.forEach(vehicle => {
+        const parsed = parseVehicle(vehicle);
+        next.set(parsed.id, parsed);
+      });
+      return next;
+    }
+    case 'add':
+    case 'update': {
+      const next = new Map(vehicles);
+      const parsed = parseVehicle(payload);
+      next.set(parsed.id, parsed);
+      return next;
+    }
+    case 'remove': {
+      const next = new Map(vehicles);
+      next.delete(payload.id);
+      return next;
+    }
+    default:
+      return vehicles;
+  }
+};
+
+const defaultEventSourceFactory = (url) => new EventSource(url);
+
+// Start streaming vehicle positions. Calls onChange with an array of vehicles whenever
+// they change and onStatus with 'streaming', 'polling' or 'error'.
+// eventSourceFactory and loadVehicles can be replaced to drive the stream from a local stand-in.
+export const createVehicleStream = ({
+  routeIds,
+  onChange,
+  onStatus = () => {},
+  eventSourceFactory = defaultEventSourceFactory,
+  loadVehicles = fetchVehicles,
+  pollInterval = POLL_INTERVAL
+}) => {
+  let vehicles = new Map();
+  let source = null;
+  let pollTimer = null;
+  let errorCount = 0;
+  let closed = false;
+
+  const emit = () => {
+    onChange(Array.from(vehicles.values()));
+  };
+
+  const poll = async () => {
+    try {
+      const polled = await loadVehicles(routeIds);
+      if (closed) return;
+      vehicles = new Map(polled.map(vehicle => [vehicle.id, vehicle]));
+      emit();
+      onStatus('polling');
+    } catch (error) {
+      console.error('Error polling vehicles:', error);
+      if (!closed) onStatus('error');
+    }
+  };
+
+  const startPolling = () => {
+    if (pollTimer || closed) return;
+    console.log('Vehicle stream unavailable, falling back to polling');
+    poll();
+    pollTimer = setInterval(poll, pollInterval);
+  };
+
+  const handleEvent = (eventType) => (event) => {
+    try {
+      vehicles = applyVehicleEvent(vehicles, eventType, JSON.parse(event.data));
+      errorCount = 0;
+      emit();
+    } catch (error) {
+      console.error(`Error handling vehicle ${eventType} event:`, error);
+    }
+  };
+
+  const startStream = () => {
+    try {
+      source = eventSourceFactory(getVehicleStreamUrl(routeIds));
+    } catch (error) {
+      console.error('Error opening vehicle stream:', error);
+      startPolling();
+      return;
+    }
+
+    ['reset', 'add', 'update', 'remove'].forEach(eventType => {
+      source.addEventListener(eventType, handleEvent(eventType));
+    });
+
+    source.addEventListener('open', () => {
+      errorCount = 0;
+      onStatus('streaming');
+    });
+
+    source.addEventListener('error', () => {
+      errorCount += 1;
+      // EventSource retries on its own; give up once it closes or keeps failing
+      if (source.readyState === EVENT_SOURCE_CLOSED || errorCount >= MAX_STREAM_ERRORS) {
+        source.close();
+        source = null;
+        startPolling();
+      }
+    });
+  };
+
+  if (typeof EventSource === 'undefined' && eventSourceFactory === defaultEventSourceFactory) {
+    startPolling();
+  } else {
+    startStream();
+  }
+
+  return {
+    close: () => {
+      closed = true;
+      if (source) source.close();
+      if (pollTimer) clearInterval(pollTimer);
+      source = null;
+      pollTimer = null;
+    }
+  };
+};
@@ -0,0 +1,112 @@
+import { createVehicleStream } from './vehicleStream';
+
+// Minimal stand-in for the browser EventSource that tests can push events through
+class FakeEventSource {
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.listeners = {};
+    this.closed = false;
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  emit(type, payload) {
+    if (type === 'error' && payload === 'closed') this.readyState = 2;
+    const event = payload === undefined || type === 'error' ? {} : { data: JSON.stringify(payload) };
+    (this.listeners[type] || []).forEach(listener => listener(event));
+  }
+
+  close() {
+    this.closed = true;
+    this.readyState = 2;
+  }
+}
+
+const vehicle = (id, latitude, longitude, routeId = 'Red') => ({
+  id,
+  type: 'vehicle',
+  attributes: {
+    label: id,
+    latitude,
+    longitude,
+    bearing: 90,
+    current_status: 'IN_TRANSIT_TO',
+    direction_id: 0,
+    updated_at: '2024-01-01T12:00:00-05:00'
+  },
+  relationships: {
+    route: { data: { id: routeId, type: 'route' } },
+    stop: { data: { id: '70061', type: 'stop' } },
+    trip: { data: { id: 'trip-1', type: 'trip' } }
+  }
+});
+
+const startStream = (options = {}) => {
+  let source;
+  const onChange = jest.fn();
+  const onStatus = jest.fn();
+  const stream = createVehicleStream({
+    routeIds: ['Red'],
+    onChange,
+    onStatus,
+    eventSourceFactory: (url) => {
+      source = new FakeEventSource(url);
+      return source;
+    },
+    ...options
+  });
+  return { stream, source, onChange, onStatus };
+};
+
+const flushPromises = async () => {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+const latestVehicles = (onChange) => onChange.mock.calls[onChange.mock.calls.length - 1][0];
+
+test('applies reset, add, update and remove events', () => {
+  const { stream, source, onChange, onStatus } = startStream();
+
+  expect(source.url).toContain('/vehicles?filter[route]=Red');
+
+  source.emit('open');
+  expect(onStatus).toHaveBeenCalledWith('streaming');
+
+  source.emit('reset', [vehicle('R-1', 42.35, -71.06), vehicle('R-2', 42.36, -71.07)]);
+  expect(latestVehicles(onChange).map(v => v.id)).toEqual(['R-1', 'R-2']);
+
+  source.emit('add', vehicle('R-3', 42.37, -71.08));
+  source.emit('update', vehicle('R-1', 42.40, -71.10));
+  source.emit('remove', { id: 'R-2', type: 'vehicle' });
+
+  const vehicles = latestVehicles(onChange);
+  expect(vehicles.map(v => v.id)).toEqual(['R-1', 'R-3']);
+  expect(vehicles[0]).toMatchObject({ latitude: 42.40, longitude: -71.10, routeId: 'Red', bearing: 90 });
+
+  stream.close();
+  expect(source.closed).toBe(true);
+});
+
+test('falls back to polling when the stream closes', async () => {
+  jest.useFakeTimers();
+  const loadVehicles = jest.fn().mockResolvedValue([{ id: 'R-9', routeId: 'Red', latitude: 42, longitude: -71 }]);
+  const { stream, source, onChange, onStatus } = startStream({ loadVehicles, pollInterval: 1000 });
+
+  source.emit('error', 'closed');
+  await flushPromises();
+
+  expect(loadVehicles).toHaveBeenCalledWith(['Red']);
+  expect(onStatus).toHaveBeenCalledWith('polling');
+  expect(latestVehicles(onChange).map(v => v.id)).toEqual(['R-9']);
+
+  jest.advanceTimersByTime(1000);
+  expect(loadVehicles).toHaveBeenCalledTimes(2);
+
+  stream.close();
+  jest.advanceTimersByTime(5000);
+  expect(loadVehicles).toHaveBeenCalledTimes(2);
+  jest.useRealTimers();
+});
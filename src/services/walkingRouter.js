@@ -0,0 +1,152 @@
+// Walking routes from the pin to stations through a pluggable routing backend. Two HTTP
+// interfaces are supported, both easy to run locally:
+//   osrm     - OSRM's GET /route/v1/foot/{lon},{lat};{lon},{lat}
+//   valhalla - Valhalla's POST /route with pedestrian costing
+//
+// Without a router, walks are estimated from the straight-line distance with a detour factor.
+import { decodePolyline } from './polyline';
+import { calculateDistance, WALK_SPEED_MPH } from './geo';
+
+const METERS_PER_MILE = 1609.344;
+const ROUTER_TIMEOUT = 5000; // ms
+const ROUTER_TYPES = ['osrm', 'valhalla'];
+
+// Pick the walking router from REACT_APP_* settings:
+//   REACT_APP_WALKING_ROUTER     - 'osrm' (default when a URL is set) or 'valhalla'
+//   REACT_APP_WALKING_ROUTER_URL - base URL of the router, e.g. http://localhost:5000
+// Returns { type, baseUrl } or null when no router is configured. A misconfigured router is
+// reported and left out (walks are estimated) rather than stopping the app from loading.
+export const selectWalkingRouter = (env) => {
+  if (!env.REACT_APP_WALKING_ROUTER_URL) return null;
+
+  const type = env.REACT_APP_WALKING_ROUTER || 'osrm';
+  if (!ROUTER_TYPES.includes(type)) {
+    console.warn(`REACT_APP_WALKING_ROUTER must be one of ${ROUTER_TYPES.join(', ')}, not "${type}"; estimating walks instead`);
+    return null;
+  }
+  return { type, baseUrl: env.REACT_APP_WALKING_ROUTER_URL.replace(/\/$/, '') };
+};
+
+export const WALKING_ROUTER = selectWalkingRouter(process.env);
+
+// How much longer a walk on streets is than the straight line between its ends.
+// UNCALIBRATED: 1.3 is a guess for a dense street grid, not measured against routed walks
+// anywhere. Calibrate it for your area by comparing walking-router distances with
+// straight-line ones and set REACT_APP_WALK_DETOUR_FACTOR.
+const DEFAULT_WALK_DETOUR_FACTOR = 1.3;
+
+// Pick the detour factor from REACT_APP_WALK_DETOUR_FACTOR, a number of at least 1. An invalid
+// value is reported and the default used instead.
+export const selectWalkDetourFactor = (env) => {
+  if (!env.REACT_APP_WALK_DETOUR_FACTOR) return DEFAULT_WALK_DETOUR_FACTOR;
+
+  const factor = Number(env.REACT_APP_WALK_DETOUR_FACTOR);
+  if (!Number.isFinite(factor) || factor < 1) {
+    console.warn(`REACT_APP_WALK_DETOUR_FACTOR must be a number of at least 1, not "${env.REACT_APP_WALK_DETOUR_FACTOR}"; using ${DEFAULT_WALK_DETOUR_FACTOR}`);
+    return DEFAULT_WALK_DETOUR_FACTOR;
+  }
+  return factor;
+};
+
+export const WALK_DETOUR_FACTOR = selectWalkDetourFactor(process.env);
+
+// Walk estimated from the straight-line distance, for when there's no router or it fails.
+// Returns { distance (miles), duration (minutes), path, estimated: true }
+export const estimateWalk = (from, to) => {
+  const distance = calculateDistance(from[0], from[1], to[0], to[1]) * WALK_DETOUR_FACTOR;
+  return {
+    distance,
+    duration: (distance / WALK_SPEED_MPH) * 60,
+    path: [from, to],
+    estimated: true
+  };
+};
+
+// Turn an OSRM route response into { distance, duration, path, estimated: false }
+export const parseOsrmRoute = (data) => {
+  const route = data?.code === 'Ok' ? data.routes?.[0] : null;
+  if (!route) {
+    throw new Error(`No walking route found (${data?.code || 'empty response'})`);
+  }
+  return {
+    distance: route.distance / METERS_PER_MILE,
+    duration: route.duration / 60,
+    path: decodePolyline(route.geometry || ''),
+    estimated: false
+  };
+};
+
+// Turn a Valhalla route response (requested in miles) into { distance, duration, path, estimated: false }.
+// Valhalla encodes shapes with 6 decimal places.
+export const parseValhallaRoute = (data) => {
+  const trip = data?.trip;
+  if (!trip || trip.status !== 0) {
+    throw new Error(`No walking route found (${trip?.status_message || data?.error || 'empty response'})`);
+  }
+  return {
+    distance: trip.summary.length,
+    duration: trip.summary.time / 60,
+    path: trip.legs.flatMap((leg, index) => decodePolyline(leg.shape, 6).slice(index === 0 ? 0 : 1)),
+    estimated: false
+  };
+};
+
+const requestRoute = async (router, from, to, signal) => {
+  if (router.type === 'valhalla') {
+    const response = await fetch(`${router.baseUrl}/route`, {
+      method: 'POST',
+      signal,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        locations: [{ lat: from[0], lon: from[1] }, { lat: to[0], lon: to[1] }],
+        costing: 'pedestrian',
+        units: 'miles'
+      })
+    });
+    // Valhalla answers unroutable requests with a 400 and an error body
+    if (!response.ok && response.status !== 400) {
+      throw new Error(`Walking router error! status: ${response.status}`);
+    }
+    return parseValhallaRoute(await response.json());
+  }
+
+  const coordinates = `${from[1]},${from[0]};${to[1]},${to[0]}`;
+  const response = await fetch(`${router.baseUrl}/route/v1/foot/${coordinates}?overview=full&geometries=polyline`, { signal });
+  if (!response.ok && response.status !== 400) {
+    throw new Error(`Walking router error! status: ${response.status}`);
+  }
+  return parseOsrmRoute(await response.json());
+};
+
+// Routes by rounded endpoints, so small pin nudges and repeat searches reuse them.
+// Holds promises so concurrent searches share a request; failures are dropped to be retried.
+const routeCache = new Map();
+const getRouteKey = (from, to) => [...from, ...to].map(value => value.toFixed(5)).join(',');
+
+// Walking route from one [lat, lon] to another: { distance (miles), duration (minutes), path, estimated }.
+// Never rejects; without a router, offline, or when routing fails the walk is estimated instead.
+export const getWalkingRoute = async (from, to, router = WALKING_ROUTER) => {
+  if (!router || (typeof navigator !== 'undefined' && navigator.onLine === false)) {
+    return estimateWalk(from, to);
+  }
+
+  const key = `${router.type}:${router.baseUrl}:${getRouteKey(from, to)}`;
+  if (!routeCache.has(key)) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), ROUTER_TIMEOUT);
+    const request = requestRoute(router, from, to, controller.signal)
+      .finally(() => clearTimeout(timeout))
+      .catch(error => {
+        routeCache.delete(key);
+        throw error;
+      });
+    routeCache.set(key, request);
+  }
+
+  try {
+    return await routeCache.get(key);
+  } catch (error) {
+    console.error('Walking route unavailable, estimating instead:', error);
+    return estimateWalk(from, to);
+  }
+};
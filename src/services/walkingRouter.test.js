@@ -0,0 +1,80 @@
+import { selectWalkingRouter, selectWalkDetourFactor, estimateWalk, parseOsrmRoute, parseValhallaRoute, getWalkingRoute } from './walkingRouter';
+
+const PATH = [[42.3601, -71.0589], [42.3612, -71.0571]];
+
+test('selects a router only when a URL is configured', () => {
+  expect(selectWalkingRouter({})).toBeNull();
+  expect(selectWalkingRouter({ REACT_APP_WALKING_ROUTER_URL: 'http://localhost:5000/' }))
+    .toEqual({ type: 'osrm', baseUrl: 'http://localhost:5000' });
+  expect(selectWalkingRouter({ REACT_APP_WALKING_ROUTER: 'valhalla', REACT_APP_WALKING_ROUTER_URL: 'http://localhost:8002' }))
+    .toEqual({ type: 'valhalla', baseUrl: 'http://localhost:8002' });
+});
+
+test('warns about and leaves out an unknown router type', () => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  expect(selectWalkingRouter({ REACT_APP_WALKING_ROUTER: 'graphhopper', REACT_APP_WALKING_ROUTER_URL: 'http://localhost:8989' }))
+    .toBeNull();
+  expect(warn).toHaveBeenCalledWith(expect.stringContaining('REACT_APP_WALKING_ROUTER'));
+  warn.mockRestore();
+});
+
+test('reads the detour factor from the environment', () => {
+  expect(selectWalkDetourFactor({})).toBe(1.3);
+  expect(selectWalkDetourFactor({ REACT_APP_WALK_DETOUR_FACTOR: '1.45' })).toBe(1.45);
+});
+
+test('warns about an invalid detour factor and uses the default', () => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  expect(selectWalkDetourFactor({ REACT_APP_WALK_DETOUR_FACTOR: '0.8' })).toBe(1.3);
+  expect(selectWalkDetourFactor({ REACT_APP_WALK_DETOUR_FACTOR: 'far' })).toBe(1.3);
+  expect(warn).toHaveBeenCalledTimes(2);
+  warn.mockRestore();
+});
+
+test('estimates a walk with the detour factor at walking speed', () => {
+  const walk = estimateWalk([42.0, -71.0], [42.0, -71.0]);
+  expect(walk).toEqual({ distance: 0, duration: 0, path: [[42.0, -71.0], [42.0, -71.0]], estimated: true });
+
+  // One mile as the crow flies is 1.3 miles on foot, 26 minutes at 3 mph
+  const mile = estimateWalk([42.0, -71.0], [42.0 + 1 / 69.09, -71.0]);
+  expect(mile.distance).toBeCloseTo(1.3, 2);
+  expect(mile.duration).toBeCloseTo(26, 0);
+});
+
+test('parses an OSRM route in miles and minutes', () => {
+  const walk = parseOsrmRoute({
+    code: 'Ok',
+    routes: [{ distance: 1609.344, duration: 1200, geometry: 'smpaGbuupL{EgJ' }]
+  });
+
+  expect(walk).toEqual({ distance: 1, duration: 20, path: PATH, estimated: false });
+  expect(() => parseOsrmRoute({ code: 'NoRoute', routes: [] })).toThrow('NoRoute');
+});
+
+test('parses a Valhalla route with six-decimal shapes', () => {
+  const walk = parseValhallaRoute({
+    trip: { status: 0, summary: { length: 0.8, time: 960 }, legs: [{ shape: 'gqmxoAf|apfCwcAooB' }] }
+  });
+
+  expect(walk).toEqual({ distance: 0.8, duration: 16, path: PATH, estimated: false });
+  expect(() => parseValhallaRoute({ error: 'No path could be found for input' })).toThrow('No path could be found');
+});
+
+test('falls back to an estimate without a router or when routing fails', async () => {
+  expect((await getWalkingRoute(PATH[0], PATH[1], null)).estimated).toBe(true);
+
+  const originalFetch = global.fetch;
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  try {
+    const walk = await getWalkingRoute(PATH[0], PATH[1], { type: 'osrm', baseUrl: 'http://localhost:5000' });
+    expect(walk.estimated).toBe(true);
+    expect(global.fetch).toHaveBeenCalledWith(
+      'http://localhost:5000/route/v1/foot/-71.0589,42.3601;-71.0571,42.3612?overview=full&geometries=polyline',
+      expect.anything()
+    );
+  } finally {
+    global.fetch = originalFetch;
+  }
+});